@@ -33,6 +33,11 @@ class AudioManager {
         // Ambient audio
         this.ambientAudio = null;
         this.ambientPlaying = false;
+        
+        // Weather ambience (synthesized noise loop, see setWeatherAmbience)
+        this.weatherSource = null;
+        this.weatherGain = null;
+        this.weatherKind = null;
     }
     
     init() {
@@ -565,4 +570,75 @@ class AudioManager {
         // Update oscillator frequencies
         this.updateEngineFrequencies();
     }
+    
+    // ===== WEATHER AMBIENCE =====
+    
+    // Loop of filtered noise for the weather: 'rain' (hiss of drops), 'wind' (low gusting rumble)
+    // or null for silence. The old loop fades out while the new one fades in
+    setWeatherAmbience(kind) {
+        if (kind === this.weatherKind) return;
+        this.weatherKind = kind;
+        const ctx = this.ensureAudioContext();
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        
+        if (this.weatherSource) {
+            const source = this.weatherSource;
+            this.weatherGain.gain.setTargetAtTime(0, now, 0.4);
+            setTimeout(() => {
+                try { source.stop(); } catch(e) {}
+            }, 2000);
+            this.weatherSource = null;
+            this.weatherGain = null;
+        }
+        if (!kind || this.isMuted) return;
+        
+        // Two seconds of noise: white for rain, brown for wind
+        const bufferSize = ctx.sampleRate * 2;
+        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const output = buffer.getChannelData(0);
+        let lastOut = 0;
+        for (let i = 0; i < bufferSize; i++) {
+            const white = Math.random() * 2 - 1;
+            if (kind === 'rain') {
+                output[i] = white;
+            } else {
+                output[i] = (lastOut + 0.02 * white) / 1.02;
+                lastOut = output[i];
+                output[i] *= 4;
+            }
+        }
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = kind === 'rain' ? 'bandpass' : 'lowpass';
+        filter.frequency.value = kind === 'rain' ? 2500 : 400;
+        filter.Q.value = kind === 'rain' ? 0.4 : 0.8;
+        
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        const level = kind === 'rain' ? 0.12 : 0.18;
+        gain.gain.setTargetAtTime(level, now, 0.8);
+        
+        // Wind gusts: a slow wobble on the volume
+        if (kind === 'wind') {
+            const lfo = ctx.createOscillator();
+            lfo.frequency.value = 0.15;
+            const depth = ctx.createGain();
+            depth.gain.value = level * 0.5;
+            lfo.connect(depth);
+            depth.connect(gain.gain);
+            lfo.start();
+            source.addEventListener('ended', () => lfo.stop());
+        }
+        
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.masterGain);
+        source.start();
+        this.weatherSource = source;
+        this.weatherGain = gain;
+    }
 }
@@ -33,6 +33,11 @@
  *    'tr' = top-right = 'ne'
  *    'bl' = bottom-left = 'sw'
  *    'br' = bottom-right = 'se'
+ * 
+ * ROAD SEGMENTS:
+ *    Intersections sit at tile centers. A segment is the road between two neighboring
+ *    intersections, named by one end and a direction index into DIRECTIONS
+ *    (0 = north, 1 = east, 2 = south, 3 = west - clockwise, so dir + 2 is the way back).
  */
 const Coords = {
     // Corner definitions - single source of truth
@@ -53,6 +58,14 @@ const Coords = {
         'nw': 'tl', 'ne': 'tr', 'sw': 'bl', 'se': 'br'
     },
 
+    // Road directions on the tile grid, clockwise from north
+    DIRECTIONS: [
+        { x: 0, z: 1, key: 'n', name: 'North' },
+        { x: 1, z: 0, key: 'e', name: 'East' },
+        { x: 0, z: -1, key: 's', name: 'South' },
+        { x: -1, z: 0, key: 'w', name: 'West' }
+    ],
+
     /**
      * Get corner key from sign values (direction from a reference point)
      * @param {number} signX - +1 if target is East of reference, -1 if West
@@ -175,6 +188,88 @@ const Coords = {
         return tiles;
     },
 
+    /**
+     * Key of a road segment, the same from either end
+     * (e.g. segmentKey(2, 3, 1) === segmentKey(3, 3, 3) === 'x_2_3')
+     * @param {number} gridX - Intersection (tile) the segment starts at
+     * @param {number} gridZ - Intersection (tile) the segment starts at
+     * @param {number} dir - Direction index into DIRECTIONS
+     * @returns {string} 'x_gridX_gridZ' (east-west, from its west end) or 'z_...' (north-south, from its south end)
+     */
+    segmentKey(gridX, gridZ, dir) {
+        if (dir === 1) return `x_${gridX}_${gridZ}`;
+        if (dir === 3) return `x_${gridX - 1}_${gridZ}`;
+        if (dir === 0) return `z_${gridX}_${gridZ}`;
+        return `z_${gridX}_${gridZ - 1}`;
+    },
+
+    /**
+     * The grid segments bounding the cells around a point: the cell containing it
+     * (the square between four intersections) when ring is 0, plus ring more cells each way
+     * @param {number} worldX - World X
+     * @param {number} worldZ - World Z
+     * @param {number} tileSize - Size of each tile
+     * @param {number} ring - Extra cells searched in every direction
+     * @returns {Array<{gridX: number, gridZ: number, dir: number}>} Segments, each listed once, dir 0 or 1
+     */
+    segmentsAround(worldX, worldZ, tileSize, ring = 0) {
+        const cellX = Math.floor(worldX / tileSize);
+        const cellZ = Math.floor(worldZ / tileSize);
+        const segments = [];
+        for (let gx = cellX - ring; gx <= cellX + ring + 1; gx++) {
+            for (let gz = cellZ - ring; gz <= cellZ + ring + 1; gz++) {
+                if (gz <= cellZ + ring) segments.push({ gridX: gx, gridZ: gz, dir: 0 });
+                if (gx <= cellX + ring) segments.push({ gridX: gx, gridZ: gz, dir: 1 });
+            }
+        }
+        return segments;
+    },
+
+    /**
+     * Closest point on a straight road segment's center line
+     * @param {number} worldX - World X
+     * @param {number} worldZ - World Z
+     * @param {number} gridX - Intersection (tile) the segment starts at
+     * @param {number} gridZ - Intersection (tile) the segment starts at
+     * @param {number} dir - Direction index into DIRECTIONS
+     * @param {number} tileSize - Size of each tile
+     * @returns {{x: number, z: number, along: number, distance: number}} Point, meters from the start, meters off the line
+     */
+    projectToSegment(worldX, worldZ, gridX, gridZ, dir, tileSize) {
+        const d = this.DIRECTIONS[dir];
+        const startX = gridX * tileSize;
+        const startZ = gridZ * tileSize;
+        const along = Math.max(0, Math.min(tileSize, (worldX - startX) * d.x + (worldZ - startZ) * d.z));
+        const x = startX + d.x * along;
+        const z = startZ + d.z * along;
+        return { x, z, along, distance: Math.hypot(worldX - x, worldZ - z) };
+    },
+
+    /**
+     * Distance from a point to the line segment a-b
+     * @returns {number} Distance in world units
+     */
+    distanceToSegment(px, pz, ax, az, bx, bz) {
+        const dx = bx - ax;
+        const dz = bz - az;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (pz - az) * dz) / lengthSq)) : 0;
+        return Math.hypot(px - (ax + dx * t), pz - (az + dz * t));
+    },
+
+    /**
+     * Corner of a tile between two perpendicular road directions (north + east = the northeast quadrant)
+     * @param {number} dirA - Direction index into DIRECTIONS
+     * @param {number} dirB - Direction index into DIRECTIONS
+     * @param {boolean} useLegacy - Return legacy names ('tr') instead of compass ('ne')
+     * @returns {string} Corner key
+     */
+    cornerBetween(dirA, dirB, useLegacy = true) {
+        const a = this.DIRECTIONS[dirA];
+        const b = this.DIRECTIONS[dirB];
+        return this.cornerFromSigns(a.x + b.x, a.z + b.z, useLegacy);
+    },
+
     /**
      * Convert legacy corner name to compass
      * @param {string} legacy - Legacy corner ('tl', 'tr', 'bl', 'br')
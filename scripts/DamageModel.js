@@ -0,0 +1,135 @@
+/**
+ * DamageModel - Wear and tear on the load while driving
+ *
+ * Fed from Truck.updateLoadedItems each frame. Items collect damage (0..1) from three sources:
+ * - impacts: sudden changes in a physics item's velocity relative to the truck (it hit something)
+ * - pressure: more weight stacked on top than the item can carry, while the truck is moving
+ * - braking: hard stops and crashes shake fragile items even when they don't slide
+ * Fragility (0..1, from the templates) scales all of it; sturdy items only suffer from crushing.
+ */
+class DamageModel {
+    constructor(truck) {
+        this.truck = truck;
+        this.safeDeltaV = 1.5;      // m/s change in one frame an item shrugs off
+        this.impactDamage = 0.12;   // Damage per m/s above that, at fragility 1
+        this.hardBrakeDecel = 20;   // m/s² (full brakes are ~27, crashes far more)
+        this.brakeDamage = 0.01;    // Damage per m/s² above that per second, at fragility 1
+        this.maxBrakeDamage = 0.15; // Cap for a single frame (crashes)
+        this.pressureRate = 0.02;   // Damage per second per unit of overload
+        this.maxPressureRate = 0.03;
+        this.loadsAbove = new Map();
+        this.loadsAboveAt = 0;
+        this.loadsAboveCount = 0;
+        this.braking = 0;           // Current deceleration beyond hardBrakeDecel (m/s²)
+        this.hardBrakeEvents = 0;
+    }
+
+    reset() {
+        this.loadsAbove = new Map();
+        this.loadsAboveAt = 0;
+        this.loadsAboveCount = 0;
+        this.braking = 0;
+        this.hardBrakeEvents = 0;
+    }
+
+    // Per-frame setup: braking shock and (every half second) the weight resting on each item
+    beginFrame(items, dt, prevSpeed, speed) {
+        const nowMs = performance.now();
+        if (nowMs - this.loadsAboveAt > 500 || this.loadsAboveCount !== items.length) {
+            this.loadsAbove = DamageModel.computeLoadsAbove(items);
+            this.loadsAboveAt = nowMs;
+            this.loadsAboveCount = items.length;
+        }
+
+        // Speeds are mph; only slowing down counts, and not the automatic stop at a drop-off
+        const decel = dt > 0 ? Math.max(0, Math.abs(prevSpeed) - Math.abs(speed)) * 0.44704 / dt : 0;
+        const wasBraking = this.braking > 0;
+        this.braking = this.truck.autoBrakeTimer > 0 ? 0 : Math.max(0, decel - this.hardBrakeDecel);
+        if (this.braking > 0 && !wasBraking) {
+            this.hardBrakeEvents++;
+            console.log(`🛑 Hard stop (${decel.toFixed(0)} m/s²) - fragile items may be damaged`);
+        }
+    }
+
+    // Damage that applies to every loaded item (parented or physics)
+    recordLoadStress(item, dt) {
+        const fragility = item.fragility || 0;
+        if (this.braking > 0 && fragility > 0) {
+            const amount = Math.min(this.maxBrakeDamage, this.braking * this.brakeDamage * dt);
+            this.addDamage(item, 'braking', amount * fragility);
+        }
+
+        // Stacked weight only grinds items down while the truck is moving
+        const loadAbove = this.loadsAbove.get(item.id) || 0;
+        if (loadAbove > 0 && Math.abs(this.truck.speed) > 0.5) {
+            const overload = loadAbove / DamageModel.getCrushLimit(item) - 1;
+            if (overload > 0) {
+                this.addDamage(item, 'pressure', Math.min(this.maxPressureRate, overload * this.pressureRate) * dt);
+            }
+        }
+    }
+
+    // Physics items: deltaV is how much the item's velocity relative to the truck jumped this frame
+    recordImpact(item, deltaV) {
+        const fragility = item.fragility || 0;
+        if (fragility <= 0 || deltaV <= this.safeDeltaV) return;
+        this.addDamage(item, 'impact', (deltaV - this.safeDeltaV) * this.impactDamage * fragility);
+    }
+
+    addDamage(item, cause, amount) {
+        if (!(amount > 0) || (item.damage || 0) >= 1) return;
+        const before = item.damage || 0;
+        item.damage = Math.min(1, before + amount);
+        if (!item.damageCauses) item.damageCauses = { impact: 0, pressure: 0, braking: 0 };
+        item.damageCauses[cause] += item.damage - before;
+        // Log each 25% step
+        if (Math.floor(item.damage * 4) > Math.floor(before * 4)) {
+            console.log(`💥 ${item.id} damaged ${Math.round(item.damage * 100)}% (${cause})`);
+        }
+        item.damageChanged = true;
+    }
+
+    // Weight an item can carry on top before it starts to crush (fragile items carry little)
+    static getCrushLimit(item) {
+        const weight = item.weight || 10;
+        return weight * (0.5 + 4 * (1 - (item.fragility || 0)));
+    }
+
+    // Weight resting on each item (kg by id), following the supporters recorded at placement.
+    // An item's own weight plus what it carries is split evenly between its supporters
+    static computeLoadsAbove(items) {
+        const byId = new Map();
+        items.forEach(item => {
+            if (!item.isFallen) byId.set(item.id, item);
+        });
+        const carried = new Map(); // id -> total weight pressing down through this item (incl. own)
+        const visiting = new Set();
+        const loadsAbove = new Map();
+
+        const weightAbove = (id) => {
+            if (loadsAbove.has(id)) return loadsAbove.get(id);
+            if (visiting.has(id)) return 0; // Defensive: support should never loop
+            visiting.add(id);
+            let total = 0;
+            byId.forEach(other => {
+                const supporters = other.support && other.support.supporters;
+                if (!supporters || !supporters.includes(id)) return;
+                const live = supporters.filter(s => byId.has(s)).length || 1;
+                total += totalCarried(other.id) / live;
+            });
+            visiting.delete(id);
+            loadsAbove.set(id, total);
+            return total;
+        };
+        const totalCarried = (id) => {
+            if (!carried.has(id)) {
+                const item = byId.get(id);
+                carried.set(id, (item.weight || 10) + weightAbove(id));
+            }
+            return carried.get(id);
+        };
+
+        byId.forEach((item, id) => weightAbove(id));
+        return loadsAbove;
+    }
+}
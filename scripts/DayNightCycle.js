@@ -0,0 +1,147 @@
+/**
+ * DayNightCycle - Time of day: sun, sky, fog and lit windows, and when the truck needs its headlights
+ *
+ * The clock runs timeScale game seconds per real second while a level is played (a level starts at
+ * the hour LevelManager picks for it). Each frame the hour is blended between KEYFRAMES and applied
+ * to SceneManager's lights (as fractions of their daytime intensity), the clear / fog color, the
+ * skybox (faded out at night so the clear color shows through) and the shared window material
+ * (left unfrozen so its emissive color reaches the GPU).
+ * WeatherSystem's cloud cover (setOvercast) greys the sky and dims the sun on top.
+ * Only light intensities and colors change - every material keeps the same set of lights, so
+ * frozen materials stay valid.
+ */
+class DayNightCycle {
+    constructor(game) {
+        this.game = game;
+        this.scene = game.scene;
+        this.sceneManager = game.sceneManager;
+        this.truck = game.truck;
+        this.hours = DayNightCycle.TIMES.day;
+        this.timeScale = 10;          // Game seconds per real second (an hour every 6 minutes)
+        this.headlightDaylight = 0.5; // Headlights come on below this much daylight
+        this.overcast = 0;            // 0 clear .. 1 heavy cloud (WeatherSystem): grey sky, weaker sun
+        this.daylight = 1;            // Last applied daylight (0 night .. 1 full day)
+        this.running = false;
+
+        // Daytime settings as SceneManager made them
+        const lights = this.sceneManager.lights;
+        this.base = {
+            ambient: lights.ambient.intensity,
+            sun: lights.sun.intensity,
+            fills: lights.fills.map(light => light.intensity),
+            environment: this.scene.environmentIntensity,
+            window: this.sceneManager.windowMaterial.emissiveColor.clone()
+        };
+        this.windowLit = new BABYLON.Color3(0.95, 0.72, 0.38);
+        this.keyframes = DayNightCycle.KEYFRAMES.map(k => ({
+            ...k,
+            sky: BABYLON.Color3.FromHexString(k.sky),
+            sunColor: BABYLON.Color3.FromHexString(k.sunColor)
+        }));
+        this.sky = new BABYLON.Color3();
+        this.sunColor = new BABYLON.Color3();
+        this.apply();
+    }
+
+    // Start hours for LevelManager's time-of-day names
+    static get TIMES() {
+        return { dawn: 6.25, day: 10, dusk: 19.25, night: 22 };
+    }
+
+    // Look at each hour (the last wraps to the first). sun / ambient: fraction of the daytime
+    // light, windows: how lit house windows are, daylight: skybox opacity (and headlights below 0.5)
+    static get KEYFRAMES() {
+        return [
+            { hour: 0, sky: '#0b1022', sunColor: '#8fa3d9', sun: 0.08, ambient: 0.22, windows: 0.8, daylight: 0 },
+            { hour: 5, sky: '#141b38', sunColor: '#8fa3d9', sun: 0.08, ambient: 0.24, windows: 0.9, daylight: 0 },
+            { hour: 6.5, sky: '#e3a06e', sunColor: '#ffb877', sun: 0.45, ambient: 0.5, windows: 0.5, daylight: 0.45 },
+            { hour: 8, sky: '#99c7f2', sunColor: '#fffaf2', sun: 1, ambient: 1, windows: 0, daylight: 1 },
+            { hour: 17.5, sky: '#99c7f2', sunColor: '#fffaf2', sun: 1, ambient: 1, windows: 0, daylight: 1 },
+            { hour: 19, sky: '#e08a5c', sunColor: '#ffa463', sun: 0.45, ambient: 0.5, windows: 0.6, daylight: 0.45 },
+            { hour: 20.5, sky: '#141b38', sunColor: '#8fa3d9', sun: 0.08, ambient: 0.24, windows: 1, daylight: 0 },
+            { hour: 24, sky: '#0b1022', sunColor: '#8fa3d9', sun: 0.08, ambient: 0.22, windows: 0.8, daylight: 0 }
+        ];
+    }
+
+    // Jump to an hour (0-24) and start the clock
+    setTime(hours) {
+        this.hours = ((hours % 24) + 24) % 24;
+        this.running = true;
+        this.apply();
+    }
+
+    update(dt) {
+        if (!this.running) return;
+        this.hours = (this.hours + dt * this.timeScale / 3600) % 24;
+        this.apply();
+    }
+
+    setOvercast(amount) {
+        this.overcast = amount;
+        this.apply();
+    }
+
+    isNight() {
+        return this.getLook().daylight < this.headlightDaylight;
+    }
+
+    // Keyframes blended at the current hour
+    getLook() {
+        const frames = this.keyframes;
+        let i = 0;
+        while (i < frames.length - 2 && frames[i + 1].hour <= this.hours) i++;
+        const a = frames[i];
+        const b = frames[i + 1];
+        const t = Math.min(1, Math.max(0, (this.hours - a.hour) / (b.hour - a.hour)));
+        const mix = (x, y) => x + (y - x) * t;
+        BABYLON.Color3.LerpToRef(a.sky, b.sky, t, this.sky);
+        BABYLON.Color3.LerpToRef(a.sunColor, b.sunColor, t, this.sunColor);
+        return {
+            sky: this.sky,
+            sunColor: this.sunColor,
+            sun: mix(a.sun, b.sun),
+            ambient: mix(a.ambient, b.ambient),
+            windows: mix(a.windows, b.windows),
+            daylight: mix(a.daylight, b.daylight)
+        };
+    }
+
+    apply() {
+        const look = this.getLook();
+        const lights = this.sceneManager.lights;
+
+        // Cloud cover greys the sky toward its own brightness and hides the sun
+        if (this.overcast > 0) {
+            const grey = (look.sky.r * 0.3 + look.sky.g * 0.59 + look.sky.b * 0.11) * 0.85;
+            look.sky.r += (grey - look.sky.r) * this.overcast;
+            look.sky.g += (grey - look.sky.g) * this.overcast;
+            look.sky.b += (grey - look.sky.b) * this.overcast;
+            look.sun *= 1 - this.overcast * 0.7;
+            look.daylight *= 1 - this.overcast * 0.3;
+        }
+
+        // Sun rises in the east (+X) at 6, stands south (-Z) at noon and sets in the west at 18;
+        // at night it stays a dim moonlight from overhead
+        const arc = Math.PI * (this.hours - 6) / 12;
+        const height = Math.max(0.35, Math.sin(arc));
+        lights.sun.direction.set(-Math.cos(arc) * 0.6, -height, 0.5);
+        lights.sun.direction.normalize();
+        lights.sun.intensity = this.base.sun * look.sun;
+        lights.sun.diffuse.copyFrom(look.sunColor);
+        lights.ambient.intensity = this.base.ambient * look.ambient;
+        lights.fills.forEach((light, i) => {
+            light.intensity = this.base.fills[i] * look.ambient;
+        });
+        this.scene.environmentIntensity = this.base.environment * look.ambient;
+
+        // Sky, and fog in the same color so far ground fades into it
+        this.scene.clearColor.set(look.sky.r, look.sky.g, look.sky.b, 1);
+        this.scene.fogColor.copyFrom(look.sky);
+        if (this.sceneManager.skybox) this.sceneManager.skybox.visibility = look.daylight * (1 - this.overcast);
+        this.daylight = look.daylight;
+
+        BABYLON.Color3.LerpToRef(this.base.window, this.windowLit, look.windows, this.sceneManager.windowMaterial.emissiveColor);
+
+        if (this.truck) this.truck.setHeadlights(look.daylight < this.headlightDaylight);
+    }
+}
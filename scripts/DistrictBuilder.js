@@ -0,0 +1,361 @@
+/**
+ * DistrictBuilder - Block generators and ground detail for the non-suburban district archetypes
+ *
+ * SceneManager.createHousesForTile builds suburban quadrants itself and hands every other
+ * archetype's quadrants to buildQuadrant, which returns { collisions, visuals } like
+ * createGasStation: collision boxes carry the house fields (houseWidth, houseDepth,
+ * collisionRadiusXZ) the truck's checks read, and each quadrant's visuals are merged into one mesh.
+ * Generators work in road-relative coordinates: u runs along the road the block faces (away from
+ * the intersection) and w away from that road's center line, both 9.5-24.5m inside a quadrant.
+ */
+class DistrictBuilder {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.scene;
+        this.random = sceneManager.random;
+        this.tileSize = sceneManager.groundTileSize || 50;
+        this.materials = null;
+        this.generators = {
+            townhouses: (block, rng) => this.buildTownhouses(block, rng),
+            apartments: (block, rng) => this.buildApartments(block, rng),
+            stripMall: (block, rng) => this.buildStripMall(block, rng),
+            park: (block, rng) => this.buildPark(block, rng),
+            industrial: (block, rng) => this.buildIndustrial(block, rng),
+            landfill: (block, rng) => this.buildLandfill(block, rng)
+        };
+    }
+
+    getMaterials() {
+        if (this.materials) return this.materials;
+        const mat = (name, hex, emissive = null) => {
+            const material = new BABYLON.StandardMaterial(`district_${name}Mat`, this.scene);
+            material.diffuseColor = BABYLON.Color3.FromHexString(hex);
+            material.specularColor = new BABYLON.Color3(0.03, 0.03, 0.03);
+            if (emissive) material.emissiveColor = BABYLON.Color3.FromHexString(emissive);
+            material.freeze();
+            return material;
+        };
+        this.materials = {
+            concrete: mat('concrete', '#9e9a92'),
+            brick: mat('brick', '#8d4f3f'),
+            stucco: mat('stucco', '#cfc3ad'),
+            roof: mat('roof', '#3a3a3a'),
+            metal: mat('metal', '#8a9499'),
+            rollDoor: mat('rollDoor', '#5b6266'),
+            awnings: ['#c62828', '#1565c0', '#2e7d32', '#ef6c00'].map((hex, i) => mat(`awning${i}`, hex)),
+            sign: mat('sign', '#fff8e1', '#5a5040'),
+            containers: ['#b23a2a', '#1f5f8b', '#c58f1c', '#3f6e3a'].map((hex, i) => mat(`container${i}`, hex)),
+            water: mat('water', '#3f6f8f', '#0a1a24'),
+            bench: mat('bench', '#6d4c2f'),
+            trash: mat('trash', '#5d5346'),
+            dumpster: mat('dumpster', '#2f5a3a')
+        };
+        return this.materials;
+    }
+
+    buildQuadrant(archetype, gridX, gridZ, quad, qi) {
+        const generator = this.generators[archetype];
+        if (!generator) return { collisions: [], visuals: [] };
+        const rng = this.random.stream('district', gridX, gridZ, qi);
+        const block = this.createBlock(gridX, gridZ, quad, qi, rng() < 0.5 ? 'x' : 'z');
+        generator(block, rng);
+        return block.finish();
+    }
+
+    // Helpers for one quadrant facing one of its two roads (axis 'x': the north-south road)
+    createBlock(gridX, gridZ, quad, qi, facing) {
+        const tileX = gridX * this.tileSize;
+        const tileZ = gridZ * this.tileSize;
+        const sx = Math.sign(quad.x);
+        const sz = Math.sign(quad.z);
+        const name = `district_${gridX}_${gridZ}_${qi}`;
+        const parts = [];
+        const collisions = [];
+        const visuals = [];
+
+        // World position of (u, w); u along the faced road, w away from it
+        const toWorld = (u, w) => facing === 'x'
+            ? { x: tileX + sx * w, z: tileZ + sz * u }
+            : { x: tileX + sx * u, z: tileZ + sz * w };
+        // World box sizes for extents along u and w
+        const toSize = (sizeU, sizeW) => facing === 'x'
+            ? { width: sizeW, depth: sizeU }
+            : { width: sizeU, depth: sizeW };
+
+        const block = {
+            facing,
+            name,
+            toWorld,
+            box: (suffix, sizeU, height, sizeW, u, w, y, material) => {
+                const size = toSize(sizeU, sizeW);
+                const mesh = BABYLON.MeshBuilder.CreateBox(`${name}_${suffix}`, { width: size.width, height, depth: size.depth }, this.scene);
+                const pos = toWorld(u, w);
+                mesh.position.set(pos.x, y, pos.z);
+                mesh.material = material;
+                parts.push(mesh);
+                return mesh;
+            },
+            // Any other mesh to merge into the quadrant (already positioned in world space)
+            part: (mesh) => {
+                parts.push(mesh);
+                return mesh;
+            },
+            collision: (suffix, sizeU, height, sizeW, u, w) => {
+                const size = toSize(sizeU, sizeW);
+                const col = BABYLON.MeshBuilder.CreateBox(`${name}_${suffix}Col`, { width: size.width, height, depth: size.depth }, this.scene);
+                const pos = toWorld(u, w);
+                col.position.set(pos.x, height / 2, pos.z);
+                col.isVisible = false;
+                col.isPickable = false;
+                col.houseWidth = size.width;
+                col.houseDepth = size.depth;
+                col.houseRotation = 0;
+                col.collisionRadiusXZ = Math.hypot(size.width * 0.5, size.depth * 0.5);
+                collisions.push(col);
+                return col;
+            },
+            // Instance of a street furniture template (trees, parked cars); collidable unless told not
+            instance: (template, u, w, rotateAcross = false, collide = true) => {
+                const furniture = this.sceneManager.streetFurniture;
+                const mesh = template.createInstance(`${name}_${template.name}${visuals.length}`);
+                const pos = toWorld(u, w);
+                mesh.position.set(pos.x, 0, pos.z);
+                // Templates run along +Z; across the faced road means along w
+                const alongX = (facing === 'x') === rotateAcross;
+                mesh.rotation.y = alongX ? Math.PI / 2 : 0;
+                mesh.isPickable = false;
+                mesh.freezeWorldMatrix();
+                visuals.push(mesh);
+                if (collide) {
+                    collisions.push(template === furniture.getTemplates().tree
+                        ? furniture.createTrunkCollider(mesh)
+                        : furniture.asCollider(mesh));
+                }
+                return mesh;
+            },
+            finish: () => {
+                if (parts.length > 0) {
+                    const merged = BABYLON.Mesh.MergeMeshes(parts, true, true, undefined, false, true);
+                    if (merged) {
+                        merged.name = name;
+                        merged.isPickable = false;
+                        merged.freezeWorldMatrix();
+                        visuals.push(merged);
+                    }
+                }
+                return { collisions, visuals };
+            }
+        };
+        return block;
+    }
+
+    // === Generators ===
+
+    // Row of three or four narrow attached houses along the road, each its own color and height
+    buildTownhouses(block, rng) {
+        const mats = this.getMaterials();
+        const houseMaterials = this.sceneManager.houseMaterials;
+        const units = rng() < 0.5 ? 3 : 4;
+        const unitU = units === 3 ? 4.6 : 3.6;
+        const depth = 9;
+        const front = 11 + rng() * 1.5;
+        const start = 10;
+        let tallest = 0;
+        for (let i = 0; i < units; i++) {
+            const height = 7 + rng() * 1.8;
+            tallest = Math.max(tallest, height);
+            const u = start + unitU * (i + 0.5);
+            const wall = houseMaterials[Math.floor(rng() * houseMaterials.length)].wall;
+            block.box(`unit${i}`, unitU, height, depth, u, front + depth / 2, height / 2, wall);
+            block.box(`roof${i}`, unitU, 0.3, depth + 0.4, u, front + depth / 2, height + 0.15, mats.roof);
+            // Door and two windows on the street side
+            block.box(`door${i}`, 1.0, 2.1, 0.1, u - unitU * 0.2, front - 0.05, 1.05, this.sceneManager.doorMaterial);
+            block.box(`winLow${i}`, 1.0, 1.1, 0.1, u + unitU * 0.22, front - 0.05, 1.7, this.sceneManager.windowMaterial);
+            block.box(`winHigh${i}`, unitU * 0.6, 1.1, 0.1, u, front - 0.05, height - 2.2, this.sceneManager.windowMaterial);
+        }
+        block.collision('row', unitU * units, tallest, depth, start + unitU * units / 2, front + depth / 2);
+    }
+
+    // One mid-rise block with ribbon windows on every floor
+    buildApartments(block, rng) {
+        const mats = this.getMaterials();
+        const floors = 4 + Math.floor(rng() * 4);
+        const height = floors * 3;
+        const sizeU = 12 + rng() * 2;
+        const sizeW = 11 + rng() * 2;
+        const u = 10.5 + sizeU / 2;
+        const w = 11 + sizeW / 2;
+        const wall = [mats.concrete, mats.brick, mats.stucco][Math.floor(rng() * 3)];
+        block.box('body', sizeU, height, sizeW, u, w, height / 2, wall);
+        for (let f = 0; f < floors; f++) {
+            block.box(`windows${f}`, sizeU + 0.1, 1.1, sizeW + 0.1, u, w, f * 3 + 1.7, this.sceneManager.windowMaterial);
+        }
+        block.box('parapet', sizeU + 0.3, 0.6, sizeW + 0.3, u, w, height + 0.3, mats.roof);
+        block.box('entrance', 3, 2.6, 0.6, u, w - sizeW / 2 - 0.3, 1.3, this.sceneManager.doorMaterial);
+        block.collision('body', sizeU, height, sizeW, u, w);
+    }
+
+    // Low row of shops at the back of a parking lot, awning and sign facing the road
+    buildStripMall(block, rng) {
+        const mats = this.getMaterials();
+        const sizeU = 14;
+        const sizeW = 7;
+        const front = 17;
+        const u = 10 + sizeU / 2;
+        const w = front + sizeW / 2;
+        block.box('body', sizeU, 4.5, sizeW, u, w, 2.25, mats.stucco);
+        block.box('storefront', sizeU - 0.6, 2.4, 0.1, u, front - 0.05, 1.4, this.sceneManager.windowMaterial);
+        block.box('awning', sizeU, 0.3, 1.6, u, front - 0.8, 3.1, mats.awnings[Math.floor(rng() * mats.awnings.length)]);
+        block.box('sign', sizeU * 0.6, 1.0, 0.3, u, front + 0.3, 5.0, mats.sign);
+        block.collision('body', sizeU, 4.5, sizeW, u, w);
+
+        // A few cars nosed in to the shops
+        const cars = this.sceneManager.streetFurniture.getTemplates().parkedCar;
+        for (let i = 0; i < 4; i++) {
+            if (rng() < 0.45) block.instance(cars[Math.floor(rng() * cars.length)], 11.5 + i * 3.2, 13, true);
+        }
+    }
+
+    // Trees, a bench or two and sometimes a pond
+    buildPark(block, rng) {
+        const mats = this.getMaterials();
+        const tree = this.sceneManager.streetFurniture.getTemplates().tree;
+        const hasPond = rng() < 0.4;
+        if (hasPond) {
+            const pond = BABYLON.MeshBuilder.CreateDisc(`${block.name}_pond`, { radius: 3.5, tessellation: 24 }, this.scene);
+            const pos = block.toWorld(19, 19);
+            pond.position.set(pos.x, 0.03, pos.z);
+            pond.rotation.x = Math.PI / 2;
+            pond.material = mats.water;
+            block.part(pond);
+        }
+        const placed = hasPond ? [{ u: 19, w: 19, r: 4.5 }] : [];
+        const trees = 4 + Math.floor(rng() * 4);
+        for (let i = 0; i < trees * 3 && placed.length < trees + (hasPond ? 1 : 0); i++) {
+            const u = 11 + rng() * 12;
+            const w = 11 + rng() * 12;
+            if (placed.some(p => Math.hypot(p.u - u, p.w - w) < p.r + 2.5)) continue;
+            block.instance(tree, u, w);
+            placed.push({ u, w, r: 1 });
+        }
+        const benches = 1 + Math.floor(rng() * 2);
+        for (let i = 0; i < benches; i++) {
+            const u = 12 + i * 6;
+            block.box(`bench${i}`, 1.8, 0.45, 0.5, u, 10.5, 0.45, mats.bench);
+            block.collision(`bench${i}`, 1.8, 0.9, 0.5, u, 10.5);
+        }
+    }
+
+    // Warehouse with a roll-up door and stacked shipping containers out front
+    buildIndustrial(block, rng) {
+        const mats = this.getMaterials();
+        const height = 7 + rng() * 2;
+        const sizeU = 12;
+        const sizeW = 10;
+        const u = 11 + sizeU / 2;
+        const w = 13.5 + sizeW / 2;
+        block.box('warehouse', sizeU, height, sizeW, u, w, height / 2, mats.metal);
+        block.box('roof', sizeU + 0.4, 0.4, sizeW + 0.4, u, w, height + 0.2, mats.roof);
+        block.box('rollDoor', 4, 4.5, 0.1, u + 2, 13.45, 2.25, mats.rollDoor);
+        block.collision('warehouse', sizeU, height, sizeW, u, w);
+
+        // Containers: 6m long, along the road
+        const stacks = 1 + Math.floor(rng() * 2);
+        for (let s = 0; s < stacks; s++) {
+            const cu = 13 + s * 7;
+            const levels = rng() < 0.4 ? 2 : 1;
+            for (let l = 0; l < levels; l++) {
+                const material = mats.containers[Math.floor(rng() * mats.containers.length)];
+                block.box(`container${s}_${l}`, 6, 2.6, 2.4, cu, 11, 1.3 + l * 2.6, material);
+            }
+            block.collision(`containers${s}`, 6, 2.6 * levels, 2.4, cu, 11);
+        }
+    }
+
+    // Mounds of rubbish and dumpsters, or a transfer station shed
+    buildLandfill(block, rng) {
+        const mats = this.getMaterials();
+        if (rng() < 0.35) {
+            // Open shed: roof on four pillars (the pillars block, the truck can drive under)
+            block.box('shedRoof', 12, 0.4, 10, 17, 17, 6.2, mats.metal);
+            [[11.5, 12.5], [22.5, 12.5], [11.5, 21.5], [22.5, 21.5]].forEach(([u, w], i) => {
+                block.box(`pillar${i}`, 0.4, 6, 0.4, u, w, 3, mats.concrete);
+                block.collision(`pillar${i}`, 0.4, 6, 0.4, u, w);
+            });
+            return;
+        }
+        const mounds = 2 + Math.floor(rng() * 2);
+        const placed = [];
+        for (let i = 0; i < mounds * 3 && placed.length < mounds; i++) {
+            const radius = 2.5 + rng() * 2;
+            const u = 10 + radius + rng() * (14 - radius * 2);
+            const w = 10 + radius + rng() * (14 - radius * 2);
+            if (placed.some(p => Math.hypot(p.u - u, p.w - w) < p.radius + radius)) continue;
+            const mound = BABYLON.MeshBuilder.CreateIcoSphere(`${block.name}_mound${i}`, { radius, subdivisions: 2 }, this.scene);
+            const pos = block.toWorld(u, w);
+            mound.position.set(pos.x, 0, pos.z);
+            mound.scaling.y = 0.45;
+            mound.material = mats.trash;
+            block.part(mound);
+            block.collision(`mound${i}`, radius * 1.4, radius * 0.45, radius * 1.4, u, w);
+            placed.push({ u, w, radius });
+        }
+        if (rng() < 0.7) {
+            block.box('dumpster', 2, 1.3, 1.4, 11.5, 11.5, 0.65, mats.dumpster);
+            block.collision('dumpster', 2, 1.3, 1.4, 11.5, 11.5);
+        }
+    }
+
+    // === Ground texture ===
+
+    // Quadrant detail on an archetype's ground texture (the base fill is already down)
+    paintGroundQuadrant(ctx, archetype, q, size, texSize) {
+        const pxPerMeter = texSize / this.tileSize;
+        const patches = (count, minSize, maxSize, color) => {
+            for (let i = 0; i < count; i++) {
+                const s = minSize + Math.random() * (maxSize - minSize);
+                ctx.fillStyle = color();
+                ctx.beginPath();
+                ctx.ellipse(q.x + Math.random() * size, q.y + Math.random() * size, s, s * 0.7, Math.random() * Math.PI, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        };
+        const grass = () => {
+            const green = Math.floor(35 + Math.random() * 25);
+            return `rgb(${Math.floor(green * 0.6)}, ${green}, ${Math.floor(green * 0.5)})`;
+        };
+        if (archetype === 'townhouses') {
+            patches(8, size * 0.02, size * 0.06, grass);
+        } else if (archetype === 'park') {
+            patches(14, size * 0.02, size * 0.07, () => `rgb(30, ${Math.floor(60 + Math.random() * 20)}, 28)`);
+            // Gravel path across the quadrant
+            ctx.strokeStyle = '#6b6455';
+            ctx.lineWidth = pxPerMeter * 1.5;
+            ctx.beginPath();
+            ctx.moveTo(q.x, q.y + size * 0.3);
+            ctx.quadraticCurveTo(q.x + size * 0.5, q.y + size * 0.9, q.x + size, q.y + size * 0.6);
+            ctx.stroke();
+        } else if (archetype === 'apartments') {
+            // Paving with planted beds
+            patches(5, size * 0.04, size * 0.08, grass);
+        } else if (archetype === 'stripMall') {
+            // Parking bays: white lines every 2.7m
+            ctx.fillStyle = '#8a8a86';
+            const bay = pxPerMeter * 2.7;
+            const line = Math.max(1, pxPerMeter * 0.12);
+            for (let x = q.x + bay; x < q.x + size - bay / 2; x += bay) {
+                ctx.fillRect(x, q.y + size * 0.3, line, size * 0.3);
+            }
+        } else if (archetype === 'industrial') {
+            // Oil stains and worn concrete
+            patches(10, size * 0.01, size * 0.05, () => `rgba(30, 28, 24, ${0.2 + Math.random() * 0.3})`);
+        } else if (archetype === 'landfill') {
+            // Dirt ruts and scattered debris
+            patches(12, size * 0.02, size * 0.08, () => `rgb(${Math.floor(60 + Math.random() * 20)}, 52, 38)`);
+            for (let i = 0; i < 120; i++) {
+                ctx.fillStyle = ['#7a7a72', '#5a4c3c', '#8a7f6a', '#3f3a33'][i % 4];
+                ctx.fillRect(q.x + Math.random() * size, q.y + Math.random() * size, pxPerMeter * 0.4, pxPerMeter * 0.3);
+            }
+        }
+    }
+}
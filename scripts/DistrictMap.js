@@ -0,0 +1,190 @@
+/**
+ * DistrictMap - Which kind of block (archetype) each ground tile is
+ *
+ * Smooth noise fields over the tile grid, rolled from the run seed, lay out districts:
+ * density (quiet suburbs -> townhouses -> apartment blocks) and land use (homes -> shops ->
+ * industry), plus a green field for parks. Tiles around the start are always suburban.
+ * Landfills are fixed landmarks: one per landfillRegion x landfillRegion tiles, each the block
+ * around a tile corner (so its four tiles are 'landfill'). Game sends the truck to one as the
+ * level's drop-off. No Babylon here - the map is pure data, so anything can query it.
+ */
+class DistrictMap {
+    constructor(random, tileSize = 50) {
+        this.random = random;
+        this.tileSize = tileSize;
+        this.districtSize = 4;    // Tiles per noise cell (rough district width)
+        this.landfillRegion = 8;  // One landfill per this many tiles square
+        this.startRadius = 1;     // Tiles around the start that stay suburban
+        this.cache = new Map();   // 'seed_gridX_gridZ' -> archetype
+        this.latticeCache = new Map();
+    }
+
+    // Look and generator settings per archetype (ground: quadrant fill color on the ground texture)
+    static get ARCHETYPES() {
+        return {
+            suburban: { name: 'Suburbs', ground: '#1a2e1a', gasStations: true },
+            townhouses: { name: 'Townhouses', ground: '#1d321b', gasStations: true },
+            apartments: { name: 'Apartments', ground: '#3b3d3f', gasStations: false },
+            stripMall: { name: 'Strip Mall', ground: '#323234', gasStations: true },
+            park: { name: 'Park', ground: '#22401f', gasStations: false },
+            industrial: { name: 'Industrial', ground: '#45433d', gasStations: true },
+            landfill: { name: 'Landfill', ground: '#4a3f2e', gasStations: false }
+        };
+    }
+
+    getArchetype(gridX, gridZ) {
+        const cacheKey = `${this.random.seed}_${gridX}_${gridZ}`;
+        let archetype = this.cache.get(cacheKey);
+        if (!archetype) {
+            archetype = this.classify(gridX, gridZ);
+            this.cache.set(cacheKey, archetype);
+        }
+        return archetype;
+    }
+
+    classify(gridX, gridZ) {
+        if (this.isLandfillTile(gridX, gridZ)) return 'landfill';
+        if (Math.abs(gridX) <= this.startRadius && Math.abs(gridZ) <= this.startRadius) return 'suburban';
+
+        // A little per-tile jitter keeps district edges from running dead straight
+        const jitter = (this.random.stream('districtJitter', gridX, gridZ)() - 0.5) * 0.08;
+        const green = this.noise('green', gridX, gridZ);
+        const density = this.noise('density', gridX, gridZ) + jitter;
+        const use = this.noise('use', gridX, gridZ) - jitter;
+
+        if (green > 0.72) return 'park';
+        if (use > 0.72) return 'industrial';
+        if (density < 0.5) return 'suburban';
+        if (use > 0.55) return 'stripMall';
+        return density > 0.6 ? 'apartments' : 'townhouses';
+    }
+
+    // Smooth value noise in [0, 1]: random values on a districtSize lattice, blended between
+    noise(name, gridX, gridZ) {
+        const fx = gridX / this.districtSize;
+        const fz = gridZ / this.districtSize;
+        const x0 = Math.floor(fx);
+        const z0 = Math.floor(fz);
+        const smooth = t => t * t * (3 - 2 * t);
+        const tx = smooth(fx - x0);
+        const tz = smooth(fz - z0);
+        const v00 = this.lattice(name, x0, z0);
+        const v10 = this.lattice(name, x0 + 1, z0);
+        const v01 = this.lattice(name, x0, z0 + 1);
+        const v11 = this.lattice(name, x0 + 1, z0 + 1);
+        const a = v00 + (v10 - v00) * tx;
+        const b = v01 + (v11 - v01) * tx;
+        return a + (b - a) * tz;
+    }
+
+    lattice(name, x, z) {
+        const key = `${this.random.seed}_${name}_${x}_${z}`;
+        let value = this.latticeCache.get(key);
+        if (value === undefined) {
+            value = this.random.stream(`district_${name}`, x, z)();
+            this.latticeCache.set(key, value);
+        }
+        return value;
+    }
+
+    // === Landfills ===
+
+    // The landfill in a region: the tile corner at (x, z), shared by tiles
+    // (cornerX..cornerX+1, cornerZ..cornerZ+1). Kept off region edges so landfills never touch
+    getLandfill(regionX, regionZ) {
+        const rng = this.random.stream('landfill', regionX, regionZ);
+        const size = this.landfillRegion;
+        const cornerX = regionX * size + 2 + Math.floor(rng() * (size - 4));
+        const cornerZ = regionZ * size + 2 + Math.floor(rng() * (size - 4));
+        return {
+            cornerX,
+            cornerZ,
+            x: (cornerX + 0.5) * this.tileSize,
+            z: (cornerZ + 0.5) * this.tileSize
+        };
+    }
+
+    isLandfillTile(gridX, gridZ) {
+        const size = this.landfillRegion;
+        const landfill = this.getLandfill(Math.floor(gridX / size), Math.floor(gridZ / size));
+        return (gridX === landfill.cornerX || gridX === landfill.cornerX + 1)
+            && (gridZ === landfill.cornerZ || gridZ === landfill.cornerZ + 1);
+    }
+
+    // Landfills whose regions lie within radius (m) of (x, z)
+    getLandfillsNear(x, z, radius) {
+        const regionMeters = this.landfillRegion * this.tileSize;
+        const minX = Math.floor((x - radius) / regionMeters);
+        const maxX = Math.floor((x + radius) / regionMeters);
+        const minZ = Math.floor((z - radius) / regionMeters);
+        const maxZ = Math.floor((z + radius) / regionMeters);
+        const landfills = [];
+        for (let rx = minX; rx <= maxX; rx++) {
+            for (let rz = minZ; rz <= maxZ; rz++) {
+                landfills.push(this.getLandfill(rx, rz));
+            }
+        }
+        return landfills;
+    }
+
+    // Landfill about `distance` from (fromX, fromZ): of those within `tolerance` of that distance,
+    // the one nearest the point in direction `angle`; otherwise the closest to the distance
+    findLandfill(fromX, fromZ, distance, angle, tolerance = 50) {
+        const targetX = fromX + Math.cos(angle) * distance;
+        const targetZ = fromZ + Math.sin(angle) * distance;
+        let best = null;
+        let bestScore = Infinity;
+        this.getLandfillsNear(fromX, fromZ, distance + this.landfillRegion * this.tileSize).forEach(landfill => {
+            const off = Math.abs(Math.hypot(landfill.x - fromX, landfill.z - fromZ) - distance);
+            const score = off <= tolerance
+                ? Math.hypot(landfill.x - targetX, landfill.z - targetZ)
+                : 1e6 + off;
+            if (score < bestScore) {
+                best = landfill;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // Nearest block of an archetype to (x, z), as a point setDestination snaps onto that block
+    // (a tile corner for landfills, otherwise inside the tile toward (x, z)); null if none in range
+    findNearest(x, z, archetype, maxTiles = 12) {
+        if (archetype === 'landfill') {
+            let best = null;
+            this.getLandfillsNear(x, z, this.landfillRegion * this.tileSize).forEach(landfill => {
+                if (!best || Math.hypot(landfill.x - x, landfill.z - z) < Math.hypot(best.x - x, best.z - z)) {
+                    best = landfill;
+                }
+            });
+            return best ? { x: best.x, z: best.z } : null;
+        }
+        const baseX = Math.round(x / this.tileSize);
+        const baseZ = Math.round(z / this.tileSize);
+        // Rings of tiles outward from the point's tile
+        for (let ring = 0; ring <= maxTiles; ring++) {
+            let best = null;
+            let bestDist = Infinity;
+            for (let gx = baseX - ring; gx <= baseX + ring; gx++) {
+                for (let gz = baseZ - ring; gz <= baseZ + ring; gz++) {
+                    if (Math.max(Math.abs(gx - baseX), Math.abs(gz - baseZ)) !== ring) continue;
+                    if (this.getArchetype(gx, gz) !== archetype) continue;
+                    const dist = Math.hypot(gx * this.tileSize - x, gz * this.tileSize - z);
+                    if (dist < bestDist) {
+                        best = { gx, gz };
+                        bestDist = dist;
+                    }
+                }
+            }
+            if (best) {
+                const tileX = best.gx * this.tileSize;
+                const tileZ = best.gz * this.tileSize;
+                return {
+                    x: tileX + (x >= tileX ? 1 : -1) * this.tileSize * 0.25,
+                    z: tileZ + (z >= tileZ ? 1 : -1) * this.tileSize * 0.25
+                };
+            }
+        }
+        return null;
+    }
+}
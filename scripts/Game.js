@@ -10,12 +10,47 @@ class Game {
         this.isRunning = false;
         this.isPaused = false;
         this.currentLevel = 1;
+        this.dailyChallenge = null; // { date, level } while playing the Daily Load
         
         this.score = {
             spaceEfficiency: 0,
-            stability: 100
+            stability: 100,
+            hintsUsed: 0
         };
         
+        // Placement hints: limited per level and each one costs efficiency points
+        this.hintsPerLevel = 3;
+        this.hintPenalty = 2;
+        
+        // Damaged goods: efficiency points lost per fully broken item (DamageModel)
+        this.damagePenalty = 10;
+        
+        // Crashing into traffic: efficiency points lost per car hit (TrafficSystem)
+        this.crashPenalty = 5;
+        
+        // Tie-down straps available per level (physics mode)
+        this.strapsPerLevel = 4;
+        
+        // Unloading out the open back: seconds per item, plus per item that has to be shifted
+        // out of the way first (stacked on it, or between it and the back)
+        this.unloadSecondsPerItem = 3;
+        this.unloadSecondsPerBlocker = 5;
+        this.unloadPhase = null; // { stop, ids, seconds, blocked, onDone } while unloading
+        
+        // Level clock (loading + driving; unloads add the seconds they cost) and par time
+        this.levelTime = 0;
+        this.parTime = 0;
+        this.timeWeight = 0.25; // Share of the level score that comes from time (the rest is packing)
+        
+        // Gas stations: park within refuelRadius of the pumps and refuel (E) at refuelRate
+        this.refuelRadius = 8;
+        this.refuelRate = 8;         // Liters per second
+        this.lowFuelFraction = 0.2;  // Below this the HUD warns and the minimap shows the nearest station
+        this.gasStation = null;      // Station the truck is parked at
+        this.nearestGasStation = null;
+        this.refueling = false;
+        this.outOfFuelTriggered = false;
+        
         // Destination for current level
         this.destination = { x: 0, z: 0 };
         this.destinationRadius = 15; // How close to get to complete delivery
@@ -26,6 +61,17 @@ class Game {
         this.pickupRadius = 40; // Allow pickup without entering the block
         this.isAtPickup = true; // Start at pickup location
         
+        // Route stops for the current level (RoutePlan); pickup follows the stop being loaded
+        this.route = null;
+        this.activeStop = null;    // Pickup stop the truck is at
+        this.unloadingStop = null; // Drop-off the truck is braking at
+        
+        // Turn-by-turn navigation to the next stop along the roads
+        this.roadRouter = new RoadRouter();
+        this.navigation = null;         // { stop, path, guidance } (see RoadRouter)
+        this.navigationInterval = 250;  // ms between re-routes
+        this._navigationAt = 0;
+        
         // Physics mode: when true, items use Havok physics; when false, items are parented to truck
         this.physicsEnabled = false;
 
@@ -36,7 +82,11 @@ class Game {
         this.itemManager = null;
         this.inputSystem = null;
         this.uiManager = null;
-        this.levelManager = new LevelManager();
+        
+        // Run seed: pinned with ?seed= in the URL, otherwise rolled for each new run
+        this.pinnedSeed = RandomService.seedFromUrl();
+        this.random = new RandomService(this.pinnedSeed ?? undefined);
+        this.levelManager = new LevelManager(this.random);
         this.physicsSystem = null;
         this.highScoreManager = new HighScoreManager();
         this.enablePerfStats = true;
@@ -75,8 +125,9 @@ class Game {
             
             // Create scene
             this.uiManager.updateLoadingProgress(20, 'Creating scene...');
-            this.sceneManager = new SceneManager(this.engine, this.canvas);
+            this.sceneManager = new SceneManager(this.engine, this.canvas, this.random);
             this.scene = await this.sceneManager.createScene();
+            this.roadRouter.network = this.sceneManager.roadNetwork;
             this.initPhysicsPerfObservers();
             
             // Init audio
@@ -87,6 +138,8 @@ class Game {
             this.truck = new Truck(this.scene, this.sceneManager, this.audioManager);
             this.truck.create();
             this.truck.initDriving();
+            this.damageModel = new DamageModel(this.truck);
+            this.truck.damageModel = this.damageModel;
             this.truck.enablePerfStats = this.enablePerfStats;
             this.sceneManager.setFollowTarget(this.truck);
             this.applyDebugToggles();
@@ -94,8 +147,21 @@ class Game {
             // Create item manager
             this.uiManager.updateLoadingProgress(70, 'Preparing items...');
             this.itemManager = new ItemManager(this.scene, this.sceneManager, this.truck, this.audioManager, this);
+            this.placementHistory = new PlacementHistory(this);
             this.sceneManager.itemManager = this.itemManager; // Allow SceneManager to check if item is held
             await this.itemManager.preloadModels();
+            this.packingAnalyzer = new PackingAnalyzer(this.truck);
+            this.itemManager.supportAnalyzer = new SupportAnalyzer(this.truck, this.packingAnalyzer);
+            this.packingSolver = new PackingSolver(this.truck, this.packingAnalyzer);
+            this.itemManager.placementSnap = new PlacementSnap(this.truck, this.packingAnalyzer);
+            this.tieDownStraps = new TieDownStraps(this);
+            this.trafficSystem = new TrafficSystem(this);
+            this.truck.trafficSystem = this.trafficSystem;
+            this.dayNight = new DayNightCycle(this);
+            this.weather = new WeatherSystem(this);
+            
+            // Load level definitions and item templates
+            await this.levelManager.init();
             
             // Create physics system with fall-out callback (if method exists)
             this.physicsSystem = new PhysicsSystem(this.scene);
@@ -175,7 +241,7 @@ class Game {
                 if (this.scene) {
                     // Update truck driving (always, even when paused for fun)
                     if (this.isRunning) {
-                        const inputEnabled = !this.uiManager.modalBlocking;
+                        const inputEnabled = !this.uiManager.modalBlocking && !this.unloadPhase;
                         if (!this._loggedRunning) {
                             this._loggedRunning = true;
                         }
@@ -311,14 +377,31 @@ class Game {
         });
     }
     
-    startAtLevel(level) {
+    // Daily Load: the seed comes from the date, so everyone gets the same items, pickup and drop-off
+    startDailyChallenge() {
+        const date = this.highScoreManager.getDailyKey();
+        this.setRunSeed(`daily-${date}`);
+        const level = this.levelManager.getDailyLevel();
+        this.startAtLevel(level, { daily: { date, level } });
+    }
+    
+    startAtLevel(level, options = {}) {
         this.currentLevel = level;
+        this.dailyChallenge = options.daily || null;
         
         // Reset game state
         this.hasArrivedAtDestination = false;
         this.fallOutTriggered = false;
         this.isAtPickup = true;
-        this.score = { spaceEfficiency: 0, stability: 100 };
+        this.activeStop = null;
+        this.unloadingStop = null;
+        this.unloadPhase = null;
+        this.score = { spaceEfficiency: 0, stability: 100, hintsUsed: 0 };
+        this.levelTime = 0;
+        this.resetFuel();
+        this.clearNavigation();
+        this.trafficSystem.reset();
+        console.log(`🎲 Run seed ${this.random.seed}, level ${level}`);
         
         // Reset truck position
         this.truck.position.x = 0;
@@ -329,19 +412,17 @@ class Game {
         this.truck.applyTransform();
         
         // Clear any existing items
+        this.tieDownStraps.clear(); // Constraints go before the item bodies
         this.itemManager.clearAll();
+        this.placementHistory.clear();
+        this.damageModel.reset();
         
         this.uiManager.hideStartScreen();
         this.uiManager.updateLevel(this.currentLevel);
         this.uiManager.reset();
         
-        // Generate pickup and destination FIRST (so they're not at 0,0)
-        this.generatePickup();
-        this.generateDestination();
-        
-        // Load items (so areAllItemsPlaced won't return true for empty)
-        this.levelManager.loadLevel(this.currentLevel, this);
-        this.spawnGroundItems();
+        // Items, route stops and destination (so areAllItemsPlaced won't return true for empty)
+        this.setupLevel();
         
         // NOW enable the game loop - destination and items are ready
         this.isRunning = true;
@@ -361,12 +442,28 @@ class Game {
         // Update speedometer (convert m/s to MPH: 1 m/s = 2.237 mph)
         this.updateSpeedometer();
         
+        // Level clock stops while unloading (each pull is timed) and once the load is delivered
+        const dt = Math.min(this.engine.getDeltaTime() / 1000, 0.1);
+        if (!this.unloadPhase && !this.hasArrivedAtDestination) {
+            this.levelTime += dt;
+        }
+        
         // Check if at pickup location
         this.checkPickupProximity();
         
         // Check if arrived at destination
         this.checkDestinationArrival();
         
+        // Refueling, and running dry
+        this.updateFuel(dt);
+        
+        this.updateNavigation();
+        
+        this.dayNight.update(dt);
+        this.weather.update(dt);
+        this.trafficSystem.update(dt);
+        this.sceneManager.streetFurniture.update(dt);
+        
         // Check for fallen items using truck-local coordinates (not AABB bounds)
         const floorY = this.truck.getFloorTopY();
         const truckX = this.truck.position.x;
@@ -420,11 +517,21 @@ class Game {
             }
         });
         
-        // Trigger loss if item fell out
-        if (newlyFallen > 0) {
+        // Trigger loss if item fell out (not while items are being pulled out the back)
+        if (newlyFallen > 0 && !this.unloadPhase) {
             this.onItemFellOut(null);
         }
         
+        // Show wear on items that took damage this frame
+        this.itemManager.placedItems.forEach(item => {
+            if (!item.damageChanged) return;
+            item.damageChanged = false;
+            this.itemManager.applyWear(item);
+        });
+        
+        // Strapped items get their constraints once their physics bodies are ready
+        this.tieDownStraps.update();
+        
         // Update score
         this.updateScore();
         
@@ -507,10 +614,125 @@ class Game {
         }
     }
     
+    // Stop to navigate to: nothing while loading or unloading, otherwise the nearest stop the
+    // route allows next (the landfill once everything else is done)
+    getNavigationTarget() {
+        if (!this.route || this.unloadPhase || this.hasArrivedAtDestination) return null;
+        if (this.activeStop && !this.isStopLoaded(this.activeStop)) return null;
+        const next = this.route.getNextStop(this.truck.position.x, this.truck.position.z, this.activeStop);
+        return next || this.route.getFinal();
+    }
+    
+    // Re-route a few times a second (and whenever the target changes); the arrow follows every frame
+    updateNavigation() {
+        const stop = this.getNavigationTarget();
+        if (!stop) {
+            if (this.navigation) this.clearNavigation();
+            return;
+        }
+        
+        const truck = this.truck;
+        const now = performance.now();
+        if (!this.navigation || this.navigation.stop !== stop || now - this._navigationAt > this.navigationInterval) {
+            this._navigationAt = now;
+            const forward = { x: -Math.sin(truck.rotation), z: -Math.cos(truck.rotation) };
+            const target = stop.site ? stop.site.itemSpawn : stop;
+            const path = this.roadRouter.findPath(truck.position.x, truck.position.z, target.x, target.z, forward);
+            this.navigation = path
+                ? { stop, path, guidance: this.roadRouter.getGuidance(path, forward, 20) }
+                : null;
+            this.uiManager.updateNavigation(this.navigation);
+        }
+        if (this.navigation) {
+            this.sceneManager.updateGuidanceArrow(truck.position, this.navigation.guidance.lookahead, stop.type);
+        } else {
+            this.sceneManager.hideGuidanceArrow();
+        }
+    }
+    
+    clearNavigation() {
+        this.navigation = null;
+        this.sceneManager.hideGuidanceArrow();
+        this.uiManager.updateNavigation(null);
+    }
+    
+    // Full tank and no station for a new or restarted level
+    resetFuel() {
+        this.truck.fuel = this.truck.fuelCapacity;
+        this.gasStation = null;
+        this.nearestGasStation = null;
+        this.refueling = false;
+        this.outOfFuelTriggered = false;
+        this._gasSearchAt = 0;
+    }
+    
+    updateFuel(dt) {
+        const truck = this.truck;
+        const x = truck.position.x;
+        const z = truck.position.z;
+        const station = this.sceneManager.getGasStationNear(x, z, this.refuelRadius);
+        if (station !== this.gasStation) {
+            this.gasStation = station;
+            this.refueling = false;
+            if (station) console.log(`⛽ At gas station ${station.tileKey}`);
+        }
+        
+        if (this.refueling) {
+            if (Math.abs(truck.speed) > 0.5 || truck.fuel >= truck.fuelCapacity) {
+                this.refueling = false;
+                console.log(`⛽ Refueled to ${Math.round(truck.getFuelFraction() * 100)}%`);
+            } else {
+                truck.refuel(this.refuelRate * dt);
+            }
+        }
+        
+        // Nearest station for the minimap (tile lookups are cached, but no need to do it every frame)
+        const now = performance.now();
+        if (now - this._gasSearchAt > 500) {
+            this._gasSearchAt = now;
+            this.nearestGasStation = truck.getFuelFraction() < this.lowFuelFraction
+                ? this.sceneManager.getGasStationsNear(x, z, 1500)[0] || null
+                : null;
+        }
+        this.uiManager.updateFuel();
+        
+        // Dry tank and stopped anywhere but a pump
+        if (truck.fuel <= 0 && !this.gasStation && Math.abs(truck.speed) < 0.5
+            && !this.hasArrivedAtDestination && !this.unloadPhase) {
+            this.onOutOfFuel();
+        }
+    }
+    
+    // E / Refuel button: start or stop filling up (truck must be stopped at the pumps)
+    toggleRefuel() {
+        if (!this.isRunning || this.isPaused) return;
+        if (this.refueling) {
+            this.refueling = false;
+            return;
+        }
+        if (!this.gasStation || Math.abs(this.truck.speed) > 0.5 || this.truck.fuel >= this.truck.fuelCapacity) {
+            this.audioManager.playSound('error');
+            return;
+        }
+        this.refueling = true;
+    }
+    
+    onOutOfFuel() {
+        if (this.outOfFuelTriggered || this.fallOutTriggered) return;
+        this.outOfFuelTriggered = true;
+        this.audioManager.playSound('error');
+        
+        setTimeout(() => {
+            if (!this.isPaused) {
+                this.loseLevel('Ran out of fuel!');
+            }
+        }, 800);
+    }
+    
     onItemFellOut(item) {
         // Item fell out of truck - this is a loss!
         // Only trigger once (prevent multiple calls)
-        if (this.fallOutTriggered) return;
+        if (this.fallOutTriggered || this.outOfFuelTriggered) return;
         this.fallOutTriggered = true;
         
         
@@ -519,16 +741,22 @@ class Game {
         // Short delay then show loss screen
         setTimeout(() => {
             if (!this.isPaused) {
-                this.itemFellOutLoss();
+                this.loseLevel('Item fell out of the truck!');
             }
         }, 800);
     }
     
-    itemFellOutLoss() {
+    loseLevel(reason) {
         this.pause();
         
+        // Daily Load failures don't touch the main board - just offer a retry
+        if (this.dailyChallenge) {
+            this.uiManager.showResults(this.score, false, 'Daily Load Failed');
+            return;
+        }
+        
         // Show game over screen with high score submission
-        this.highScoreManager.showGameOver(this.currentLevel, 'Item fell out of the truck!');
+        this.highScoreManager.showGameOver(this.currentLevel, reason);
         
         // Setup play again button - restart current level, not back to level 1
         const btnPlayAgain = document.getElementById('btn-play-again');
@@ -541,28 +769,134 @@ class Game {
         }
     }
     
-    updateScore() {
-        const usedVolume = this.truck.getUsedVolume(this.itemManager.placedItems);
-        // Truck capacity is fixed at 25 cubic yards
-        const cubicYardToCubicMeter = 0.764555;
+    updateScore(force = false) {
+        const placedItems = this.itemManager.placedItems;
+        // Voxelizing the bed isn't free: redo it when the load changes,
+        // or periodically in physics mode where items shift while driving
+        const now = performance.now();
+        const countChanged = placedItems.length !== this._packingItemCount;
+        const physicsStale = this.physicsEnabled && now - (this._packingTime || 0) > 500;
+        if (force || countChanged || physicsStale || !this.score.packing) {
+            this.score.packing = this.packingAnalyzer.analyze(placedItems);
+            this._packingItemCount = placedItems.length;
+            this._packingTime = now;
+        }
+        
+        // Truck capacity is fixed at 25 cubic yards; filled share of the bed maps onto that
         const targetCapacityYd = 25;
-        // Scale so two green test boxes (2.1 x 1.6 x 2.8 each) equal 25 yd³
-        const volumeScale = 1.016;
-        // Buffer for real-world inefficiency (voids, odd shapes)
-        const bufferFactor = 1.0;
-        const usedYd = (usedVolume / cubicYardToCubicMeter) * volumeScale * bufferFactor;
-
-        this.score.spaceEfficiency = Math.round((usedYd / targetCapacityYd) * 100);
-        this.score.usedCubicYards = usedYd;
+        // Route levels unload along the way: the fullest load hauled is the one scored
+        const live = this.score.packing;
+        const peak = this.score.peakPacking;
+        const packing = peak && peak.occupiedFraction > live.occupiedFraction ? peak : live;
+        const hintCost = (this.score.hintsUsed || 0) * this.hintPenalty;
+        const damaged = placedItems.concat(this.itemManager.deliveredItems)
+            .filter(item => (item.damage || 0) >= 0.01);
+        const damageCost = Math.round(damaged.reduce((sum, item) => sum + item.damage, 0) * this.damagePenalty);
+        this.score.crashes = this.trafficSystem.crashes;
+        const crashCost = this.score.crashes * this.crashPenalty;
+        this.score.damage = {
+            cost: damageCost,
+            items: damaged.map(item => ({ id: item.id, name: this.getItemName(item.id), damage: item.damage }))
+        };
+        this.score.spaceEfficiency = Math.max(0, Math.round(packing.efficiency * 100) - hintCost - damageCost - crashCost);
+        this.score.usedCubicYards = live.occupiedFraction * targetCapacityYd;
+        
+        // Time score: 100 at or under par, falling off as par / time beyond it
+        const timeSeconds = this.getLevelTime();
+        this.score.timeSeconds = timeSeconds;
+        this.score.parSeconds = this.parTime;
+        this.score.timeScore = timeSeconds > this.parTime
+            ? Math.round(100 * this.parTime / timeSeconds)
+            : 100;
+        this.score.total = Math.round((1 - this.timeWeight) * this.score.spaceEfficiency + this.timeWeight * this.score.timeScore);
         
         // Stability no longer shown, but kept for internal tracking
-        const totalItems = this.itemManager.placedItems.length;
+        const totalItems = placedItems.length;
         const stableItems = this.itemManager.getStableItemCount();
         this.score.stability = totalItems > 0 ? Math.round((stableItems / totalItems) * 100) : 100;
     }
     
+    // Seconds on the level clock plus time spent unloading
+    getLevelTime() {
+        return this.levelTime + (this.score.unloadSeconds || 0);
+    }
+    
+    getItemName(itemId) {
+        const def = this.itemManager.itemDefinitions.find(d => d.id === itemId);
+        return def ? def.name : itemId;
+    }
+    
+    // Keep the fullest load seen before part of it comes off at a drop-off
+    recordPeakLoad() {
+        this.updateScore(true);
+        const packing = this.score.packing;
+        const peak = this.score.peakPacking;
+        if (peak && peak.occupiedFraction >= packing.occupiedFraction) return;
+        this.score.peakPacking = packing;
+        this.score.peakItemIds = this.itemManager.placedItems
+            .filter(item => !item.isFallen)
+            .map(item => item.id);
+    }
+    
+    // Show a recommended spot for the held item, based on what's in the truck and still on the ground
+    requestHint() {
+        if (!this.isRunning || this.isPaused || !this.isAtPickup) return;
+        const itemManager = this.itemManager;
+        const heldDef = itemManager.previewItemDef;
+        if (!heldDef || itemManager.hintMesh) return;
+        if (this.score.hintsUsed >= this.hintsPerLevel) {
+            this.audioManager.playSound('error');
+            return;
+        }
+        
+        const fixedBoxes = itemManager.placedItems
+            .filter(item => item.isPlaced && !item.isFallen)
+            .map(item => this.packingAnalyzer.getItemBox(item))
+            .filter(Boolean)
+            .map(box => this.packingSolver.fromAnalyzerBox(box));
+        const remaining = itemManager.groundItems
+            .filter(gi => gi !== itemManager.heldGroundItem && !gi.itemDef.isTest)
+            .map(gi => ({ id: gi.id, name: gi.itemDef.name, size: itemManager.getItemBoxSize(gi.itemDef) }));
+        const held = { id: heldDef.id, name: heldDef.name, size: itemManager.getItemBoxSize(heldDef) };
+        
+        const placement = this.packingSolver.suggest(fixedBoxes, held, remaining);
+        if (!placement) {
+            console.log(`💡 Hint: no room left for ${held.name}`);
+            this.audioManager.playSound('error');
+            return;
+        }
+        
+        this.score.hintsUsed++;
+        itemManager.showHint(placement);
+        this.uiManager.updateHintButton();
+        console.log(`💡 Hint: ${held.name} at (${placement.x.toFixed(2)}, ${placement.z.toFixed(2)}), ${Math.round(placement.rotation * 180 / Math.PI)}° (${this.hintsPerLevel - this.score.hintsUsed} left)`);
+    }
+    
+    // Solver reference load for the current level (cached - seed + level fix the item list).
+    // itemIds limits it to part of the level's items (one leg of a route)
+    getBestPacking(itemIds = null) {
+        const key = `${this.random.seed}|${this.currentLevel}|${itemIds ? itemIds.join(',') : 'all'}`;
+        if (this.bestPacking && this.bestPacking.key === key) return this.bestPacking;
+        
+        const items = this.itemManager.itemDefinitions
+            .filter(def => !def.optional && !def.isTest && (!itemIds || itemIds.includes(def.id)))
+            .map(def => ({
+                id: def.id,
+                name: def.name,
+                size: this.itemManager.getItemBoxSize(def),
+                underSpace: this.itemManager.getUnderSpace(def)
+            }));
+        const startTime = performance.now();
+        const result = this.packingSolver.solve(items);
+        console.log(`📐 Best known load: ${Math.round(result.efficiency * 100)}% (${result.placements.length}/${items.length} items, ${Math.round(performance.now() - startTime)}ms)`);
+        
+        this.bestPacking = { key, ...result };
+        return this.bestPacking;
+    }
+    
     checkDestinationArrival() {
         if (this.hasArrivedAtDestination) return;
+        this.checkDropoffArrival();
         
         const dx = this.destination.x - this.truck.position.x;
         const dz = this.destination.z - this.truck.position.z;
@@ -576,94 +910,280 @@ class Game {
                 return;
             }
             
+            // Every other route stop comes first
+            const final = this.route.getFinal();
+            if (!this.route.isAvailable(final)) return;
             
             this.hasArrivedAtDestination = true;
             
             // Auto-brake instead of instantly stopping
             this.truck.applyAutoBrake(0.7);
             
-            // Show arrival success after a moment
+            // Unload everything out the back, then show the results
             setTimeout(() => {
-                this.completeLevel();
+                if (this.route.getFinal() !== final) return; // Level was reset while braking
+                this.startUnloadPhase(final, () => {
+                    final.done = true;
+                    this.completeLevel();
+                });
             }, 500);
         }
     }
     
-    generatePickup() {
-        // Pickup is a bit away from start - at a nearby grass quadrant
-        // Use 100m base distance in a random direction
-        const angle = Math.random() * Math.PI * 2;
-        const baseDistance = 100;
-        
-        const rawX = Math.cos(angle) * baseDistance;
-        const rawZ = Math.sin(angle) * baseDistance;
-        
-        // Snap to tile center
-        const tileX = Math.round(rawX / 50) * 50;
-        const tileZ = Math.round(rawZ / 50) * 50;
-        const quadrantCenter = 25;
+    // Items, route stops and ground piles for the current level
+    setupLevel() {
+        this.levelManager.loadLevel(this.currentLevel, this);
         
-        // Pick the quadrant closest to the raw position
-        const quadrantX = rawX >= tileX ? quadrantCenter : -quadrantCenter;
-        const quadrantZ = rawZ >= tileZ ? quadrantCenter : -quadrantCenter;
+        // The level's time of day (headlights come on by themselves after dark)
+        const timeOfDay = this.levelManager.currentLevelData.timeOfDay;
+        this.dayNight.setTime(DayNightCycle.TIMES[timeOfDay]);
+        console.log(`${timeOfDay === 'night' ? '🌙' : '☀️'} Level ${this.currentLevel} starts at ${timeOfDay}`);
         
-        this.pickup.x = tileX + quadrantX;
-        this.pickup.z = tileZ + quadrantZ;
+        // ...and its weather (fog range, road grip, load friction, rain or snow)
+        const weather = this.levelManager.currentLevelData.weather;
+        this.weather.setWeather(weather);
+        if (weather !== 'clear') console.log(`🌧️ Level ${this.currentLevel} weather: ${weather}`);
         
-        // Tell SceneManager to create pickup marker
-        this.sceneManager.setPickup(this.pickup.x, this.pickup.z);
+        this.generateRoute();
+        this.spawnGroundItems();
+        this.parTime = this.levelManager.getParTime(this.route.getDistance());
+        console.log(`⏱️ Par time ${this.parTime}s`);
+    }
+    
+    // Place the level's stops: each pickup / drop-off a pickup-distance hop from the one before
+    // (the first from the start), then the landfill at the destination
+    generateRoute() {
+        this.route = RoutePlan.fromLevel(this.levelManager.currentLevelData);
+        this.activeStop = null;
+        this.unloadingStop = null;
+        this.generateDestination();
+        this.sceneManager.removePickup();
         
+        const distance = this.levelManager.getPickupDistance(this.currentLevel);
+        let from = { x: 0, z: 0 };
+        this.route.stops.forEach((stop, index) => {
+            if (stop.type === 'final') {
+                stop.x = this.destination.x;
+                stop.z = this.destination.z;
+                return;
+            }
+            // The first stop keeps the single-pickup stream, so those levels look the same
+            const rng = index === 0
+                ? this.random.stream('pickup', this.currentLevel)
+                : this.random.stream(stop.type, this.currentLevel, index);
+            const spot = this.findStopSpot(from, distance, rng);
+            stop.x = spot.x;
+            stop.z = spot.z;
+            stop.site = this.sceneManager.addStopSite(spot.x, spot.z, stop.type);
+            from = spot;
+        });
         
+        const first = this.route.stops[0];
+        this.pickup.x = first.x;
+        this.pickup.z = first.z;
+        this.uiManager.updateRouteManifest();
+        if (this.route.isMultiStop()) {
+            console.log(`🚩 Route (${this.route.order}): ${this.route.stops.map(stop => stop.name).join(' → ')}`);
+        }
     }
     
-    // Spawn items on the ground at pickup location (call after loadLevel)
+    // A grass quadrant center about `distance` from a point in a random direction,
+    // kept clear of the other stops so their radii don't overlap, and out of landfills.
+    // The stop's driveway runs south to the road between the two tiles below it, so that road must exist
+    findStopSpot(from, distance, rng) {
+        const taken = this.route.stops.filter(stop => stop.site).concat([this.destination]);
+        const districtMap = this.sceneManager.districtMap;
+        const roadNetwork = this.sceneManager.roadNetwork;
+        const tileSize = this.sceneManager.groundTileSize;
+        const quadrantCenter = tileSize / 2;
+        let spot = null;
+        for (let attempt = 0; attempt < 12; attempt++) {
+            const angle = rng() * Math.PI * 2;
+            const rawX = from.x + Math.cos(angle) * distance;
+            const rawZ = from.z + Math.sin(angle) * distance;
+            
+            // Snap to tile center
+            const tileX = Math.round(rawX / tileSize) * tileSize;
+            const tileZ = Math.round(rawZ / tileSize) * tileSize;
+            
+            // Pick the quadrant closest to the raw position
+            const quadrantX = rawX >= tileX ? quadrantCenter : -quadrantCenter;
+            const quadrantZ = rawZ >= tileZ ? quadrantCenter : -quadrantCenter;
+            spot = { x: tileX + quadrantX, z: tileZ + quadrantZ };
+            
+            // The four tiles meeting at the spot's corner
+            const cornerX = Math.round((spot.x - quadrantCenter) / tileSize);
+            const cornerZ = Math.round((spot.z - quadrantCenter) / tileSize);
+            const inLandfill = [[0, 0], [1, 0], [0, 1], [1, 1]]
+                .some(([dx, dz]) => districtMap.isLandfillTile(cornerX + dx, cornerZ + dz));
+            const clear = !inLandfill
+                && !!roadNetwork.getEdge(cornerX, cornerZ, 1)
+                && taken.every(p => Math.hypot(p.x - spot.x, p.z - spot.z) >= this.pickupRadius * 2);
+            if (clear) break;
+        }
+        return spot;
+    }
+    
+    // Spawn items on the ground at each pickup stop (call after generateRoute)
     spawnGroundItems() {
-        // Use the driveway spawn position if available, otherwise use pickup center
-        const spawnPos = this.sceneManager.pickupItemSpawn || this.pickup;
-        this.itemManager.spawnItemsAtPickup(spawnPos.x, spawnPos.z);
+        this.itemManager.clearGroundItems();
+        this.route.stops.forEach(stop => {
+            if (stop.type !== 'pickup') return;
+            // Use the driveway spawn position if available, otherwise use the stop center
+            const spawnPos = (stop.site && stop.site.itemSpawn) || stop;
+            const defs = this.itemManager.itemDefinitions.filter(def => stop.itemIds.includes(def.id));
+            this.itemManager.spawnItemsAtPickup(spawnPos.x, spawnPos.z, defs);
+        });
+    }
+    
+    // Route levels: only the items waiting at the pickup the truck is at can be loaded
+    canLoadItem(itemDef) {
+        const stop = this.route && this.route.getStopForItem(itemDef.id);
+        return !stop || stop === this.activeStop;
+    }
+    
+    // All of a pickup's items are aboard (or already delivered)
+    isStopLoaded(stop) {
+        return stop.itemIds.every(id => {
+            const def = this.itemManager.itemDefinitions.find(d => d.id === id);
+            return !def || def.optional || def.isTest || def.placed || def.delivered;
+        });
+    }
+    
+    finishStop(stop) {
+        stop.done = true;
+        this.sceneManager.setStopSiteDone(stop.site);
+        this.uiManager.updateRouteManifest();
+        console.log(`🚩 Route stop done: ${stop.name}`);
     }
     
     checkPickupProximity() {
-        const dx = this.pickup.x - this.truck.position.x;
-        const dz = this.pickup.z - this.truck.position.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
+        const stop = this.route
+            ? this.route.getStopNear(this.truck.position.x, this.truck.position.z, this.pickupRadius, 'pickup')
+            : null;
+        
+        // Driving away from a pickup with all of its items aboard finishes that stop
+        if (this.activeStop && this.activeStop !== stop && this.isStopLoaded(this.activeStop)) {
+            this.finishStop(this.activeStop);
+        }
+        this.activeStop = stop;
+        if (stop) {
+            this.pickup.x = stop.x;
+            this.pickup.z = stop.z;
+        }
         
         const wasAtPickup = this.isAtPickup;
-        this.isAtPickup = distance <= this.pickupRadius;
+        this.isAtPickup = !!stop;
         
         // Update UI if state changed
         if (wasAtPickup !== this.isAtPickup) {
             this.uiManager.setPickupMode(this.isAtPickup, this.itemManager.areAllItemsPlaced());
+            // Once the truck drives off the load can shift, so old actions can't be replayed
+            if (!this.isAtPickup) {
+                this.placementHistory.clear();
+                if (this.tieDownStraps.active) this.tieDownStraps.setActive(false);
+                if (this.physicsEnabled && this.truck.loadedItems.length > 0 && this.tieDownStraps.straps.length === 0) {
+                    console.warn('🪢 Driving off with an unstrapped load');
+                }
+            }
         }
     }
     
-    generateDestination() {
-        // Generate destination based on level (further away for higher levels)
-        const baseDistance = 200 + (this.currentLevel * 150);
-        const angle = Math.random() * Math.PI * 2;
-        
-        // Calculate raw position
-        const rawX = Math.cos(angle) * baseDistance;
-        const rawZ = Math.sin(angle) * baseDistance;
-        
-        // Find the nearest tile center (multiples of 50)
-        const tileX = Math.round(rawX / 50) * 50;
-        const tileZ = Math.round(rawZ / 50) * 50;
+    // Route drop-offs: pull up at the house and unload the items it takes
+    checkDropoffArrival() {
+        if (!this.route || this.unloadingStop || this.unloadPhase) return;
+        const stop = this.route.getStopNear(this.truck.position.x, this.truck.position.z, this.pickupRadius, 'dropoff');
+        if (!stop) return;
         
-        // Position at the tile corner (25m from center)
-        // This spans the grass corners of adjacent tiles
-        const exactQuadrantCenter = 25;
-        const quadrantX = rawX >= tileX ? exactQuadrantCenter : -exactQuadrantCenter;
-        const quadrantZ = rawZ >= tileZ ? exactQuadrantCenter : -exactQuadrantCenter;
-        
-        // Destination is the EXACT grass quadrant center
-        this.destination.x = tileX + quadrantX;
-        this.destination.z = tileZ + quadrantZ;
+        this.unloadingStop = stop;
+        this.truck.applyAutoBrake(0.7);
+        setTimeout(() => {
+            // The level may have been reset while braking
+            if (!this.route.stops.includes(stop) || stop.done) return;
+            this.startUnloadPhase(stop, () => this.finishStop(stop));
+        }, 500);
+    }
+    
+    // Items come off one at a time out the open back: click them, or U / the button for the
+    // easiest one. Pulling an item others block costs the time to shift those first.
+    // The truck stays put until the stop's items (all of them at the landfill) are off
+    startUnloadPhase(stop, onDone) {
+        this.recordPeakLoad();
+        const ids = this.itemManager.placedItems
+            .filter(item => !item.isFallen && (stop.type === 'final' || stop.itemIds.includes(item.id)))
+            .map(item => item.id);
+        this.unloadPhase = { stop, ids, seconds: 0, blocked: 0, onDone };
+        if (ids.length === 0) {
+            this.finishUnloadPhase();
+            return;
+        }
+        this.uiManager.showUnloadPanel(this.unloadPhase);
+        console.log(`📤 Unloading ${ids.length} item(s) at ${stop.name}`);
+    }
+    
+    unloadItem(placedItem) {
+        const phase = this.unloadPhase;
+        if (!phase || this.isPaused || !placedItem || !phase.ids.includes(placedItem.id)) {
+            this.audioManager.playSound('error');
+            return false;
+        }
+        const blockers = this.itemManager.getUnloadBlockers(placedItem);
+        const seconds = this.unloadSecondsPerItem + blockers.length * this.unloadSecondsPerBlocker;
+        phase.seconds += seconds;
+        phase.blocked += blockers.length;
+        this.score.unloadSeconds = (this.score.unloadSeconds || 0) + seconds;
+        this.score.unloadBlocked = (this.score.unloadBlocked || 0) + blockers.length;
+        if (blockers.length > 0) {
+            console.log(`📤 ${placedItem.id} was blocked by ${blockers.map(item => item.id).join(', ')} (+${seconds}s)`);
+        }
         
-        // Tell SceneManager to create gravel at exact same position
-        this.sceneManager.setDestination(rawX, rawZ);
+        this.itemManager.unloadItems([placedItem.id]);
+        phase.ids = phase.ids.filter(id => id !== placedItem.id);
+        this.audioManager.playSound('place');
+        if (phase.ids.length === 0) {
+            this.finishUnloadPhase();
+        } else {
+            this.uiManager.showUnloadPanel(phase);
+        }
+        return true;
+    }
+    
+    // The item that's quickest to get out (fewest in the way, nearest the back)
+    unloadNext() {
+        const phase = this.unloadPhase;
+        if (!phase) return false;
+        const candidates = this.itemManager.placedItems
+            .filter(item => phase.ids.includes(item.id))
+            .map(item => ({ item, blockers: this.itemManager.getUnloadBlockers(item).length }))
+            .sort((a, b) => a.blockers - b.blockers || b.item.localZ - a.item.localZ);
+        return candidates.length > 0 && this.unloadItem(candidates[0].item);
+    }
+    
+    finishUnloadPhase() {
+        const phase = this.unloadPhase;
+        this.unloadPhase = null;
+        this.unloadingStop = null;
+        this.uiManager.hideUnloadPanel();
+        this.updateScore(true);
+        console.log(`📤 Unloaded at ${phase.stop.name} in ${phase.seconds}s (${phase.blocked} item(s) shifted out of the way)`);
+        phase.onDone();
+    }
+    
+    generateDestination() {
+        // Generate destination based on level (further away for higher levels, unless overridden)
+        const baseDistance = this.levelManager.getDestinationDistance(this.currentLevel);
+        const rng = this.random.stream('destination', this.currentLevel);
+        const angle = rng() * Math.PI * 2;
         
+        // The drop-off is the landfill about that far out, as near that direction as there is one
+        const landfill = this.sceneManager.districtMap.findLandfill(0, 0, baseDistance, angle);
+        const rawX = landfill ? landfill.x : Math.cos(angle) * baseDistance;
+        const rawZ = landfill ? landfill.z : Math.sin(angle) * baseDistance;
         
+        // SceneManager snaps it onto the landfill's corner and builds the gravel pad there
+        this.sceneManager.setDestination(rawX, rawZ, 'landfill');
+        this.destination.x = this.sceneManager.destinationPos.x;
+        this.destination.z = this.sceneManager.destinationPos.z;
     }
     
     pause() {
@@ -677,30 +1197,64 @@ class Game {
     }
     
     completeLevel() {
+        this.updateScore(true);
+        // Results break down the scored load - the fullest one hauled on routes with drop-offs
+        const peak = this.score.peakPacking;
+        if (peak && peak.occupiedFraction > this.score.packing.occupiedFraction) {
+            this.score.packing = peak;
+            this.score.best = this.getBestPacking(this.score.peakItemIds);
+        } else {
+            const liveIds = this.itemManager.deliveredItems.length > 0
+                ? this.itemManager.placedItems.map(item => item.id)
+                : null;
+            this.score.best = this.getBestPacking(liveIds);
+        }
+        if (this.dailyChallenge) {
+            this.completeDailyChallenge();
+            return;
+        }
+        
         // Save high score - they've reached the NEXT level by completing this one
         const reachedLevel = this.currentLevel + 1;
-        this.highScoreManager.submitScore(reachedLevel, this.score.spaceEfficiency);
+        this.highScoreManager.submitScore(reachedLevel, this.score.spaceEfficiency, {
+            completedLevel: this.currentLevel,
+            timeSeconds: Math.round(this.score.timeSeconds),
+            parSeconds: this.score.parSeconds,
+            score: this.score.total
+        });
         
         this.uiManager.showResults(this.score, true);
         this.audioManager.playSound('complete');
     }
     
+    completeDailyChallenge() {
+        const date = this.dailyChallenge.date;
+        this.uiManager.showResults(this.score, true, 'Daily Load Complete!');
+        this.audioManager.playSound('complete');
+        
+        this.highScoreManager.submitDailyScore(date, this.score.spaceEfficiency).then((result) => {
+            const parts = [];
+            if (result && result.streak) parts.push(`🔥 ${result.streak}-day streak`);
+            if (result && result.rank) parts.push(`Rank #${result.rank} today`);
+            this.uiManager.setResultsNote(parts.join(' · '));
+        });
+    }
+    
     nextLevel() {
+        // The Daily Load is a single load - there is no next level
+        if (this.dailyChallenge) {
+            this.quit();
+            return;
+        }
         this.currentLevel++;
         this.resetLevel();
-        this.generatePickup();
-        this.generateDestination();
-        this.levelManager.loadLevel(this.currentLevel, this);
-        this.spawnGroundItems();
+        this.setupLevel();
         this.resume();
     }
     
     restartLevel() {
         this.resetLevel();
-        this.generatePickup();
-        this.generateDestination();
-        this.levelManager.loadLevel(this.currentLevel, this);
-        this.spawnGroundItems();
+        this.setupLevel();
         this.resume();
     }
     
@@ -708,32 +1262,50 @@ class Game {
         // Reset to level 1 and start fresh
         this.currentLevel = 1;
         this.resetLevel();
-        this.generatePickup();
-        this.generateDestination();
-        this.levelManager.loadLevel(this.currentLevel, this);
-        this.spawnGroundItems();
+        this.setupLevel();
         this.uiManager.updateLevel(this.currentLevel);
         this.resume();
     }
 
+    // Switch the run seed and rebuild everything derived from it
+    setRunSeed(seed) {
+        this.random.setSeed(seed);
+        if (this.sceneManager) {
+            this.sceneManager.regenerateHouses();
+        }
+        console.log(`🎲 Run seed set to ${this.random.seed}`);
+    }
+
     togglePhysics() {
         this.physicsEnabled = !this.physicsEnabled;
+        // Straps are Havok constraints; they don't carry over to parented mode
+        if (this.tieDownStraps) this.tieDownStraps.clear();
         console.log(`🔧 Physics mode: ${this.physicsEnabled ? 'ENABLED (Havok)' : 'DISABLED (Parented)'}`);
         return this.physicsEnabled;
     }
 
     resetLevel() {
+        this.tieDownStraps.clear(); // Constraints go before the item bodies
         this.itemManager.clearAll();
+        this.placementHistory.clear();
+        this.damageModel.reset();
         this.truck.loadedItems = []; // Clear items from truck
         this.truck.position.x = 0; // Reset truck position
         this.truck.position.z = 0;
         this.truck.rotation = 0;
         this.truck.speed = 0;
         this.truck.applyTransform();
-        this.score = { spaceEfficiency: 0, stability: 100 };
+        this.score = { spaceEfficiency: 0, stability: 100, hintsUsed: 0 };
+        this.levelTime = 0;
+        this.resetFuel();
+        this.clearNavigation();
+        this.trafficSystem.reset();
         this.fallOutTriggered = false; // Reset the fall-out flag
         this.hasArrivedAtDestination = false; // Reset arrival flag
         this.isAtPickup = true; // Reset to at pickup
+        this.activeStop = null;
+        this.unloadingStop = null;
+        this.unloadPhase = null;
         this.uiManager.reset();
     }
     
@@ -748,6 +1320,13 @@ class Game {
         this.sceneManager.removePickup();
         this.sceneManager.removeDestination();
         
+        // Next run gets a fresh seed (unless pinned via URL)
+        const wasDaily = !!this.dailyChallenge;
+        this.dailyChallenge = null;
+        if (wasDaily || this.pinnedSeed === null) {
+            this.setRunSeed(this.pinnedSeed ?? RandomService.randomSeed());
+        }
+        
         // Animate camera back to title view (smooth transition)
         this.sceneManager.animateToTitle(1000);
         
@@ -19,6 +19,8 @@ class HighScoreManager {
         this.personalBest = 0;
         this.currentLevel = 1;
         this.isEditing = false;
+        this.activeBoard = 'main'; // 'main', 'fastest' or 'daily'
+        this.lastTimedLevel = 1;   // Level the Fastest board shows (last one completed)
         
         this.elements = {
             playerSection: document.getElementById('player-section'),
@@ -33,6 +35,8 @@ class HighScoreManager {
             leaderboardModal: document.getElementById('leaderboard-modal'),
             leaderboardList: document.getElementById('leaderboard-list'),
             leaderboardTotal: document.getElementById('leaderboard-total'),
+            leaderboardTabs: document.getElementById('leaderboard-tabs'),
+            dailyStreak: document.getElementById('daily-streak'),
             btnCloseLeaderboard: document.getElementById('btn-close-leaderboard'),
             gameoverModal: document.getElementById('gameover-modal'),
             gameoverLevel: document.getElementById('gameover-level'),
@@ -211,6 +215,8 @@ class HighScoreManager {
     async loadActiveProfile() {
         const profile = this.getActiveProfile();
         
+        this.updateDailyStreakDisplay();
+        
         if (profile) {
             // Check server for latest personal best
             await this.checkExistingScore();
@@ -221,6 +227,60 @@ class HighScoreManager {
         }
     }
     
+    // Daily Load - one shared load per UTC calendar date
+    getDailyKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+    
+    getPreviousDailyKey(dailyKey) {
+        const date = new Date(`${dailyKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - 1);
+        return this.getDailyKey(date);
+    }
+    
+    // Current streak for the active profile (0 if the chain was broken before yesterday)
+    getDailyStreak() {
+        const profile = this.getActiveProfile();
+        if (!profile || !profile.lastDailyDate) return 0;
+        const today = this.getDailyKey();
+        if (profile.lastDailyDate === today || profile.lastDailyDate === this.getPreviousDailyKey(today)) {
+            return profile.dailyStreak || 0;
+        }
+        return 0;
+    }
+    
+    // Record a completed daily locally; server streak wins if it sends one
+    recordDailyCompletion(dailyKey, serverStreak = null) {
+        const profile = this.getActiveProfile();
+        if (!profile) return 0;
+        let streak;
+        if (typeof serverStreak === 'number' && serverStreak > 0) {
+            streak = serverStreak;
+        } else if (profile.lastDailyDate === dailyKey) {
+            streak = profile.dailyStreak || 1;
+        } else if (profile.lastDailyDate === this.getPreviousDailyKey(dailyKey)) {
+            streak = (profile.dailyStreak || 0) + 1;
+        } else {
+            streak = 1;
+        }
+        this.updateProfile(profile.playerId, { dailyStreak: streak, lastDailyDate: dailyKey });
+        this.updateDailyStreakDisplay();
+        return streak;
+    }
+    
+    updateDailyStreakDisplay() {
+        if (!this.elements.dailyStreak) return;
+        const profile = this.getActiveProfile();
+        const streak = this.getDailyStreak();
+        if (!profile || streak === 0) {
+            this.elements.dailyStreak.textContent = '';
+        } else if (profile.lastDailyDate === this.getDailyKey()) {
+            this.elements.dailyStreak.textContent = `🔥 ${streak}-day streak · today's load done`;
+        } else {
+            this.elements.dailyStreak.textContent = `🔥 ${streak}-day streak · play today to keep it`;
+        }
+    }
+    
     updateHint(text, isSuccess = true) {
         if (this.elements.usernameHint) {
             this.elements.usernameHint.textContent = text;
@@ -296,6 +356,14 @@ class HighScoreManager {
             });
         }
         
+        // Leaderboard board tabs (all-time / daily)
+        if (this.elements.leaderboardTabs) {
+            this.elements.leaderboardTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.leaderboard-tab');
+                if (tab) this.showLeaderboard(tab.dataset.board);
+            });
+        }
+        
         // Close leaderboard
         if (this.elements.btnCloseLeaderboard) {
             this.elements.btnCloseLeaderboard.addEventListener('click', () => {
@@ -429,11 +497,13 @@ class HighScoreManager {
         }
     }
     
-    async submitScore(level, spaceEfficiency = 0) {
+    // timing: { completedLevel, timeSeconds, parSeconds, score } when a level was completed
+    async submitScore(level, spaceEfficiency = 0, timing = null) {
         if (!this.activePlayerId) return null;
         
         const username = this.getUsername();
         this.currentLevel = level;
+        if (timing) this.lastTimedLevel = timing.completedLevel;
         
         try {
             const response = await fetch(`${this.apiUrl}?action=submit`, {
@@ -445,7 +515,8 @@ class HighScoreManager {
                     player_id: this.activePlayerId,
                     username: username,
                     level: level,
-                    spaceEfficiency: spaceEfficiency
+                    spaceEfficiency: spaceEfficiency,
+                    ...(timing || {})
                 })
             });
             
@@ -468,6 +539,39 @@ class HighScoreManager {
         }
     }
     
+    async submitDailyScore(dailyKey, spaceEfficiency = 0) {
+        if (!this.activePlayerId) return null;
+        
+        try {
+            const response = await fetch(`${this.apiUrl}?action=daily_submit`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    player_id: this.activePlayerId,
+                    username: this.getUsername(),
+                    date: dailyKey,
+                    spaceEfficiency: spaceEfficiency
+                })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                data.streak = this.recordDailyCompletion(dailyKey, data.streak);
+                return data;
+            } else {
+                console.error('Daily score submission failed:', data.error);
+                return { success: false, streak: this.recordDailyCompletion(dailyKey) };
+            }
+        } catch (error) {
+            // Still count the streak locally when offline
+            console.error('Error submitting daily score:', error);
+            return { success: false, streak: this.recordDailyCompletion(dailyKey) };
+        }
+    }
+    
     async updateUsernameOnServer(newUsername) {
         if (!this.activePlayerId) return null;
         
@@ -496,9 +600,11 @@ class HighScoreManager {
         }
     }
     
-    async fetchLeaderboard(limit = 10) {
+    // options.sort = 'fastest' with options.level: quickest completions of that level
+    async fetchLeaderboard(limit = 10, options = {}) {
+        const sort = options.sort ? `&sort=${options.sort}&level=${options.level}` : '';
         try {
-            const response = await fetch(`${this.apiUrl}?action=leaderboard&limit=${limit}`);
+            const response = await fetch(`${this.apiUrl}?action=leaderboard&limit=${limit}${sort}`);
             const data = await response.json();
             return data;
         } catch (error) {
@@ -507,39 +613,88 @@ class HighScoreManager {
         }
     }
     
+    async fetchDailyLeaderboard(dailyKey, limit = 10) {
+        try {
+            const response = await fetch(`${this.apiUrl}?action=daily_leaderboard&date=${encodeURIComponent(dailyKey)}&limit=${limit}`);
+            const data = await response.json();
+            return data;
+        } catch (error) {
+            console.error('Error fetching daily leaderboard:', error);
+            return null;
+        }
+    }
+    
     // UI methods
-    async showLeaderboard() {
+    async showLeaderboard(board = this.activeBoard) {
         if (!this.elements.leaderboardModal) return;
         
+        this.activeBoard = board;
+        this.elements.leaderboardTabs?.querySelectorAll('.leaderboard-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.board === board);
+        });
+        
         this.elements.leaderboardModal.classList.remove('hidden');
         this.elements.leaderboardList.innerHTML = '<div class="leaderboard-loading">Loading...</div>';
+        this.elements.leaderboardTotal.textContent = '';
+        
+        const isDaily = board === 'daily';
+        const isFastest = board === 'fastest';
+        const level = this.lastTimedLevel;
+        let data;
+        if (isDaily) {
+            data = await this.fetchDailyLeaderboard(this.getDailyKey(), 15);
+        } else if (isFastest) {
+            data = await this.fetchLeaderboard(15, { sort: 'fastest', level });
+        } else {
+            data = await this.fetchLeaderboard(15);
+        }
+        
+        // Ignore stale responses if the player switched tabs meanwhile
+        if (this.activeBoard !== board) return;
         
-        const data = await this.fetchLeaderboard(15);
+        // Fastest: only timed entries, quickest first (in case the server returns them unsorted)
+        if (isFastest && data && data.scores) {
+            data.scores = data.scores
+                .filter(score => typeof score.timeSeconds === 'number')
+                .sort((a, b) => a.timeSeconds - b.timeSeconds)
+                .map((score, index) => ({ ...score, rank: index + 1 }));
+        }
         
         if (data && data.scores && data.scores.length > 0) {
             const currentUsername = this.getUsername();
+            const column = isDaily ? 'Packed' : isFastest ? 'Time' : 'Level';
             let html = '<div class="leaderboard-table">';
-            html += '<div class="leaderboard-header"><span>#</span><span>Player</span><span>Level</span></div>';
+            html += `<div class="leaderboard-header"><span>#</span><span>Player</span><span>${column}</span></div>`;
             
             data.scores.forEach((score, index) => {
                 const isCurrentUser = score.username.toLowerCase() === currentUsername.toLowerCase();
                 const rankEmoji = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
+                let value = `Level ${score.level}`;
+                if (isDaily) value = `${Math.round(score.spaceEfficiency || 0)}%`;
+                if (isFastest) value = UIManager.formatTime(score.timeSeconds);
                 
                 html += `<div class="leaderboard-row ${isCurrentUser ? 'current-user' : ''}">
                     <span class="rank">${rankEmoji || score.rank}</span>
                     <span class="name">${this.escapeHtml(score.username)}</span>
-                    <span class="level">Level ${score.level}</span>
+                    <span class="level">${value}</span>
                 </div>`;
             });
             
             html += '</div>';
             this.elements.leaderboardList.innerHTML = html;
             
-            if (data.totalPlayers) {
-                this.elements.leaderboardTotal.textContent = `${data.totalPlayers} players total`;
+            if (isFastest) {
+                this.elements.leaderboardTotal.textContent = `Fastest on level ${level}`;
+            } else if (data.totalPlayers) {
+                this.elements.leaderboardTotal.textContent = isDaily
+                    ? `${data.totalPlayers} players today`
+                    : `${data.totalPlayers} players total`;
             }
         } else {
-            this.elements.leaderboardList.innerHTML = '<div class="leaderboard-empty">No scores yet. Be the first!</div>';
+            let emptyText = 'No scores yet. Be the first!';
+            if (isDaily) emptyText = 'No daily loads yet today. Be the first!';
+            if (isFastest) emptyText = `No times for level ${level} yet. Be the first!`;
+            this.elements.leaderboardList.innerHTML = `<div class="leaderboard-empty">${emptyText}</div>`;
             this.elements.leaderboardTotal.textContent = '';
         }
     }
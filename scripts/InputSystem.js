@@ -9,8 +9,12 @@ class InputSystem {
         this.camera = game.sceneManager.camera;
         
         this.rotationAngle = 0;
+        this.pitchAngle = 0; // Tip forward/back (stand on end), quarter turns
+        this.rollAngle = 0;  // Tip onto the side, quarter turns
         this.pointerX = 0;
         this.pointerY = 0;
+        this.pendingTap = null;    // Touch press waiting to become a placement
+        this.touchGesture = null;  // Two-finger gesture in progress
         
         // Mobile joystick state
         this.moveJoystick = { active: false, x: 0, y: 0, touchId: null };
@@ -37,6 +41,9 @@ class InputSystem {
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
+        // Two-finger gestures turn the held item
+        this.initTouchGestures();
+        
         // Mobile touch controls
         this.initMobileControls();
     }
@@ -161,8 +168,102 @@ class InputSystem {
         });
     }
     
+    // While holding an item: two-finger swipe up/down stands it on end, left/right tips it
+    // on its side, a two-finger twist turns it 90°. Touch placement waits for the finger to
+    // lift (see handlePointer), so the second finger can still turn the tap into a gesture.
+    initTouchGestures() {
+        const center = (touches) => ({
+            x: (touches[0].clientX + touches[1].clientX) / 2,
+            y: (touches[0].clientY + touches[1].clientY) / 2,
+            angle: Math.atan2(touches[1].clientY - touches[0].clientY, touches[1].clientX - touches[0].clientX)
+        });
+        
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 2 || !this.game.itemManager.selectedItemId) return;
+            this.pendingTap = null;
+            this.touchGesture = { start: center(e.touches), last: center(e.touches) };
+        }, { passive: true });
+        
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (this.touchGesture && e.touches.length === 2) {
+                this.touchGesture.last = center(e.touches);
+            }
+        }, { passive: true });
+        
+        this.canvas.addEventListener('touchend', () => {
+            const gesture = this.touchGesture;
+            if (!gesture) return;
+            this.touchGesture = null;
+            
+            const dx = gesture.last.x - gesture.start.x;
+            const dy = gesture.last.y - gesture.start.y;
+            let twist = gesture.last.angle - gesture.start.angle;
+            twist = Math.atan2(Math.sin(twist), Math.cos(twist));
+            const minSwipe = 40;
+            
+            if (Math.abs(dy) >= minSwipe && Math.abs(dy) >= Math.abs(dx)) {
+                this.tiltHeldItem('pitch', dy > 0 ? 1 : -1);
+            } else if (Math.abs(dx) >= minSwipe) {
+                this.tiltHeldItem('roll', dx > 0 ? -1 : 1);
+            } else if (Math.abs(twist) >= Math.PI / 8) {
+                this.rotationAngle += twist > 0 ? Math.PI / 2 : -Math.PI / 2;
+                this.refreshPreview();
+            }
+        });
+    }
+    
+    // Quarter-turn the held item about its pitch or roll axis
+    tiltHeldItem(axis, direction = 1) {
+        if (!this.game.itemManager.selectedItemId) return;
+        const key = axis === 'pitch' ? 'pitchAngle' : 'rollAngle';
+        const turns = (Math.round(this[key] / (Math.PI / 2)) + direction + 4) % 4;
+        this[key] = turns * Math.PI / 2;
+        this.refreshPreview();
+    }
+    
+    getTilt() {
+        return { pitch: this.pitchAngle, roll: this.rollAngle };
+    }
+    
+    resetTilt() {
+        this.pitchAngle = 0;
+        this.rollAngle = 0;
+    }
+    
+    // Cargo-floor point under the pointer (the preview follows this), or null
+    getCargoFloorPoint() {
+        const ray = this.scene.createPickingRay(this.pointerX, this.pointerY, BABYLON.Matrix.Identity(), this.camera);
+        const planeY = this.game.truck.getFloorTopY();
+        if (ray.direction.y === 0) return null;
+        const t = (planeY - ray.origin.y) / ray.direction.y;
+        return t > 0 ? ray.origin.add(ray.direction.scale(t)) : null;
+    }
+    
+    // Redraw the preview after the orientation changes
+    refreshPreview() {
+        const itemManager = this.game.itemManager;
+        if (!itemManager.selectedItemId || !itemManager.previewMesh) return;
+        const point = this.getCargoFloorPoint();
+        if (point) itemManager.updatePreview(point.x, point.z, this.rotationAngle, this.getTilt());
+    }
+    
+    // Drop the held item at the preview spot
+    placeHeldItem() {
+        const itemManager = this.game.itemManager;
+        const hitPoint = this.getCargoFloorPoint();
+        if (!hitPoint) return;
+        if (itemManager.isValidPlacement(itemManager.previewMesh)) {
+            if (this.game.placementHistory.place(hitPoint.x, hitPoint.z, this.rotationAngle, this.getTilt())) {
+                this.resetTilt();
+            }
+        } else {
+            this.game.audioManager.playSound('error');
+        }
+    }
+    
     handlePointer(info) {
         const itemManager = this.game.itemManager;
+        const history = this.game.placementHistory;
         
         if (info.type === BABYLON.PointerEventTypes.POINTERMOVE) {
             this.pointerX = info.event.clientX;
@@ -182,25 +283,43 @@ class InputSystem {
             // Update preview position if item selected
             if (itemManager.selectedItemId && itemManager.previewMesh) {
                 // Use infinite horizontal plane intersection (prevents snapping and occlusion issues)
-                const ray = this.scene.createPickingRay(this.pointerX, this.pointerY, BABYLON.Matrix.Identity(), this.camera);
-                const planeY = this.game.truck.getFloorTopY();
-                
-                if (ray.direction.y !== 0) {
-                    const t = (planeY - ray.origin.y) / ray.direction.y;
-                    if (t > 0) {
-                        const hitPoint = ray.origin.add(ray.direction.scale(t));
-                        // Allow placement anywhere - physics will decide if it falls
-                        itemManager.updatePreview(hitPoint.x, hitPoint.z, this.rotationAngle);
-                    }
+                const hitPoint = this.getCargoFloorPoint();
+                if (hitPoint) {
+                    // Allow placement anywhere - physics will decide if it falls
+                    itemManager.updatePreview(hitPoint.x, hitPoint.z, this.rotationAngle, this.getTilt());
                 }
             }
         }
         
+        // Touch placement happens when the finger lifts (unless it became a two-finger gesture)
+        if (info.type === BABYLON.PointerEventTypes.POINTERUP && this.pendingTap
+            && this.pendingTap.pointerId === info.event.pointerId) {
+            this.pendingTap = null;
+            this.pointerX = info.event.clientX;
+            this.pointerY = info.event.clientY;
+            if (itemManager.selectedItemId && this.game.isAtPickup) {
+                this.placeHeldItem();
+            }
+            return;
+        }
+        
         if (info.type === BABYLON.PointerEventTypes.POINTERDOWN && info.event.button === 0) {
             const pickResult = info.pickInfo;
             this.pointerX = info.event.clientX;
             this.pointerY = info.event.clientY;
             
+            // Strap tool: clicks go to anchor rings and straps only
+            if (this.game.tieDownStraps.handlePick(pickResult.hit ? pickResult.pickedMesh : null)) {
+                return;
+            }
+            
+            // Unloading at a stop: clicks pull loaded items out the back
+            if (this.game.unloadPhase) {
+                const placedItem = pickResult.hit ? itemManager.getPlacedItem(pickResult.pickedMesh) : null;
+                if (placedItem) this.game.unloadItem(placedItem);
+                return;
+            }
+            
             if (pickResult.hit && pickResult.pickedMesh) {
                 const meshName = pickResult.pickedMesh.name;
                 
@@ -208,34 +327,45 @@ class InputSystem {
                 if (this.game.isAtPickup && !itemManager.selectedItemId) {
                     const groundItem = itemManager.getGroundItem(pickResult.pickedMesh);
                     if (groundItem) {
-                        itemManager.pickupGroundItem(groundItem);
+                        // Route levels: items wait for the truck at their own stop
+                        if (!this.game.canLoadItem(groundItem.itemDef)) {
+                            this.game.audioManager.playSound('error');
+                            return;
+                        }
+                        history.pickup(groundItem);
+                        this.resetTilt();
                         const hit = this.scene.pick(this.pointerX, this.pointerY, (m) => m === this.dragPlane);
                         if (hit && hit.hit) {
-                            itemManager.updatePreview(hit.pickedPoint.x, hit.pickedPoint.z, this.rotationAngle);
+                            itemManager.updatePreview(hit.pickedPoint.x, hit.pickedPoint.z, this.rotationAngle, this.getTilt());
+                        }
+                        return;
+                    }
+                    
+                    // Clicking an item already in the truck lifts it back out for re-packing
+                    const placedItem = itemManager.getPlacedItem(pickResult.pickedMesh);
+                    if (placedItem && history.lift(placedItem)) {
+                        // Keep the orientation it had in the truck
+                        if (typeof placedItem.localRotation === 'number') {
+                            this.rotationAngle = placedItem.localRotation;
+                        }
+                        this.pitchAngle = placedItem.localPitch || 0;
+                        this.rollAngle = placedItem.localRoll || 0;
+                        const hit = this.scene.pick(this.pointerX, this.pointerY, (m) => m === this.dragPlane);
+                        if (hit && hit.hit) {
+                            itemManager.updatePreview(hit.pickedPoint.x, hit.pickedPoint.z, this.rotationAngle, this.getTilt());
                         }
                         return;
                     }
                 }
                 
                 if (itemManager.selectedItemId) {
-                    // Place at the current preview position (ray-plane intersection)
-                    const ray = this.scene.createPickingRay(this.pointerX, this.pointerY, BABYLON.Matrix.Identity(), this.camera);
-                    const planeY = this.game.truck.getFloorTopY();
-                    
-                    if (ray.direction.y !== 0) {
-                        const t = (planeY - ray.origin.y) / ray.direction.y;
-                        if (t > 0) {
-                            const hitPoint = ray.origin.add(ray.direction.scale(t));
-                            if (itemManager.isValidPlacement(itemManager.previewMesh)) {
-                                const placed = itemManager.placeItem(hitPoint.x, hitPoint.z, this.rotationAngle);
-                                if (placed) {
-                                    this.game.uiManager.markItemPlaced(placed.id);
-                                }
-                            } else {
-                                this.game.audioManager.playSound('error');
-                            }
-                        }
+                    // Touch: wait for the finger to lift, it may still turn into a two-finger gesture
+                    if (info.event.pointerType === 'touch') {
+                        this.pendingTap = { pointerId: info.event.pointerId };
+                        return;
                     }
+                    // Place at the current preview position (ray-plane intersection)
+                    this.placeHeldItem();
                 }
             }
         }
@@ -243,7 +373,7 @@ class InputSystem {
         // Right click cancels selection (returns item to ground if picked up)
         if (info.type === BABYLON.PointerEventTypes.POINTERDOWN && info.event.button === 2) {
             if (itemManager.selectedItemId || itemManager.heldGroundItem) {
-                itemManager.cancelPickup();
+                history.cancel() || itemManager.cancelPickup();
                 this.game.audioManager.playSound('error');
             }
         }
@@ -256,10 +386,56 @@ class InputSystem {
             return;
         }
         
+        // Ctrl/Cmd+Z undoes the last loading action, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes it
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+            e.preventDefault();
+            const redo = e.key === 'y' || e.key === 'Y' || e.shiftKey;
+            if (redo) {
+                this.game.placementHistory.redo();
+            } else {
+                this.game.placementHistory.undo();
+            }
+            return;
+        }
+        
         if (e.key === 'r' || e.key === 'R') {
             this.rotationAngle += Math.PI / 2;
         }
         
+        // F stands the held item on end, G tips it onto its side (Shift turns the other way)
+        if (e.key === 'f' || e.key === 'F') {
+            this.tiltHeldItem('pitch', e.shiftKey ? -1 : 1);
+        }
+        if (e.key === 'g' || e.key === 'G') {
+            this.tiltHeldItem('roll', e.shiftKey ? -1 : 1);
+        }
+        
+        // X toggles grid / edge snapping
+        if ((e.key === 'x' || e.key === 'X') && this.game.isRunning) {
+            this.game.itemManager.toggleSnap();
+            this.refreshPreview();
+        }
+        
+        // B toggles the tie-down strap tool (physics mode)
+        if ((e.key === 'b' || e.key === 'B') && this.game.isRunning) {
+            this.game.tieDownStraps.toggle();
+        }
+        
+        // U pulls the easiest item out the back while unloading
+        if ((e.key === 'u' || e.key === 'U') && this.game.isRunning && !this.game.isPaused) {
+            this.game.unloadNext();
+        }
+        
+        // E starts / stops refueling at a gas station
+        if ((e.key === 'e' || e.key === 'E') && this.game.isRunning) {
+            this.game.toggleRefuel();
+        }
+        
+        // T key asks for a placement hint for the held item
+        if ((e.key === 't' || e.key === 'T') && this.game.isRunning) {
+            this.game.requestHint();
+        }
+        
         // H key starts horn (held)
         if ((e.key === 'h' || e.key === 'H') && this.game.isRunning) {
             this.game.audioManager.startHorn();
@@ -294,9 +470,14 @@ class InputSystem {
         }
         
         if (e.key === 'Escape') {
-            if (this.game.itemManager.selectedItemId) {
-                this.game.itemManager.selectedItemId = null;
-                this.game.itemManager.clearPreview();
+            const straps = this.game.tieDownStraps;
+            if (straps.active) {
+                // First Escape drops a half-drawn strap, the next one leaves the tool
+                if (straps.startAnchor) straps.setStart(null);
+                else straps.setActive(false);
+            } else if (this.game.itemManager.selectedItemId) {
+                // Put the held item back on the ground (not just drop the preview)
+                this.game.placementHistory.cancel() || this.game.itemManager.cancelPickup();
             } else if (this.game.isRunning) {
                 this.game.uiManager.toggleMenu();
             }
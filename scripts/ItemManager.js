@@ -12,6 +12,7 @@ class ItemManager {
         this.itemDefinitions = [];
         this.placedItems = [];      // Items placed IN the truck
         this.groundItems = [];      // Items on the ground at pickup location
+        this.deliveredItems = [];   // Items unloaded at a route drop-off (meshes gone, damage kept)
         this.selectedItemId = null;
         this.previewMesh = null;
         this.previewModelMeshes = null;
@@ -19,6 +20,17 @@ class ItemManager {
         this.heldItemLabelMesh = null;
         this.heldItemLabelTex = null;
         this.heldItemLabelMat = null;
+        this.hintMesh = null;       // Suggested spot for the held item
+        this.ghostMeshes = [];      // Reference load shown from the results screen
+        this.supportAnalyzer = null; // Set by Game (stacking / support checks)
+        this.previewSupport = null;  // Support under the preview at its current spot
+        this.previewRotation = 0;    // Truck-relative yaw the preview was last shown with
+        this.previewTilt = null;     // ...and its { pitch, roll }
+        this.minSupportRatio = 0.6;  // Share of a raised item's base that must rest on something
+        this.placementSnap = null;   // Set by Game (grid / edge snapping)
+        this.snapEnabled = false;    // Snap mode toggle (X key / HUD button)
+        this.snapGuideMesh = null;   // Alignment guide lines for the current snap
+        this.snapGuideKey = null;
         
         // Item colors by type
         this.colors = {
@@ -30,7 +42,8 @@ class ItemManager {
             washer: new BABYLON.Color3(0.9, 0.9, 0.9),
             dresser: new BABYLON.Color3(0.45, 0.35, 0.25),
             mattress: new BABYLON.Color3(0.95, 0.95, 0.9),
-            lamp: new BABYLON.Color3(0.8, 0.75, 0.6)
+            lamp: new BABYLON.Color3(0.8, 0.75, 0.6),
+            tv: new BABYLON.Color3(0.12, 0.12, 0.14)
         };
         
         this.modelCache = {};
@@ -122,18 +135,24 @@ class ItemManager {
         };
     }
 
-    _getHalfExtentsXZForRotation(boxSize, yawRel) {
-        const cos = Math.abs(Math.cos(yawRel));
-        const sin = Math.abs(Math.sin(yawRel));
-        return {
-            halfX: 0.5 * (boxSize.x * cos + boxSize.z * sin),
-            halfZ: 0.5 * (boxSize.x * sin + boxSize.z * cos)
-        };
+    // Truck-relative orientation: yaw plus an optional tilt { pitch, roll } (tipped / stood on end)
+    _getOrientation(yawRel, tilt = null) {
+        return { yaw: yawRel, pitch: tilt ? tilt.pitch : 0, roll: tilt ? tilt.roll : 0 };
+    }
+
+    _isTilted(tilt) {
+        return !!tilt && (Math.cos(tilt.pitch) < 1 - 1e-6 || Math.cos(tilt.roll) < 1 - 1e-6);
+    }
+
+    // Half extents along the truck axes for a box in any orientation (yaw angle or { yaw, pitch, roll })
+    _getHalfExtentsForRotation(boxSize, rotation) {
+        const ext = SupportAnalyzer.extents(SupportAnalyzer.makeBox(boxSize, 0, 0, 0, rotation));
+        return { halfX: ext.x, halfY: ext.y, halfZ: ext.z };
     }
 
-    _clampWorldPointToCargo(worldX, worldZ, boxSize, yawRel) {
+    _clampWorldPointToCargo(worldX, worldZ, boxSize, rotation) {
         const local = this._worldToTruckLocalXZ(worldX, worldZ);
-        const { halfX, halfZ } = this._getHalfExtentsXZForRotation(boxSize, yawRel);
+        const { halfX, halfZ } = this._getHalfExtentsForRotation(boxSize, rotation);
 
         // Minimal margin - item edge can touch walls (no physics collisions with parented items)
         const safety = 0.02; // Just 2cm to prevent z-fighting
@@ -499,62 +518,32 @@ class ItemManager {
             return def;
         });
         this.placedItems = [];
+        this.deliveredItems = [];
         this.selectedItemId = null;
         this.heldGroundItem = null;
         this.clearPreview();
     }
     
-    // Spawn items as physical objects on the ground at pickup location
-    spawnItemsAtPickup(pickupX, pickupZ) {
-        // Clear any existing ground items
-        this.clearGroundItems();
-        
+    // Spawn items as physical objects on the ground at pickup location.
+    // items: the definitions waiting at this stop (route levels); all of them otherwise
+    spawnItemsAtPickup(pickupX, pickupZ, items = null) {
+        // Clear any existing ground items (route stops spawn one pile each)
+        if (!items) this.clearGroundItems();
+        const defs = items || this.itemDefinitions;
         
         // Spawn each item definition as a physical object on the ground
-        const itemCount = this.itemDefinitions.length;
+        const itemCount = defs.length;
         const spacing = 3; // 3m between items
         const itemsPerRow = Math.ceil(Math.sqrt(itemCount));
         
-        this.itemDefinitions.forEach((itemDef, index) => {
+        defs.forEach((itemDef, index) => {
             // Calculate grid position around pickup center
             const row = Math.floor(index / itemsPerRow);
             const col = index % itemsPerRow;
             const offsetX = (col - (itemsPerRow - 1) / 2) * spacing;
             const offsetZ = (row - (itemsPerRow - 1) / 2) * spacing;
             
-            const x = pickupX + offsetX;
-            const z = pickupZ + offsetZ;
-            const boxSize = this.getItemBoxSize(itemDef);
-            const y = boxSize.y / 2 + 0.1; // Sitting on ground
-            
-            // Create mesh
-            const mesh = BABYLON.MeshBuilder.CreateBox(`ground_${itemDef.id}`, {
-                width: boxSize.x,
-                height: boxSize.y,
-                depth: boxSize.z
-            }, this.scene);
-            
-            const mat = new BABYLON.PBRMaterial(`ground_${itemDef.id}Mat`, this.scene);
-            mat.albedoColor = this.getItemColor(itemDef.type);
-            mat.metallic = 0.1;
-            mat.roughness = 0.8;
-            mesh.material = mat;
-            
-            mesh.position = new BABYLON.Vector3(x, y, z);
-            mesh.receiveShadows = true;
-            mesh.isPickable = true;
-            this.sceneManager.addShadowCaster(mesh);
-
-        // Attach 3D model if available
-        this.attachModelIfAvailable(mesh, itemDef, { boxSize });
-            
-            // Store ground item reference
-            this.groundItems.push({
-                id: itemDef.id,
-                mesh: mesh,
-                itemDef: itemDef,
-                originalPos: { x, y, z }
-            });
+            this.createGroundItem(itemDef, pickupX + offsetX, pickupZ + offsetZ);
         });
         
     }
@@ -569,39 +558,47 @@ class ItemManager {
             const offsetX = (col - (itemsPerRow - 1) / 2) * spacing;
             const offsetZ = (row - (itemsPerRow - 1) / 2) * spacing;
 
-            const x = pickupX + offsetX;
-            const z = pickupZ + offsetZ;
-            const boxSize = this.getItemBoxSize(itemDef);
-            const y = boxSize.y / 2 + 0.1;
-
-            const mesh = BABYLON.MeshBuilder.CreateBox(`ground_${itemDef.id}`, {
-                width: boxSize.x,
-                height: boxSize.y,
-                depth: boxSize.z
-            }, this.scene);
-
-            const mat = new BABYLON.PBRMaterial(`ground_${itemDef.id}Mat`, this.scene);
-            mat.albedoColor = this.getItemColor(itemDef.type);
-            mat.metallic = 0.1;
-            mat.roughness = 0.8;
-            mesh.material = mat;
-
-            mesh.position = new BABYLON.Vector3(x, y, z);
-            mesh.receiveShadows = true;
-            mesh.isPickable = true;
-            this.sceneManager.addShadowCaster(mesh);
-            
-            this.attachModelIfAvailable(mesh, itemDef, { boxSize });
-
-            this.groundItems.push({
-                id: itemDef.id,
-                mesh,
-                itemDef,
-                originalPos: { x, y, z }
-            });
+            this.createGroundItem(itemDef, pickupX + offsetX, pickupZ + offsetZ);
         });
     }
     
+    // Create an item sitting on the ground at world (x, z) and track it in groundItems
+    createGroundItem(itemDef, x, z) {
+        const boxSize = this.getItemBoxSize(itemDef);
+        const y = boxSize.y / 2 + 0.1; // Sitting on ground
+        
+        // Create mesh
+        const mesh = BABYLON.MeshBuilder.CreateBox(`ground_${itemDef.id}`, {
+            width: boxSize.x,
+            height: boxSize.y,
+            depth: boxSize.z
+        }, this.scene);
+        
+        const mat = new BABYLON.PBRMaterial(`ground_${itemDef.id}Mat`, this.scene);
+        mat.albedoColor = this.getItemColor(itemDef.type);
+        mat.metallic = 0.1;
+        mat.roughness = 0.8;
+        mesh.material = mat;
+        
+        mesh.position = new BABYLON.Vector3(x, y, z);
+        mesh.receiveShadows = true;
+        mesh.isPickable = true;
+        this.sceneManager.addShadowCaster(mesh);
+        
+        // Attach 3D model if available
+        this.attachModelIfAvailable(mesh, itemDef, { boxSize });
+        
+        // Store ground item reference
+        const groundItem = {
+            id: itemDef.id,
+            mesh: mesh,
+            itemDef: itemDef,
+            originalPos: { x, y, z }
+        };
+        this.groundItems.push(groundItem);
+        return groundItem;
+    }
+    
     // Check if a mesh is a ground item and return it (includes child meshes like 3D models)
     getGroundItem(mesh) {
         return this.groundItems.find(gi => {
@@ -661,6 +658,61 @@ class ItemManager {
         this.previewModelMeshes = this.attachModelIfAvailable(mesh, itemDef, { alpha: 0.6, boxSize });
     }
     
+    // Check if a mesh belongs to an item loaded in the truck (includes 3D model children)
+    getPlacedItem(mesh) {
+        return this.placedItems.find(item => {
+            let node = mesh;
+            while (node) {
+                if (item.mesh === node) return true;
+                node = node.parent;
+            }
+            return false;
+        });
+    }
+    
+    // Parented items can't be pulled out from under another item (physics mode lets them drop)
+    isSupportingOthers(placedItem) {
+        return this.placedItems.some(other =>
+            other !== placedItem && other.support && other.support.supporters.includes(placedItem.id)
+        );
+    }
+    
+    // Take an item back out of the truck and hold it, as if just picked up from the ground.
+    // Cancelling puts it back on the ground pile. Returns false if it can't be lifted.
+    // options.force skips the support check (undo replays placements in reverse order)
+    liftPlacedItem(placedItem, options = {}) {
+        if (!placedItem || this.heldGroundItem) return false;
+        const physicsEnabled = this.game && this.game.physicsEnabled;
+        if (!options.force && !physicsEnabled && placedItem.isParented && this.isSupportingOthers(placedItem)) {
+            this.audioManager.playSound('error');
+            return false;
+        }
+        
+        const itemDef = this.itemDefinitions.find(d => d.id === placedItem.id);
+        if (!itemDef) return false;
+        
+        // Damage stays with the item (DamageModel)
+        itemDef.damage = placedItem.damage || 0;
+        itemDef.damageCauses = placedItem.damageCauses;
+        
+        // Straps over it come off first (their constraints use its physics body)
+        if (this.game && this.game.tieDownStraps) this.game.tieDownStraps.releaseItem(placedItem);
+        
+        // Remove from the truck (mesh, physics body, tracking lists)
+        this.truck.removeLoadedItem(placedItem);
+        this.placedItems = this.placedItems.filter(item => item !== placedItem);
+        if (placedItem.mesh.physicsAggregate) placedItem.mesh.physicsAggregate.dispose();
+        placedItem.mesh.dispose();
+        itemDef.placed = false;
+        
+        // Back to a (hidden) ground item in its old spot, then carry it
+        const pos = placedItem.groundPos || this.truck.position;
+        const groundItem = this.createGroundItem(itemDef, pos.x, pos.z);
+        this.pickupGroundItem(groundItem);
+        console.log(`📦 LIFTED ITEM ${placedItem.id} out of the truck`);
+        return true;
+    }
+    
     // Cancel pickup and return item to ground
     cancelPickup() {
         if (this.heldGroundItem) {
@@ -720,118 +772,73 @@ class ItemManager {
     }
     
     // Find the Y position for placing an item at x,z (accounting for stacking)
-    findPlacementY(x, z, itemHeight) {
-        const bounds = this.truck.getBounds();
-        const floorTop = this.truck.getFloorTopY();
-
-        // Check items in truck (includes fallen items with correct state)
-        let highestSurfaceY = floorTop;
-        const itemHalfW = 0.3; // Approximate half-width for overlap check
-
-        // Convert input world coords to local for comparison with parented items
-        const inputLocal = this._worldToTruckLocalXZ(x, z);
+    findPlacementY(x, z, itemHeight, itemDef = this.previewItemDef, yawRel = 0, tilt = null) {
+        const size = itemDef ? this.getItemBoxSize(itemDef) : { x: 0.6, y: itemHeight, z: 0.6 };
+        const underSpace = itemDef ? this.getUnderSpace(itemDef, tilt) : null;
+        return this.getPlacementSupport(x, z, size, this._getOrientation(yawRel, tilt), underSpace).centerY;
+    }
 
+    // What an item would rest on at world (x, z): resting height, supported share of its base,
+    // the items carrying it and the table it would go under (see SupportAnalyzer).
+    // rotation: truck-relative yaw, or { yaw, pitch, roll }
+    getPlacementSupport(x, z, size, rotation, underSpace = null) {
+        const local = this._worldToTruckLocalXZ(x, z);
         // Use truck.loadedItems which has the actual fallen state and positions
         const itemsToCheck = this.truck.loadedItems || this.placedItems;
+        return this.supportAnalyzer.analyzePlacement(size, local.x, local.z, rotation, underSpace, itemsToCheck);
+    }
 
-        for (const placed of itemsToCheck) {
-            if (!placed.mesh) continue;
+    // Clear space under a table top (legs only) as { height, inset }, or null (also for tipped tables).
+    // packingFactor is the solid share of the bounding box, so the rest is open underneath
+    getUnderSpace(itemDef, tilt = null) {
+        if (itemDef.type !== 'table' || this._isTilted(tilt)) return null;
+        const size = this.getItemBoxSize(itemDef);
+        const height = size.y * (1 - (itemDef.packingFactor || 1));
+        return height >= 0.1 ? { height, inset: 0.06 } : null;
+    }
 
-            // For parented items, position is already local; for non-parented, convert to local
-            let px, pz;
-            if (placed.isParented && placed.mesh.parent === this.truck.root) {
-                px = placed.mesh.position.x;
-                pz = placed.mesh.position.z;
-            } else {
-                const placedLocal = this._worldToTruckLocalXZ(placed.mesh.position.x, placed.mesh.position.z);
-                px = placedLocal.x;
-                pz = placedLocal.z;
-            }
-            
-            // Check if placement point overlaps with this item's footprint
-            let halfW, halfD, topY;
-            
-            // For parented items, Y is local (relative to truck floor origin)
-            // Convert to world Y by adding truck root's world Y
-            const yOffset = (placed.isParented && placed.mesh.parent === this.truck.root)
-                ? this.truck.root.position.y
-                : 0;
-
-            if (placed.isFallen && placed.fallDirection) {
-                // Fallen item - use rotated dimensions
-                const origHalfH = placed.size ? placed.size.y / 2 : 0.25;
-                const origHalfW = placed.size ? placed.size.x / 2 : 0.25;
-                const origHalfD = placed.size ? placed.size.z / 2 : 0.25;
-
-                if (Math.abs(placed.fallDirection.x) > Math.abs(placed.fallDirection.z)) {
-                    // Fell sideways - height becomes width
-                    halfW = origHalfH;
-                    halfD = origHalfD;
-                    topY = placed.mesh.position.y + yOffset + origHalfW;
-                } else {
-                    // Fell forward/back - height becomes depth
-                    halfW = origHalfW;
-                    halfD = origHalfH;
-                    topY = placed.mesh.position.y + yOffset + origHalfD;
-                }
-            } else {
-                // Standing item - use normal dimensions
-                halfW = placed.size ? placed.size.x / 2 : 0.25;
-                halfD = placed.size ? placed.size.z / 2 : 0.25;
-                topY = placed.mesh.position.y + yOffset + (placed.size ? placed.size.y / 2 : 0.25);
-            }
-            
-            // Check overlap using local coordinates
-            if (Math.abs(inputLocal.x - px) < halfW + itemHalfW && Math.abs(inputLocal.z - pz) < halfD + itemHalfW) {
-                if (topY > highestSurfaceY) {
-                    highestSurfaceY = topY;
-                }
-            }
-        }
-        
-        // Also do raycast for truck bed and any other meshes
-        const rayStart = new BABYLON.Vector3(x, bounds.maxY + 1, z);
-        const rayDir = new BABYLON.Vector3(0, -1, 0);
-        const rayLength = bounds.maxY - floorTop + 2;
-        
-        const ray = new BABYLON.Ray(rayStart, rayDir, rayLength);
-        
-        const hits = this.scene.multiPickWithRay(ray, (mesh) => {
-            if (mesh.name === 'truckBed') return true;
-            return false;
-        });
-        
-        if (hits && hits.length > 0) {
-            hits.sort((a, b) => a.distance - b.distance);
-            const topHit = hits[0];
-            if (topHit.pickedPoint.y > highestSurfaceY) {
-                highestSurfaceY = topHit.pickedPoint.y;
-            }
-        }
-        
-        // Item center should be at surface + half item height
-        return highestSurfaceY + itemHeight / 2;
+    // Parented items never fall, so they must rest on enough of their base; physics mode only flags it
+    isSupportAcceptable(support) {
+        return !support || support.ratio >= this.minSupportRatio;
     }
-    
-    updatePreview(x, z, rotation) {
+
+    // rotation: truck-relative yaw; tilt: optional { pitch, roll } for tipping the item over
+    updatePreview(x, z, rotation, tilt = null) {
         if (!this.previewMesh || !this.previewItemDef) return;
 
         const boxSize = this.getItemBoxSize(this.previewItemDef);
-        const clamped = this._clampWorldPointToCargo(x, z, boxSize, rotation);
-        const y = this.findPlacementY(clamped.x, clamped.z, boxSize.y);
+        const orientation = this._getOrientation(rotation, tilt);
+        let clamped = this._clampWorldPointToCargo(x, z, boxSize, orientation);
+        if (this.snapEnabled && this.placementSnap) {
+            const local = this._worldToTruckLocalXZ(clamped.x, clamped.z);
+            const half = this._getHalfExtentsForRotation(boxSize, orientation);
+            const snapped = this.placementSnap.snap(local.x, local.z, half, this.truck.loadedItems || this.placedItems);
+            clamped = this._truckLocalToWorldXZ(snapped.x, snapped.z);
+            this.showSnapGuides(snapped.guides);
+        } else {
+            this.clearSnapGuides();
+        }
+        const support = this.getPlacementSupport(clamped.x, clamped.z, boxSize, orientation, this.getUnderSpace(this.previewItemDef, tilt));
+        const y = support.centerY;
+        this.previewSupport = support;
+        this.previewRotation = rotation;
+        this.previewTilt = { pitch: orientation.pitch, roll: orientation.roll };
 
         this.previewMesh.position = new BABYLON.Vector3(clamped.x, y, clamped.z);
         // Add truck rotation so preview orients with truck
-        this.previewMesh.rotation.y = rotation + this.truck.rotation;
-        this.updateHeldItemLabel(boxSize.y);
+        this.previewMesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(
+            rotation + this.truck.rotation, orientation.pitch, orientation.roll
+        );
+        this.updateHeldItemLabel(support.centerY - support.surfaceY);
 
-        // Check validity and update color
+        // Check validity and update color (amber = allowed but poorly supported, physics will decide)
         const isValid = this.isValidPlacement(this.previewMesh);
-        this.previewMesh.material.emissiveColor = isValid
-            ? new BABYLON.Color3(0, 0.15, 0)
-            : new BABYLON.Color3(0.3, 0, 0);
+        const isWeak = isValid && !this.isSupportAcceptable(support);
+        const glow = !isValid
+            ? new BABYLON.Color3(0.3, 0, 0)
+            : (isWeak ? new BABYLON.Color3(0.3, 0.18, 0) : new BABYLON.Color3(0, 0.15, 0));
+        this.previewMesh.material.emissiveColor = glow;
         if (this.previewModelMeshes) {
-            const glow = isValid ? new BABYLON.Color3(0, 0.15, 0) : new BABYLON.Color3(0.3, 0, 0);
             this.previewModelMeshes.forEach(mesh => {
                 if (mesh.material && mesh.material.emissiveColor) {
                     mesh.material.emissiveColor = glow;
@@ -851,6 +858,7 @@ class ItemManager {
                 `Local=(${local.x.toFixed(2)}, ${local.z.toFixed(2)})`,
                 `ItemRot=${(rotation * 180 / Math.PI).toFixed(1)}°`,
                 `TruckRot=${(this.truck.rotation * 180 / Math.PI).toFixed(1)}°`,
+                `Support=${Math.round(support.ratio * 100)}%`,
                 `Valid=${isValid}`
             );
         }
@@ -888,45 +896,137 @@ class ItemManager {
             this.previewMesh = null;
         }
         this.disposeHeldItemLabel();
+        this.clearHint();
+        this.clearSnapGuides();
+        this.previewSupport = null;
+        this.previewRotation = 0;
+        this.previewTilt = null;
         this.previewItemDef = null;
         this.previewModelMeshes = null;
     }
     
-    placeItem(x, z, rotation) {
-        if (!this.selectedItemId || !this.previewItemDef) return null;
+    // Outline of the suggested spot for the held item (PackingSolver placement, truck-local)
+    showHint(placement) {
+        this.clearHint();
+        if (!this.hintMaterial) {
+            this.hintMaterial = new BABYLON.StandardMaterial('hintMat', this.scene);
+            this.hintMaterial.diffuseColor = new BABYLON.Color3(1, 0.85, 0.2);
+            this.hintMaterial.emissiveColor = new BABYLON.Color3(0.5, 0.4, 0.05);
+            this.hintMaterial.alpha = 0.3;
+        }
+        const size = placement.size;
+        const mesh = BABYLON.MeshBuilder.CreateBox('placementHint', {
+            width: size.x,
+            height: size.y,
+            depth: size.z
+        }, this.scene);
+        mesh.material = this.hintMaterial;
+        mesh.isPickable = false;
+        mesh.parent = this.truck.root;
+        mesh.position.set(placement.x, placement.y, placement.z);
+        mesh.rotation.y = placement.rotation;
+        mesh.enableEdgesRendering();
+        mesh.edgesWidth = 3;
+        mesh.edgesColor = new BABYLON.Color4(1, 0.85, 0.2, 1);
+        this.hintMesh = mesh;
+    }
+    
+    clearHint() {
+        if (this.hintMesh) {
+            this.hintMesh.dispose();
+            this.hintMesh = null;
+        }
+    }
+    
+    toggleSnap() {
+        this.snapEnabled = !this.snapEnabled;
+        if (!this.snapEnabled) this.clearSnapGuides();
+        console.log(`📏 Snap mode: ${this.snapEnabled ? 'ON' : 'OFF'}`);
+        return this.snapEnabled;
+    }
+    
+    // Lines across the cargo floor for the edges the preview snapped to (PlacementSnap guides)
+    showSnapGuides(guides) {
+        const key = guides.map(g => `${g.axis}:${g.value.toFixed(3)}`).join('|');
+        if (key === this.snapGuideKey) return;
+        this.clearSnapGuides();
+        this.snapGuideKey = key;
+        if (guides.length === 0) return;
+        
+        const y = this.truck.getFloorTopY() + 0.01;
+        const halfWidth = this.truck.cargoWidth / 2;
+        const halfLength = this.truck.cargoLength / 2;
+        const lines = [];
+        const colors = [];
+        guides.forEach(g => {
+            lines.push(g.axis === 'x'
+                ? [new BABYLON.Vector3(g.value, y, -halfLength), new BABYLON.Vector3(g.value, y, halfLength)]
+                : [new BABYLON.Vector3(-halfWidth, y, g.value), new BABYLON.Vector3(halfWidth, y, g.value)]);
+            // Cyan for walls, yellow for neighboring items
+            const color = g.source === 'wall' ? new BABYLON.Color4(0.3, 0.85, 1, 1) : new BABYLON.Color4(1, 0.85, 0.3, 1);
+            colors.push([color, color]);
+        });
+        const mesh = BABYLON.MeshBuilder.CreateLineSystem('snapGuides', { lines, colors }, this.scene);
+        mesh.isPickable = false;
+        mesh.parent = this.truck.root;
+        this.snapGuideMesh = mesh;
+    }
+    
+    clearSnapGuides() {
+        if (this.snapGuideMesh) {
+            this.snapGuideMesh.dispose();
+            this.snapGuideMesh = null;
+        }
+        this.snapGuideKey = null;
+    }
+    
+    // Darken a damaged item toward a scuffed brown (item.damage 0..1 from DamageModel)
+    applyWear(placedItem) {
+        if (!placedItem.mesh) return;
+        const wear = Math.min(1, placedItem.damage || 0) * 0.6;
+        const worn = new BABYLON.Color3(0.18, 0.14, 0.12);
+        [placedItem.mesh, ...placedItem.mesh.getChildMeshes()].forEach(mesh => {
+            const mat = mesh.material;
+            if (!mat) return;
+            // The box has its own material; model materials are shared, so copy those once
+            if (!mesh._wearBaseColor) {
+                const colorKey = mat.albedoColor ? 'albedoColor' : 'diffuseColor';
+                if (!mat[colorKey]) return;
+                const own = mesh === placedItem.mesh ? mat : mat.clone(`${mat.name}_worn`);
+                mesh.material = own;
+                mesh._wearBaseColor = { key: colorKey, color: own[colorKey].clone() };
+            }
+            const base = mesh._wearBaseColor;
+            mesh.material[base.key] = BABYLON.Color3.Lerp(base.color, worn, wear);
+        });
+    }
+    
+    placeItem(x, z, rotation, tilt = null) {
+        // The preview (always shown with the held item) holds the position and orientation to use
+        if (!this.selectedItemId || !this.previewItemDef || !this.previewMesh) return null;
         
         const itemDef = this.previewItemDef;
         const boxSize = this.getItemBoxSize(itemDef);
-        const itemHeight = boxSize.y;
         
         // Use the preview's current position instead of recalculating
         // This ensures the item goes exactly where the preview showed
-        let placeX = x;
-        let placeY;
-        let placeZ = z;
-        let placeRotation = rotation; // Will be overridden by preview if available
-        
-        if (this.previewMesh) {
-            placeX = this.previewMesh.position.x;
-            placeY = this.previewMesh.position.y;
-            placeZ = this.previewMesh.position.z;
-            // Use preview's rotation directly - it's already in world space
-            if (this.previewMesh.rotationQuaternion) {
-                const euler = this.previewMesh.rotationQuaternion.toEulerAngles();
-                placeRotation = euler.y; // Y is yaw
-            } else if (this.previewMesh.rotation) {
-                placeRotation = this.previewMesh.rotation.y;
-            }
-        } else {
-            placeY = this.findPlacementY(x, z, itemHeight);
-        }
+        const placeX = this.previewMesh.position.x;
+        const placeY = this.previewMesh.position.y;
+        const placeZ = this.previewMesh.position.z;
+        // Use the orientation the preview was last shown with (yaw in world space)
+        const placeRotation = this.previewRotation + this.truck.rotation;
+        const placeTilt = this.previewTilt || tilt || { pitch: 0, roll: 0 };
+        const orientation = this._getOrientation(placeRotation - this.truck.rotation, placeTilt);
+        const support = this.previewSupport
+            || this.getPlacementSupport(x, z, boxSize, orientation, this.getUnderSpace(itemDef, placeTilt));
+        const { halfY } = this._getHalfExtentsForRotation(boxSize, orientation);
         
         // Force sync truck physics bodies to current world position
         this.truck.syncPhysicsBodies();
         
         // Check if placement is valid (not too high)
         const bounds = this.truck.getBounds();
-        if (placeY + itemHeight / 2 > bounds.maxY) {
+        if (placeY + halfY > bounds.maxY) {
             this.audioManager.playSound('error');
             return null; // Item would stick out of truck
         }
@@ -950,9 +1050,19 @@ class ItemManager {
         const localZ = local.z;
         const localY = placeY + 0.02; // Small lift above floor
         const localRotation = placeRotation - this.truck.rotation;
+        const localPitch = placeTilt.pitch;
+        const localRoll = placeTilt.roll;
 
         const nowMs = performance.now();
         const physicsEnabled = this.game && this.game.physicsEnabled;
+        // What this item rests on (contact area under it) and the open space under a table top
+        const underSpace = this.getUnderSpace(itemDef, placeTilt);
+        const supportInfo = {
+            ratio: support.ratio,
+            contactArea: support.supportedArea,
+            supporters: support.supporters,
+            under: support.under
+        };
 
         let placedItem;
 
@@ -960,7 +1070,7 @@ class ItemManager {
             // === PHYSICS MODE: Items use Havok physics ===
             // Position in world space, don't parent to truck
             mesh.position = new BABYLON.Vector3(placeX, placeY + 0.02, placeZ);
-            mesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(placeRotation, 0, 0);
+            mesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(placeRotation, localPitch, localRoll);
 
             // Attach 3D model if available
             this.attachModelIfAvailable(mesh, itemDef, { boxSize });
@@ -978,13 +1088,20 @@ class ItemManager {
                 size: boxSize,
                 weight: itemDef.weight,
                 volumeM3: itemDef.volumeM3,
+                fragility: itemDef.fragility || 0,
+                damage: itemDef.damage || 0,
+                damageCauses: itemDef.damageCauses,
                 isPlaced: true,
                 isFallen: false,
                 isParented: false, // NOT parented - uses physics
+                underSpace: underSpace,
+                support: supportInfo,
                 localX: localX,
                 localY: localY,
                 localZ: localZ,
                 localRotation: localRotation,
+                localPitch: localPitch,
+                localRoll: localRoll,
                 // Schedule physics creation after settling
                 createPhysicsAt: nowMs + 100 // Create physics after 100ms
             };
@@ -1001,7 +1118,7 @@ class ItemManager {
             // No physics needed - items move automatically with the truck
             mesh.parent = this.truck.root;
             mesh.position = new BABYLON.Vector3(localX, localY, localZ);
-            mesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(localRotation, 0, 0);
+            mesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(localRotation, localPitch, localRoll);
 
             // Attach 3D model if available
             this.attachModelIfAvailable(mesh, itemDef, { boxSize });
@@ -1019,17 +1136,30 @@ class ItemManager {
                 size: boxSize,
                 weight: itemDef.weight,
                 volumeM3: itemDef.volumeM3,
+                fragility: itemDef.fragility || 0,
+                damage: itemDef.damage || 0,
+                damageCauses: itemDef.damageCauses,
                 isPlaced: true,
                 isFallen: false,
                 isParented: true, // Flag indicating item is parented to truck
+                underSpace: underSpace,
+                support: supportInfo,
                 localX: localX,
                 localY: localY,
                 localZ: localZ,
-                localRotation: localRotation
+                localRotation: localRotation,
+                localPitch: localPitch,
+                localRoll: localRoll
             };
         }
 
+        // Remember where it lay on the ground, so it can go back there if lifted out again
+        if (this.heldGroundItem) {
+            placedItem.groundPos = this.heldGroundItem.originalPos;
+        }
+
         this.placedItems.push(placedItem);
+        if (placedItem.damage > 0) this.applyWear(placedItem);
 
         // Register with truck for tracking
         this.truck.addLoadedItem(placedItem);
@@ -1069,14 +1199,19 @@ class ItemManager {
         const bounds = this.truck.getBounds();
         const pos = mesh.position;
         const bb = mesh.getBoundingInfo().boundingBox;
-        const halfH = bb.extendSize.y;
+        const boxSize = this.previewItemDef ? this.getItemBoxSize(this.previewItemDef) : bb.extendSize.scale(2);
+        const orientation = mesh === this.previewMesh
+            ? this._getOrientation(this.previewRotation, this.previewTilt)
+            : (mesh.rotationQuaternion ? mesh.rotationQuaternion.toEulerAngles().y : mesh.rotation.y) - this.truck.rotation;
+        const { halfX, halfY, halfZ } = this._getHalfExtentsForRotation(boxSize, orientation);
         
-        // Only check height - allow risky edge placements (physics will decide if it falls)
-        if (pos.y + halfH > bounds.maxY) return false;
+        // Height limit always applies
+        if (pos.y + halfY > bounds.maxY) return false;
+
+        // Parented items can't fall, so they need real support; in physics mode it's only flagged
+        const physicsEnabled = this.game && this.game.physicsEnabled;
+        if (!physicsEnabled && !this.isSupportAcceptable(this.previewSupport)) return false;
 
-        const boxSize = this.previewItemDef ? this.getItemBoxSize(this.previewItemDef) : bb.extendSize.scale(2);
-        const yawRel = (mesh.rotationQuaternion ? mesh.rotationQuaternion.toEulerAngles().y : mesh.rotation.y) - this.truck.rotation;
-        const { halfX, halfZ } = this._getHalfExtentsXZForRotation(boxSize, yawRel);
         const local = this._worldToTruckLocalXZ(pos.x, pos.z);
 
         // Minimal margin - item edge can touch walls (no physics collisions with parented items)
@@ -1093,7 +1228,7 @@ class ItemManager {
     areAllItemsPlaced() {
         // Check that ALL items from definitions are placed
         const requiredDefs = this.itemDefinitions.filter(def => !def.optional && !def.isTest);
-        const allRequiredPlaced = requiredDefs.every(def => def.placed);
+        const allRequiredPlaced = requiredDefs.every(def => def.placed || def.delivered);
         
         // Check that NO ground items remain (more reliable check)
         const groundItemCount = this.groundItems.filter(gi => !gi.itemDef.optional && !gi.itemDef.isTest).length;
@@ -1101,7 +1236,7 @@ class ItemManager {
         // Debug logging
         const placedCount = requiredDefs.filter(d => d.placed).length;
         
-        // Both conditions must be true
+        // Both conditions must be true (items unloaded at a drop-off count as done)
         return allRequiredPlaced && groundItemCount === 0;
     }
 
@@ -1115,6 +1250,75 @@ class ItemManager {
         );
     }
     
+    // Partial unload at a route drop-off: take these items out of the truck for good.
+    // Returns the placed items that came off
+    unloadItems(ids) {
+        const unloaded = this.placedItems.filter(item => ids.includes(item.id) && !item.isFallen);
+        unloaded.forEach(item => {
+            // Straps over it come off first (their constraints use its physics body)
+            if (this.game && this.game.tieDownStraps) this.game.tieDownStraps.releaseItem(item);
+            this.truck.removeLoadedItem(item);
+            if (item.mesh.physicsAggregate) item.mesh.physicsAggregate.dispose();
+            item.mesh.dispose();
+            item.mesh = null;
+            
+            const itemDef = this.itemDefinitions.find(d => d.id === item.id);
+            if (itemDef) {
+                itemDef.placed = false;
+                itemDef.delivered = true;
+            }
+        });
+        this.placedItems = this.placedItems.filter(item => !unloaded.includes(item));
+        this.deliveredItems.push(...unloaded);
+        this.settleParentedItems(unloaded.map(item => item.id));
+        return unloaded;
+    }
+    
+    // Loaded items in the way of pulling this one out the open back (+Z local): anything behind it
+    // that overlaps it side to side and in height, and anything resting on it
+    getUnloadBlockers(placedItem) {
+        const analyzer = this.game.packingAnalyzer;
+        const box = analyzer.getItemBox(placedItem);
+        if (!box) return [];
+        const ext = SupportAnalyzer.extents(box);
+        const eps = 0.01;
+        return this.placedItems.filter(other => {
+            if (other === placedItem || other.isFallen || !other.mesh) return false;
+            if (other.support && other.support.supporters.includes(placedItem.id)) return true;
+            const otherBox = analyzer.getItemBox(other);
+            if (!otherBox || otherBox.center.z <= box.center.z) return false;
+            const otherExt = SupportAnalyzer.extents(otherBox);
+            return Math.abs(otherBox.center.x - box.center.x) < ext.x + otherExt.x - eps
+                && Math.abs(otherBox.center.y - box.center.y) < ext.y + otherExt.y - eps;
+        });
+    }
+    
+    // Parented items don't fall: once items come out from under them, lower them onto whatever
+    // is left below. Lowest first, so a stack comes down in order
+    settleParentedItems(removedIds) {
+        const removed = new Set(removedIds);
+        const stack = this.placedItems
+            .filter(item => item.isParented && item.mesh)
+            .sort((a, b) => a.mesh.position.y - b.mesh.position.y);
+        stack.forEach((item, index) => {
+            const supporters = item.support ? item.support.supporters : [];
+            if (!supporters.some(id => removed.has(id))) return;
+            const tilt = { pitch: item.localPitch || 0, roll: item.localRoll || 0 };
+            const orientation = this._getOrientation(item.localRotation || 0, tilt);
+            const below = stack.slice(0, index);
+            const support = this.supportAnalyzer.analyzePlacement(item.size, item.localX, item.localZ, orientation, item.underSpace, below);
+            item.mesh.position.y = support.centerY + 0.02;
+            item.localY = item.mesh.position.y;
+            item.support = {
+                ratio: support.ratio,
+                contactArea: support.supportedArea,
+                supporters: support.supporters,
+                under: support.under
+            };
+            removed.add(item.id); // Whatever it carries comes down with it
+        });
+    }
+    
     getStableItemCount() {
         return this.placedItems.filter(item => !item.isFallen).length;
     }
@@ -1135,11 +1339,49 @@ class ItemManager {
             }
         });
         this.placedItems = [];
+        this.deliveredItems = [];
+        this.clearGhostArrangement();
         this.clearGroundItems();
         this.selectedItemId = null;
         this.clearPreview();
     }
     
+    // Translucent boxes for a reference arrangement (PackingSolver placements, truck-local)
+    showGhostArrangement(placements) {
+        this.clearGhostArrangement();
+        if (!this.ghostMaterial) {
+            this.ghostMaterial = new BABYLON.StandardMaterial('ghostLoadMat', this.scene);
+            this.ghostMaterial.diffuseColor = new BABYLON.Color3(0.3, 0.9, 0.6);
+            this.ghostMaterial.emissiveColor = new BABYLON.Color3(0.1, 0.4, 0.25);
+            this.ghostMaterial.alpha = 0.35;
+        }
+        this.ghostMeshes = placements.map((p, i) => {
+            const ghost = BABYLON.MeshBuilder.CreateBox(`ghostLoad_${i}`, {
+                width: p.footprint.x,
+                height: p.size.y,
+                depth: p.footprint.z
+            }, this.scene);
+            ghost.material = this.ghostMaterial;
+            ghost.isPickable = false;
+            ghost.parent = this.truck.root;
+            ghost.position.set(p.x, p.y, p.z);
+            ghost.enableEdgesRendering();
+            ghost.edgesWidth = 2;
+            ghost.edgesColor = new BABYLON.Color4(0.6, 1, 0.75, 1);
+            return ghost;
+        });
+        // Hide the player's load so it doesn't hide the ghosts
+        this.placedItems.forEach(item => item.mesh?.setEnabled(false));
+    }
+    
+    clearGhostArrangement() {
+        if (this.ghostMeshes) {
+            this.ghostMeshes.forEach(mesh => mesh.dispose());
+        }
+        this.ghostMeshes = [];
+        this.placedItems.forEach(item => item.mesh?.setEnabled(true));
+    }
+    
     // Add arrow on top of box pointing "North" (+Z direction)
     addArrowToBox(boxMesh, size) {
         // Create arrow using a cone (arrowhead) and cylinder (shaft)
@@ -1,73 +1,348 @@
 /**
- * LevelManager - Procedural level generation based on volume
+ * LevelManager - Level definitions (authored JSON + procedural generation based on volume)
  */
 class LevelManager {
-    constructor() {
+    constructor(random) {
         this.currentLevelData = null;
+        this.random = random || new RandomService(); // Shared run seed
         
         // Constants
         this.TRUCK_CAPACITY_YD3 = 25;
         this.VOLUME_PER_LEVEL_YD3 = 25 / 16; // 1.5625 yd³ per level
         this.CUBIC_YARDS_TO_CUBIC_METERS = 0.764555;
         
-        // Item templates pool - volume in cubic meters
+        // Level data files (hand-authored levels + item template pool)
+        this.templatesUrl = 'assets/levels/templates.json';
+        this.levelsUrl = 'assets/levels/levels.json';
+        
+        // Item templates pool - volume in cubic meters (loaded from templatesUrl in init)
         // packingFactor: how much of the bounding box is actual material (tables have legs with empty space)
-        this.itemTemplates = [
-            // Small boxes - solid, pack efficiently
-            { type: 'box', name: 'Small Box', icon: '📦', size: { x: 0.4, y: 0.4, z: 0.4 }, weight: 5, packingFactor: 1.0 },
-            { type: 'box', name: 'Small Box', icon: '📦', size: { x: 0.35, y: 0.35, z: 0.35 }, weight: 4, packingFactor: 1.0 },
-            
-            // Medium boxes
-            { type: 'box', name: 'Medium Box', icon: '📦', size: { x: 0.5, y: 0.5, z: 0.5 }, weight: 8, packingFactor: 1.0 },
-            { type: 'box', name: 'Medium Box', icon: '📦', size: { x: 0.6, y: 0.5, z: 0.6 }, weight: 10, packingFactor: 1.0 },
-            { type: 'box', name: 'Tall Box', icon: '📦', size: { x: 0.4, y: 0.7, z: 0.4 }, weight: 8, packingFactor: 1.0 },
-            
-            // Large boxes
-            { type: 'box', name: 'Large Box', icon: '📦', size: { x: 0.7, y: 0.6, z: 0.7 }, weight: 14, packingFactor: 1.0 },
-            { type: 'box', name: 'Large Box', icon: '📦', size: { x: 0.8, y: 0.6, z: 0.8 }, weight: 16, packingFactor: 1.0 },
-            
-            // Chairs - legs with open space between
-            { type: 'chair', name: 'Chair', icon: '🪑', size: { x: 0.5, y: 0.9, z: 0.5 }, weight: 8, packingFactor: 0.4 },
-            { type: 'chair', name: 'Armchair', icon: '🪑', size: { x: 0.7, y: 0.85, z: 0.7 }, weight: 15, packingFactor: 0.5 },
-            
-            // Tables - thin tabletop with legs, lots of empty space underneath (can stack small items under)
-            // Dining table counts as 5.5% of truck volume (empty space)
-            { type: 'table', name: 'Dining Table', icon: '🪵', size: { x: 3.95, y: 0.9, z: 1.65 }, weight: 50, packingFactor: 0.4, volumeOverrideYd3: 25 * 0.06 },
-            { type: 'table', name: 'Coffee Table', icon: '🪵', size: { x: 1.4, y: 0.45, z: 0.8 }, weight: 22, packingFactor: 0.45 },
-            
-            // Couches - mostly solid with cushions
-            // Loveseat sized to 7.5% of a 25 yd³ truck
-            { type: 'couch', name: 'Loveseat', icon: '🛋️', size: { x: 1.7, y: 0.88, z: 0.95 }, weight: 35, packingFactor: 1.0, volumeOverrideYd3: 25 * 0.075 },
-            { type: 'couch', name: 'Couch', icon: '🛋️', size: { x: 1.8, y: 0.8, z: 0.9 }, weight: 45, packingFactor: 0.7 },
-            // Refrigerator (upright) and Freezer (sideways), both 7.5% of truck volume
-            { type: 'fridge', name: 'Refrigerator', icon: '🧊', size: { x: 0.8, y: 1.8, z: 1.0 }, weight: 50, packingFactor: 1.0, volumeOverrideYd3: 25 * 0.075 },
-            { type: 'fridge', name: 'Freezer', icon: '🧊', size: { x: 0.8, y: 1.0, z: 1.8 }, weight: 50, packingFactor: 1.0, volumeOverrideYd3: 25 * 0.075 },
-            
-            // Appliances - solid boxes
-            { type: 'fridge', name: 'Mini Fridge', icon: '🧊', size: { x: 0.5, y: 0.7, z: 0.5 }, weight: 25, packingFactor: 0.95 },
-            { type: 'washer', name: 'Washer', icon: '🫧', size: { x: 0.65, y: 0.85, z: 0.65 }, weight: 55, packingFactor: 0.95 },
-            
-            // Bedroom - dressers have drawers but mostly solid
-            { type: 'dresser', name: 'Dresser', icon: '🗄️', size: { x: 1.0, y: 1.0, z: 0.5 }, weight: 35, packingFactor: 0.85 },
-            { type: 'dresser', name: 'Tall Dresser', icon: '🗄️', size: { x: 0.8, y: 1.3, z: 0.5 }, weight: 40, packingFactor: 0.85 },
-            { type: 'mattress', name: 'Twin Mattress', icon: '🛏️', size: { x: 1.0, y: 0.25, z: 1.9 }, weight: 20, packingFactor: 0.9 },
-            { type: 'mattress', name: 'Queen Mattress', icon: '🛏️', size: { x: 1.5, y: 0.28, z: 2.0 }, weight: 30, packingFactor: 0.9 },
+        this.itemTemplates = [];
+        
+        // Hand-authored level definitions keyed by level number (loaded from levelsUrl in init)
+        // Levels without an entry fall back to procedural generation
+        this.levelDefinitions = {};
+        
+        // Default distances used when a level doesn't override them
+        this.DEFAULT_PICKUP_DISTANCE = 100;
+        this.DEFAULT_DESTINATION_BASE = 200;
+        this.DEFAULT_DESTINATION_PER_LEVEL = 150;
+        
+        // Daily Load picks its level from this range (inclusive), skipping authored levels so the
+        // load is always generated from the day's seed
+        this.DAILY_LEVEL_RANGE = { min: 4, max: 8 };
+        
+        // Par time: handling each item (loading + unloading) plus the route at an average pace
+        this.PAR_SECONDS_PER_ITEM = 15;
+        this.PAR_DRIVE_SPEED = 9; // m/s (~20 mph with corners and stops)
+        
+        // Time of day a level starts at (DayNightCycle.TIMES). Authored levels pick one with "time";
+        // from NIGHT_LEVEL_START on, every NIGHT_LEVEL_EVERY-th procedural level is a night run
+        // and the one before it runs at dusk. ?time=night in the URL forces one for every level
+        this.TIMES_OF_DAY = ['dawn', 'day', 'dusk', 'night'];
+        this.NIGHT_LEVEL_START = 6;
+        this.NIGHT_LEVEL_EVERY = 3;
+        
+        // Weather (WeatherSystem.TYPES). Authored levels pick one with "weather" (clear if absent);
+        // from WEATHER_LEVEL_START on, procedural levels roll WEATHER_CHANCES from the run seed.
+        // ?weather=rain in the URL forces one for every level
+        this.WEATHER_TYPES = ['clear', 'rain', 'snow', 'fog'];
+        this.WEATHER_LEVEL_START = 6;
+        this.WEATHER_CHANCES = { rain: 0.2, fog: 0.15, snow: 0.1 };
+    }
+    
+    // Load and validate item templates and authored levels
+    async init() {
+        const [templateData, levelData] = await Promise.all([
+            this.fetchJson(this.templatesUrl),
+            this.fetchJson(this.levelsUrl)
+        ]);
+        
+        this.itemTemplates = this.parseTemplates(templateData);
+        if (this.itemTemplates.length === 0) {
+            throw new Error(`LevelManager: no valid item templates in ${this.templatesUrl}`);
+        }
+        
+        // Authored levels are optional - procedural generation covers everything else
+        this.levelDefinitions = levelData ? this.parseLevels(levelData) : {};
+        
+        const authored = Object.keys(this.levelDefinitions).length;
+        console.log(`📦 LevelManager: ${this.itemTemplates.length} templates, ${authored} authored levels`);
+    }
+    
+    async fetchJson(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.warn(`⚠️ LevelManager: ${url} returned ${response.status}`);
+                return null;
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn(`⚠️ LevelManager: failed to load ${url}`, error);
+            return null;
+        }
+    }
+    
+    // Validate template entries, skipping (and reporting) any that are malformed
+    parseTemplates(data) {
+        const entries = data && Array.isArray(data.templates) ? data.templates : [];
+        const templates = [];
+        const seenIds = new Set();
+        
+        entries.forEach((entry, index) => {
+            const errors = this.validateTemplate(entry);
+            if (entry && seenIds.has(entry.id)) {
+                errors.push(`duplicate id "${entry.id}"`);
+            }
+            if (errors.length > 0) {
+                console.warn(`⚠️ LevelManager: skipping template #${index}: ${errors.join(', ')}`);
+                return;
+            }
+            seenIds.add(entry.id);
             
-            // Misc - lamps are mostly air but awkward to pack around
-            { type: 'lamp', name: 'Floor Lamp', icon: '🪔', size: { x: 0.3, y: 1.4, z: 0.3 }, weight: 5, packingFactor: 0.25 },
-            { type: 'lamp', name: 'Table Lamp', icon: '🪔', size: { x: 0.25, y: 0.5, z: 0.25 }, weight: 3, packingFactor: 0.3 },
-        ];
-        
-        // Calculate effective volume for each template (bounding box * packing factor)
-        this.itemTemplates.forEach(item => {
-            const boundingVolume = item.size.x * item.size.y * item.size.z;
-            item.volumeM3 = boundingVolume * (item.packingFactor || 1.0);
-            if (item.volumeOverrideYd3) {
-                item.volumeM3 = item.volumeOverrideYd3 * this.CUBIC_YARDS_TO_CUBIC_METERS;
-            } else if (item.volumeOverrideM3) {
-                item.volumeM3 = item.volumeOverrideM3;
+            const template = { ...entry, size: { ...entry.size } };
+            // Calculate effective volume (bounding box * packing factor)
+            const boundingVolume = template.size.x * template.size.y * template.size.z;
+            template.volumeM3 = boundingVolume * (template.packingFactor || 1.0);
+            if (template.volumeOverrideYd3) {
+                template.volumeM3 = template.volumeOverrideYd3 * this.CUBIC_YARDS_TO_CUBIC_METERS;
+            } else if (template.volumeOverrideM3) {
+                template.volumeM3 = template.volumeOverrideM3;
             }
+            templates.push(template);
         });
+        
+        return templates;
+    }
+    
+    validateTemplate(entry) {
+        const errors = [];
+        const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+        if (!entry || typeof entry !== 'object') return ['not an object'];
+        if (typeof entry.id !== 'string' || !entry.id) errors.push('missing id');
+        if (typeof entry.type !== 'string' || !entry.type) errors.push('missing type');
+        if (typeof entry.name !== 'string' || !entry.name) errors.push('missing name');
+        if (!entry.size || !isPositive(entry.size.x) || !isPositive(entry.size.y) || !isPositive(entry.size.z)) {
+            errors.push('size needs positive x/y/z');
+        }
+        if (!isPositive(entry.weight)) errors.push('weight must be positive');
+        if (entry.packingFactor !== undefined && !(isPositive(entry.packingFactor) && entry.packingFactor <= 1)) {
+            errors.push('packingFactor must be in (0, 1]');
+        }
+        if (entry.fragility !== undefined && !(typeof entry.fragility === 'number' && entry.fragility >= 0 && entry.fragility <= 1)) {
+            errors.push('fragility must be in [0, 1]');
+        }
+        if (entry.volumeOverrideYd3 !== undefined && !isPositive(entry.volumeOverrideYd3)) {
+            errors.push('volumeOverrideYd3 must be positive');
+        }
+        if (entry.volumeOverrideM3 !== undefined && !isPositive(entry.volumeOverrideM3)) {
+            errors.push('volumeOverrideM3 must be positive');
+        }
+        return errors;
+    }
+    
+    // Validate authored levels against the loaded templates
+    parseLevels(data) {
+        const entries = data && Array.isArray(data.levels) ? data.levels : [];
+        const levels = {};
+        
+        entries.forEach((entry, index) => {
+            const errors = this.validateLevel(entry);
+            if (entry && levels[entry.level]) {
+                errors.push(`level ${entry.level} defined twice`);
+            }
+            if (errors.length > 0) {
+                console.warn(`⚠️ LevelManager: skipping level entry #${index}: ${errors.join(', ')}`);
+                return;
+            }
+            const parseItems = (refs) => refs.map(ref => ({ template: ref.template, count: ref.count || 1 }));
+            levels[entry.level] = {
+                level: entry.level,
+                name: entry.name || null,
+                items: entry.items ? parseItems(entry.items) : [],
+                route: entry.route ? {
+                    order: entry.route.order || 'ordered',
+                    stops: entry.route.stops.map(stop => stop.type === 'pickup'
+                        ? { type: 'pickup', name: stop.name || null, items: parseItems(stop.items) }
+                        : { type: 'dropoff', name: stop.name || null, takes: stop.takes.slice() })
+                } : null,
+                pickupDistance: entry.pickupDistance ?? null,
+                destinationDistance: entry.destinationDistance ?? null,
+                time: entry.time || null,
+                weather: entry.weather || null
+            };
+        });
+        
+        return levels;
+    }
+    
+    validateLevel(entry) {
+        const errors = [];
+        const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+        if (!entry || typeof entry !== 'object') return ['not an object'];
+        if (!Number.isInteger(entry.level) || entry.level < 1) errors.push('level must be an integer >= 1');
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name)) errors.push('name must be a string');
+        if (entry.route !== undefined) {
+            // Route levels list their items per pickup stop
+            if (entry.items !== undefined) errors.push('use either items or route, not both');
+            this.validateRoute(entry.route, errors);
+        } else {
+            this.validateItemRefs(entry.items, 'items', errors);
+        }
+        if (entry.pickupDistance !== undefined && !isPositive(entry.pickupDistance)) {
+            errors.push('pickupDistance must be positive');
+        }
+        if (entry.destinationDistance !== undefined && !isPositive(entry.destinationDistance)) {
+            errors.push('destinationDistance must be positive');
+        }
+        if (entry.time !== undefined && !this.TIMES_OF_DAY.includes(entry.time)) {
+            errors.push(`time must be one of ${this.TIMES_OF_DAY.join(', ')}`);
+        }
+        if (entry.weather !== undefined && !this.WEATHER_TYPES.includes(entry.weather)) {
+            errors.push(`weather must be one of ${this.WEATHER_TYPES.join(', ')}`);
+        }
+        return errors;
+    }
+    
+    validateItemRefs(refs, label, errors) {
+        if (!Array.isArray(refs) || refs.length === 0) {
+            errors.push(`${label} must be a non-empty array`);
+            return;
+        }
+        refs.forEach((ref, i) => {
+            if (!ref || !this.findTemplate(ref.template)) {
+                errors.push(`${label}[${i}] references unknown template "${ref && ref.template}"`);
+            }
+            if (ref && ref.count !== undefined && !(Number.isInteger(ref.count) && ref.count >= 1)) {
+                errors.push(`${label}[${i}].count must be an integer >= 1`);
+            }
+        });
+    }
+    
+    // route: { order: 'ordered' | 'free', stops: [{ type: 'pickup', items } | { type: 'dropoff', takes }] }
+    validateRoute(route, errors) {
+        if (!route || typeof route !== 'object') {
+            errors.push('route must be an object');
+            return;
+        }
+        if (route.order !== undefined && route.order !== 'ordered' && route.order !== 'free') {
+            errors.push('route.order must be "ordered" or "free"');
+        }
+        if (!Array.isArray(route.stops) || route.stops.length === 0) {
+            errors.push('route.stops must be a non-empty array');
+            return;
+        }
+        const taken = new Set();
+        route.stops.forEach((stop, i) => {
+            const label = `route.stops[${i}]`;
+            if (!stop || (stop.type !== 'pickup' && stop.type !== 'dropoff')) {
+                errors.push(`${label}.type must be "pickup" or "dropoff"`);
+                return;
+            }
+            if (stop.name !== undefined && (typeof stop.name !== 'string' || !stop.name)) {
+                errors.push(`${label}.name must be a string`);
+            }
+            if (stop.type === 'pickup') {
+                this.validateItemRefs(stop.items, `${label}.items`, errors);
+                return;
+            }
+            if (!Array.isArray(stop.takes) || stop.takes.length === 0) {
+                errors.push(`${label}.takes must be a non-empty array of pickup stop indices`);
+                return;
+            }
+            stop.takes.forEach(index => {
+                const pickup = route.stops[index];
+                if (!Number.isInteger(index) || !pickup || pickup.type !== 'pickup') {
+                    errors.push(`${label}.takes: ${index} is not a pickup stop`);
+                } else if (route.order !== 'free' && index > i) {
+                    errors.push(`${label}.takes: pickup ${index} comes after the drop-off`);
+                } else if (taken.has(index)) {
+                    errors.push(`${label}.takes: pickup ${index} is already unloaded elsewhere`);
+                }
+                taken.add(index);
+            });
+        });
+        if (!route.stops.some(stop => stop && stop.type === 'pickup')) {
+            errors.push('route needs at least one pickup stop');
+        }
+    }
+    
+    findTemplate(id) {
+        return this.itemTemplates.find(t => t.id === id) || null;
+    }
+    
+    getLevelDefinition(levelNumber) {
+        return this.levelDefinitions[levelNumber] || null;
+    }
+    
+    // Distance from start to pickup (meters)
+    getPickupDistance(levelNumber) {
+        const def = this.getLevelDefinition(levelNumber);
+        return (def && def.pickupDistance) || this.DEFAULT_PICKUP_DISTANCE;
+    }
+    
+    // Distance from start to drop-off (meters) - further away for higher levels
+    getDestinationDistance(levelNumber) {
+        const def = this.getLevelDefinition(levelNumber);
+        if (def && def.destinationDistance) return def.destinationDistance;
+        return this.DEFAULT_DESTINATION_BASE + levelNumber * this.DEFAULT_DESTINATION_PER_LEVEL;
+    }
+    
+    // 'dawn', 'day', 'dusk' or 'night'
+    getTimeOfDay(levelNumber) {
+        const forced = LevelManager.paramFromUrl('time');
+        if (forced && this.TIMES_OF_DAY.includes(forced)) return forced;
+        const def = this.getLevelDefinition(levelNumber);
+        if (def && def.time) return def.time;
+        if (def || levelNumber < this.NIGHT_LEVEL_START) return 'day';
+        const every = this.NIGHT_LEVEL_EVERY;
+        if (levelNumber % every === 0) return 'night';
+        return levelNumber % every === every - 1 ? 'dusk' : 'day';
+    }
+    
+    // 'clear', 'rain', 'snow' or 'fog'
+    getWeather(levelNumber) {
+        const forced = LevelManager.paramFromUrl('weather');
+        if (forced && this.WEATHER_TYPES.includes(forced)) return forced;
+        const def = this.getLevelDefinition(levelNumber);
+        if (def && def.weather) return def.weather;
+        if (def || levelNumber < this.WEATHER_LEVEL_START) return 'clear';
+        let roll = this.random.stream('weather', levelNumber)();
+        for (const [weather, chance] of Object.entries(this.WEATHER_CHANCES)) {
+            if (roll < chance) return weather;
+            roll -= chance;
+        }
+        return 'clear';
+    }
+    
+    // Read ?name= from the page URL (null if absent)
+    static paramFromUrl(name) {
+        try {
+            return new URLSearchParams(window.location.search).get(name);
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Par time (seconds, rounded up to 5) for the loaded level over a route of routeDistance meters
+    getParTime(routeDistance) {
+        const itemCount = this.currentLevelData ? this.currentLevelData.items.length : 0;
+        const seconds = itemCount * this.PAR_SECONDS_PER_ITEM + routeDistance / this.PAR_DRIVE_SPEED;
+        return Math.ceil(seconds / 5) * 5;
+    }
+    
+    // Level used for the Daily Load - drawn from the run seed, so it's the same for everyone that day
+    getDailyLevel() {
+        const rng = this.random.stream('dailyLevel');
+        const { min, max } = this.DAILY_LEVEL_RANGE;
+        const levels = [];
+        for (let level = min; level <= max; level++) {
+            if (!this.getLevelDefinition(level)) levels.push(level);
+        }
+        // Every level in the range authored: go just past the last one
+        if (levels.length === 0) levels.push(Math.max(...Object.keys(this.levelDefinitions).map(Number)) + 1);
+        return levels[Math.floor(rng() * levels.length)];
     }
     
     // Get target volume in cubic meters for a level
@@ -76,67 +351,65 @@ class LevelManager {
         return targetYd3 * this.CUBIC_YARDS_TO_CUBIC_METERS;
     }
     
-    // Generate items for a level
+    // Generate items for a level (authored definition if present, otherwise procedural)
     generateLevel(levelNumber) {
-        // Level 1: Single loveseat as tutorial
-        if (levelNumber === 1) {
-            const loveseat = this.itemTemplates.find(t => t.name === 'Loveseat');
-            const item = this.createItemFromTemplate(loveseat, 1, 0);
-            return {
-                name: 'Tutorial',
-                targetVolumeYd3: item.volumeM3 / this.CUBIC_YARDS_TO_CUBIC_METERS,
-                items: [item]
-            };
+        const definition = this.getLevelDefinition(levelNumber);
+        if (definition) {
+            return this.buildAuthoredLevel(definition);
         }
-
-        // Level 2: Dining table + 2 chairs
-        if (levelNumber === 2) {
-            const diningTable = this.itemTemplates.find(t => t.name === 'Dining Table');
-            const chair = this.itemTemplates.find(t => t.name === 'Chair');
-            const items = [];
-            let itemCounter = 0;
-            if (diningTable) items.push(this.createItemFromTemplate(diningTable, 2, itemCounter++));
-            if (chair) {
-                items.push(this.createItemFromTemplate(chair, 2, itemCounter++));
-                items.push(this.createItemFromTemplate(chair, 2, itemCounter++));
-            }
-            const totalVolume = items.reduce((sum, item) => sum + (item.volumeM3 || 0), 0);
-            return {
-                name: this.getLevelName(levelNumber),
-                targetVolumeYd3: totalVolume / this.CUBIC_YARDS_TO_CUBIC_METERS,
-                items
-            };
-        }
-
-        // Level 3: Refrigerator + Freezer + Dining Table + Large Box
-        if (levelNumber === 3) {
-            const refrigerator = this.itemTemplates.find(t => t.name === 'Refrigerator');
-            const freezer = this.itemTemplates.find(t => t.name === 'Freezer');
-            const diningTable = this.itemTemplates.find(t => t.name === 'Dining Table');
-            const largeBox = this.itemTemplates.find(t => t.name === 'Large Box');
-            const items = [];
-            let itemCounter = 0;
-            if (refrigerator) items.push(this.createItemFromTemplate(refrigerator, 3, itemCounter++));
-            if (freezer) items.push(this.createItemFromTemplate(freezer, 3, itemCounter++));
-            if (diningTable) items.push(this.createItemFromTemplate(diningTable, 3, itemCounter++));
-            if (largeBox) items.push(this.createItemFromTemplate(largeBox, 3, itemCounter++));
-            const totalVolume = items.reduce((sum, item) => sum + (item.volumeM3 || 0), 0);
-            return {
-                name: this.getLevelName(levelNumber),
-                targetVolumeYd3: totalVolume / this.CUBIC_YARDS_TO_CUBIC_METERS,
-                items
-            };
+        return this.generateProceduralLevel(levelNumber);
+    }
+    
+    buildAuthoredLevel(definition) {
+        const levelNumber = definition.level;
+        const items = [];
+        let itemCounter = 0;
+        const addItems = (refs) => {
+            const start = items.length;
+            refs.forEach(ref => {
+                const template = this.findTemplate(ref.template);
+                for (let i = 0; i < ref.count; i++) {
+                    items.push(this.createItemFromTemplate(template, levelNumber, itemCounter++));
+                }
+            });
+            return items.slice(start).map(item => item.id);
+        };
+        
+        // Route levels: each pickup gets its own items, each drop-off unloads its pickups' items
+        let route = null;
+        if (definition.route) {
+            const stops = definition.route.stops.map(stop => (stop.type === 'pickup'
+                ? { type: 'pickup', name: stop.name, itemIds: addItems(stop.items) }
+                : { type: 'dropoff', name: stop.name, takes: stop.takes.slice() }));
+            stops.forEach(stop => {
+                if (stop.type === 'dropoff') {
+                    stop.itemIds = [].concat(...stop.takes.map(index => stops[index].itemIds));
+                }
+            });
+            route = { order: definition.route.order, stops };
+        } else {
+            addItems(definition.items);
         }
         
+        const totalVolume = items.reduce((sum, item) => sum + (item.volumeM3 || 0), 0);
+        return {
+            name: definition.name || this.getLevelName(levelNumber),
+            targetVolumeYd3: totalVolume / this.CUBIC_YARDS_TO_CUBIC_METERS,
+            items,
+            route
+        };
+    }
+    
+    generateProceduralLevel(levelNumber) {
         const targetVolume = this.getTargetVolumeM3(levelNumber);
         const items = [];
         let currentVolume = 0;
         let itemCounter = 0;
         
-        // Seed random based on level for consistency
-        const seededRandom = this.seededRandom(levelNumber * 12345);
+        // Seeded per level from the run seed so a level's items are reproducible
+        const seededRandom = this.random.stream('levelItems', levelNumber);
         
-        // Target item count: level 2 is hand-crafted, then scale by 2
+        // Target item count scales by 2 per level
         // Level 3: 4 items, Level 4: 6 items, etc.
         const targetItemCount = Math.max(2, 2 + Math.floor((levelNumber - 2) * 2));
         
@@ -146,22 +419,6 @@ class LevelManager {
         // Get available templates and sort by volume
         const availableTemplates = this.getAvailableTemplates(levelNumber);
         
-        // For level 2, hand-craft: 1 loveseat + 2 chairs
-        if (levelNumber === 2) {
-            const loveseat = availableTemplates.find(t => t.name === 'Loveseat');
-            const chair = availableTemplates.find(t => t.name === 'Chair');
-            if (loveseat) {
-                items.push(this.createItemFromTemplate(loveseat, levelNumber, itemCounter++));
-                currentVolume += loveseat.volumeM3;
-            }
-            if (chair) {
-                items.push(this.createItemFromTemplate(chair, levelNumber, itemCounter++));
-                currentVolume += chair.volumeM3;
-                items.push(this.createItemFromTemplate(chair, levelNumber, itemCounter++));
-                currentVolume += chair.volumeM3;
-            }
-        }
-        
         // Try to pick items close to the average volume needed
         for (let i = items.length; i < targetItemCount && currentVolume < targetVolume * 0.95; i++) {
             const remainingVolume = targetVolume - currentVolume;
@@ -194,7 +451,8 @@ class LevelManager {
         return {
             name: this.getLevelName(levelNumber),
             targetVolumeYd3: targetVolume / this.CUBIC_YARDS_TO_CUBIC_METERS,
-            items: items
+            items: items,
+            route: null
         };
     }
     
@@ -209,9 +467,9 @@ class LevelManager {
         }
         
         if (levelNumber >= 3) {
-            // Add tables, lamps, and appliances
+            // Add tables, lamps, TVs, and appliances
             templates = templates.concat(this.itemTemplates.filter(t =>
-                t.type === 'table' || t.type === 'lamp' || t.type === 'fridge'
+                t.type === 'table' || t.type === 'lamp' || t.type === 'tv' || t.type === 'fridge'
             ));
         }
         
@@ -265,7 +523,8 @@ class LevelManager {
             volumeM3: volumeM3,
             volumeOverrideYd3: overrideYd3,
             volumeOverrideM3: overrideM3,
-            packingFactor: template.packingFactor || 1.0
+            packingFactor: template.packingFactor || 1.0,
+            fragility: template.fragility || 0
         };
     }
     
@@ -282,22 +541,15 @@ class LevelManager {
         return `Overloaded ${levelNumber}`;
     }
     
-    // Simple seeded random number generator
-    seededRandom(seed) {
-        let s = seed;
-        return function() {
-            s = Math.sin(s * 9999) * 10000;
-            return s - Math.floor(s);
-        };
-    }
-    
     loadLevel(levelNumber, game) {
         const level = this.generateLevel(levelNumber);
+        level.timeOfDay = this.getTimeOfDay(levelNumber);
+        level.weather = this.getWeather(levelNumber);
         this.currentLevelData = level;
         
         // Load item definitions
         game.itemManager.loadItems(level.items);
-        game.uiManager.populateItemQueue(level.items);
+        game.uiManager.populateItemQueue(level.items, level.route);
     }
     
     getTotalLevels() {
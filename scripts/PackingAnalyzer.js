@@ -0,0 +1,195 @@
+/**
+ * PackingAnalyzer - Voxel-based packing quality for the cargo bed
+ *
+ * Works in truck-local coordinates: X across the bed, Y up from the floor top,
+ * Z along the bed (front wall at -Z, open back at +Z). Placed items are rasterized
+ * as oriented boxes, then the grid is scanned for fill, voids, floor use and height.
+ */
+class PackingAnalyzer {
+    constructor(truck, voxelSize = 0.1) {
+        this.truck = truck;
+        this.voxelSize = voxelSize;
+    }
+
+    // Cargo grid dimensions (cells and per-axis cell size, so cells tile the bed exactly)
+    getGrid() {
+        const width = this.truck.cargoWidth;
+        const length = this.truck.cargoLength;
+        const floorY = this.truck.getFloorTopY();
+        const height = this.truck.getBounds().maxY - floorY;
+        const nx = Math.max(1, Math.round(width / this.voxelSize));
+        const ny = Math.max(1, Math.round(height / this.voxelSize));
+        const nz = Math.max(1, Math.round(length / this.voxelSize));
+        return {
+            nx, ny, nz,
+            cellX: width / nx,
+            cellY: height / ny,
+            cellZ: length / nz,
+            minX: -width / 2,
+            minY: floorY,
+            minZ: -length / 2,
+            width, height, length
+        };
+    }
+
+    // Oriented box for a placed item in truck-local space:
+    // { center: {x,y,z}, half: {x,y,z}, axes: [[x,y,z] x3] } (axes = item X/Y/Z directions),
+    // plus openBelow: { height, inset } for tables whose top leaves space underneath
+    getItemBox(item) {
+        if (!item || !item.mesh || !item.size) return null;
+        const mesh = item.mesh;
+        const root = this.truck.root;
+        let translation;
+        let rotation;
+
+        if (item.isParented && mesh.parent === root) {
+            // Parented - transform is already truck-local
+            translation = mesh.position;
+            rotation = mesh.rotationQuaternion
+                || BABYLON.Quaternion.RotationYawPitchRoll(mesh.rotation.y, mesh.rotation.x, mesh.rotation.z);
+        } else {
+            // World-space (physics) item - express relative to the truck root
+            root.computeWorldMatrix(true);
+            const rootInv = root.getWorldMatrix().clone();
+            rootInv.invert();
+            const relative = mesh.computeWorldMatrix(true).multiply(rootInv);
+            const scale = new BABYLON.Vector3();
+            rotation = new BABYLON.Quaternion();
+            translation = new BABYLON.Vector3();
+            relative.decompose(scale, rotation, translation);
+        }
+
+        const matrix = new BABYLON.Matrix();
+        rotation.toRotationMatrix(matrix);
+        const m = matrix.m;
+        const box = {
+            center: { x: translation.x, y: translation.y, z: translation.z },
+            half: { x: item.size.x / 2, y: item.size.y / 2, z: item.size.z / 2 },
+            // Babylon matrices are row-major: rows 0-2 are the rotated local axes
+            axes: [
+                [m[0], m[1], m[2]],
+                [m[4], m[5], m[6]],
+                [m[8], m[9], m[10]]
+            ]
+        };
+        if (item.underSpace) box.openBelow = item.underSpace;
+        return box;
+    }
+
+    // Analyze the current load (fallen items are ignored)
+    analyze(placedItems) {
+        const boxes = [];
+        (placedItems || []).forEach(item => {
+            if (!item.isPlaced || item.isFallen) return;
+            const box = this.getItemBox(item);
+            if (box) boxes.push(box);
+        });
+        return this.analyzeBoxes(boxes);
+    }
+
+    // Pure voxel analysis on oriented boxes (no Babylon dependency)
+    analyzeBoxes(boxes) {
+        const grid = this.getGrid();
+        const { nx, ny, nz } = grid;
+        const occupied = this.rasterize(boxes, grid);
+        const total = nx * ny * nz;
+
+        let occupiedCount = 0;
+        let voidCount = 0;
+        let floorCells = 0;
+        let maxTopCell = 0;
+        let columnHeightSum = 0;
+        let usedColumns = 0;
+
+        // Column scan: an empty cell with anything above it can't be filled from the top -> wasted void
+        for (let ix = 0; ix < nx; ix++) {
+            for (let iz = 0; iz < nz; iz++) {
+                let covered = false;
+                let columnTop = 0;
+                for (let iy = ny - 1; iy >= 0; iy--) {
+                    const filled = occupied[(iy * nz + iz) * nx + ix] === 1;
+                    if (filled) {
+                        occupiedCount++;
+                        if (!covered) columnTop = iy + 1;
+                        covered = true;
+                    } else if (covered) {
+                        voidCount++;
+                    }
+                }
+                if (occupied[iz * nx + ix] === 1) floorCells++;
+                if (columnTop > 0) {
+                    usedColumns++;
+                    columnHeightSum += columnTop;
+                }
+                if (columnTop > maxTopCell) maxTopCell = columnTop;
+            }
+        }
+
+        const cellVolume = grid.cellX * grid.cellY * grid.cellZ;
+        const occupiedFraction = total > 0 ? occupiedCount / total : 0;
+        const packingDensity = occupiedCount > 0 ? occupiedCount / (occupiedCount + voidCount) : 0;
+
+        return {
+            occupiedFraction,                                  // Share of the cargo bed filled by items
+            occupiedVolumeM3: occupiedCount * cellVolume,
+            voidFraction: total > 0 ? voidCount / total : 0,   // Share of the bed lost to enclosed voids
+            voidVolumeM3: voidCount * cellVolume,
+            packingDensity,                                    // Filled / (filled + enclosed voids)
+            floorCoverage: floorCells / (nx * nz),             // Share of the floor with something on it
+            stackHeight: maxTopCell * grid.cellY,              // Tallest point of the load (m above floor)
+            averageStackHeight: usedColumns > 0 ? (columnHeightSum / usedColumns) * grid.cellY : 0,
+            cargoHeight: grid.height,
+            // Headline score: how full the truck is, discounted by wasted space inside the load
+            efficiency: occupiedFraction * packingDensity
+        };
+    }
+
+    // Mark cells whose centers fall inside any box
+    rasterize(boxes, grid) {
+        const { nx, ny, nz, cellX, cellY, cellZ, minX, minY, minZ } = grid;
+        const occupied = new Uint8Array(nx * ny * nz);
+        const eps = 1e-4;
+
+        boxes.forEach(box => {
+            const [ax, ay, az] = box.axes;
+            const h = box.half;
+            const c = box.center;
+            const open = box.openBelow;
+
+            // Local AABB of the oriented box
+            const extX = Math.abs(ax[0]) * h.x + Math.abs(ay[0]) * h.y + Math.abs(az[0]) * h.z;
+            const extY = Math.abs(ax[1]) * h.x + Math.abs(ay[1]) * h.y + Math.abs(az[1]) * h.z;
+            const extZ = Math.abs(ax[2]) * h.x + Math.abs(ay[2]) * h.y + Math.abs(az[2]) * h.z;
+
+            const x0 = Math.max(0, Math.floor((c.x - extX - minX) / cellX));
+            const x1 = Math.min(nx - 1, Math.floor((c.x + extX - minX) / cellX));
+            const y0 = Math.max(0, Math.floor((c.y - extY - minY) / cellY));
+            const y1 = Math.min(ny - 1, Math.floor((c.y + extY - minY) / cellY));
+            const z0 = Math.max(0, Math.floor((c.z - extZ - minZ) / cellZ));
+            const z1 = Math.min(nz - 1, Math.floor((c.z + extZ - minZ) / cellZ));
+
+            for (let iy = y0; iy <= y1; iy++) {
+                const dy = minY + (iy + 0.5) * cellY - c.y;
+                for (let iz = z0; iz <= z1; iz++) {
+                    const dz = minZ + (iz + 0.5) * cellZ - c.z;
+                    for (let ix = x0; ix <= x1; ix++) {
+                        const dx = minX + (ix + 0.5) * cellX - c.x;
+                        // Project onto the item's axes and compare with half extents
+                        const lx = dx * ax[0] + dy * ax[1] + dz * ax[2];
+                        if (Math.abs(lx) > h.x + eps) continue;
+                        const ly = dx * ay[0] + dy * ay[1] + dz * ay[2];
+                        if (Math.abs(ly) > h.y + eps) continue;
+                        const lz = dx * az[0] + dy * az[1] + dz * az[2];
+                        if (Math.abs(lz) > h.z + eps) continue;
+                        // Under a table top is open space (legs are thin enough to ignore)
+                        if (open && ly < open.height - h.y &&
+                            Math.abs(lx) < h.x - open.inset && Math.abs(lz) < h.z - open.inset) continue;
+                        occupied[(iy * nz + iz) * nx + ix] = 1;
+                    }
+                }
+            }
+        });
+
+        return occupied;
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * PackingSolver - Heuristic reference packer for a level's item list
+ *
+ * Extreme-point placement (front wall first, then low, then left) driven by a small
+ * beam search over which item goes next. Items stay upright and turn in 90° steps,
+ * the same moves the player has. The result is scored with PackingAnalyzer so
+ * "best known" and the player's efficiency use the same measure.
+ */
+class PackingSolver {
+    constructor(truck, analyzer, options = {}) {
+        this.truck = truck;
+        this.analyzer = analyzer;
+        this.beamWidth = options.beamWidth ?? 10;      // States kept per step
+        this.branching = options.branching ?? 4;       // Distinct items tried per state
+        this.minSupport = options.minSupport ?? 0.75;  // Share of a stacked item's base that must rest on something
+        this.safety = 0.02;                            // Same wall gap ItemManager.isValidPlacement allows
+        this.supportTolerance = 0.02;                  // Physics items settle a little above/below exact tops
+        this.eps = 1e-6;
+    }
+
+    // Usable cargo space in truck-local coordinates (y measured up from the floor top)
+    getSpace() {
+        const halfW = this.truck.cargoWidth / 2 - this.safety;
+        const halfL = this.truck.cargoLength / 2 - this.safety;
+        const floorY = this.truck.getFloorTopY();
+        return {
+            minX: -halfW, maxX: halfW,
+            minZ: -halfL, maxZ: halfL,
+            height: this.truck.getBounds().maxY - floorY,
+            floorY
+        };
+    }
+
+    // items: [{ id, name, size: {x,y,z}, underSpace? }] (sizes as ItemManager.getItemBoxSize reports them)
+    // Returns { placements, unplaced, analysis, efficiency }
+    solve(items) {
+        const space = this.getSpace();
+        const pieces = items
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                size: item.size,
+                underSpace: item.underSpace || null,
+                volume: item.size.x * item.size.y * item.size.z
+            }))
+            .sort((a, b) => b.volume - a.volume);
+
+        let beam = [{ ...this.createState([], space), remaining: pieces }];
+
+        while (beam.some(state => state.remaining.length > 0)) {
+            const next = [];
+            beam.forEach(state => {
+                if (state.remaining.length === 0) {
+                    next.push(state);
+                    return;
+                }
+                this.getCandidates(state.remaining).forEach(piece => {
+                    const spot = this.findSpot(state, piece, space);
+                    next.push(spot ? this.place(state, piece, spot) : this.skip(state, piece));
+                });
+            });
+            // Keep the states with the most packed volume, tie-break on the shallowest load
+            next.sort((a, b) => (b.volume - a.volume) || (a.depth - b.depth));
+            beam = next.slice(0, this.beamWidth);
+        }
+
+        // Final pick by the real packing score
+        let best = null;
+        beam.forEach(state => {
+            const analysis = this.analyzer.analyzeBoxes(state.boxes.map(box => this.toAnalyzerBox(box, space)));
+            if (!best || analysis.efficiency > best.analysis.efficiency) {
+                best = { state, analysis };
+            }
+        });
+
+        return {
+            placements: best.state.boxes.map(box => this.toPlacement(box, space)),
+            unplaced: best.state.unplaced.map(piece => piece.id),
+            analysis: best.analysis,
+            efficiency: best.analysis.efficiency
+        };
+    }
+
+    // Best spot for the held item given what's already in the truck (fixed boxes, truck-local AABBs)
+    // and what's still waiting on the ground. Each candidate spot is scored by greedily packing the
+    // rest of the load after it. Returns a placement (see toPlacement) or null if it doesn't fit.
+    suggest(fixedBoxes, held, remainingItems, maxCandidates = 12) {
+        const space = this.getSpace();
+        const toPiece = item => ({
+            id: item.id,
+            name: item.name,
+            size: item.size,
+            volume: item.size.x * item.size.y * item.size.z
+        });
+        const heldPiece = toPiece(held);
+        const rest = remainingItems.map(toPiece).sort((a, b) => b.volume - a.volume);
+        const state = this.createState(fixedBoxes, space);
+
+        let best = null;
+        this.findSpots(state, heldPiece, space).slice(0, maxCandidates).forEach(spot => {
+            let after = this.place(state, heldPiece, spot);
+            rest.forEach(piece => {
+                const next = this.findSpot(after, piece, space);
+                if (next) after = this.place(after, piece, next);
+            });
+            if (!best || after.volume > best.volume + this.eps) {
+                best = { volume: after.volume, spot };
+            }
+        });
+        if (!best) return null;
+
+        const box = { ...best.spot.box, id: heldPiece.id, name: heldPiece.name, size: heldPiece.size, rotation: best.spot.rotation };
+        return this.toPlacement(box, space);
+    }
+
+    // Search state seeded with boxes already in the truck ({ x0, x1, y0, y1, z0, z1 }, y from the floor top)
+    createState(fixedBoxes, space) {
+        const boxes = [];
+        const points = [{ x: space.minX, y: 0, z: space.minZ }];
+        fixedBoxes.forEach(fixed => {
+            const box = { ...fixed };
+            boxes.push(box);
+            this.addExtremePoints(points, box, boxes, space);
+        });
+        return {
+            boxes,
+            points: points.filter(p => !boxes.some(b => this.isInside(p, b))),
+            remaining: [],
+            unplaced: [],
+            volume: 0,
+            depth: boxes.reduce((depth, b) => Math.max(depth, b.z1), 0)
+        };
+    }
+
+    // First few distinct sizes still to pack (largest first; identical items are interchangeable)
+    getCandidates(remaining) {
+        const seen = new Set();
+        const candidates = [];
+        for (const piece of remaining) {
+            const key = `${piece.size.x}|${piece.size.y}|${piece.size.z}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            candidates.push(piece);
+            if (candidates.length >= this.branching) break;
+        }
+        return candidates;
+    }
+
+    // Best extreme point for a piece, or null if it doesn't fit anywhere
+    findSpot(state, piece, space) {
+        return this.findSpots(state, piece, space)[0] || null;
+    }
+
+    // Every feasible extreme-point spot, best first
+    findSpots(state, piece, space) {
+        const orientations = [{ rotation: 0, sx: piece.size.x, sz: piece.size.z }];
+        if (Math.abs(piece.size.x - piece.size.z) > this.eps) {
+            orientations.push({ rotation: Math.PI / 2, sx: piece.size.z, sz: piece.size.x });
+        }
+        const sy = piece.size.y;
+
+        const spots = [];
+        for (const point of state.points) {
+            for (const o of orientations) {
+                const box = {
+                    x0: point.x, x1: point.x + o.sx,
+                    y0: point.y, y1: point.y + sy,
+                    z0: point.z, z1: point.z + o.sz
+                };
+                if (box.x1 > space.maxX + this.eps || box.z1 > space.maxZ + this.eps || box.y1 > space.height + this.eps) continue;
+                if (this.overlapsAny(box, state.boxes)) continue;
+                if (!this.isSupported(box, state.boxes)) continue;
+                spots.push({ box, rotation: o.rotation });
+            }
+        }
+        // Deepest (front wall), then lowest, then leftmost
+        return spots.sort((a, b) => this.compareSpots(a.box, b.box));
+    }
+
+    compareSpots(a, b) {
+        if (Math.abs(a.z0 - b.z0) > this.eps) return a.z0 - b.z0;
+        if (Math.abs(a.y0 - b.y0) > this.eps) return a.y0 - b.y0;
+        return a.x0 - b.x0;
+    }
+
+    overlapsAny(box, boxes) {
+        const e = this.eps;
+        return boxes.some(b =>
+            box.x0 < b.x1 - e && box.x1 > b.x0 + e &&
+            box.y0 < b.y1 - e && box.y1 > b.y0 + e &&
+            box.z0 < b.z1 - e && box.z1 > b.z0 + e
+        );
+    }
+
+    // Floor always supports; stacked items need enough of their base resting on tops at the same height
+    isSupported(box, boxes) {
+        if (box.y0 < this.eps) return true;
+        const base = (box.x1 - box.x0) * (box.z1 - box.z0);
+        let supported = 0;
+        boxes.forEach(b => {
+            if (Math.abs(b.y1 - box.y0) > this.supportTolerance) return;
+            const ox = Math.min(box.x1, b.x1) - Math.max(box.x0, b.x0);
+            const oz = Math.min(box.z1, b.z1) - Math.max(box.z0, b.z0);
+            if (ox > 0 && oz > 0) supported += ox * oz;
+        });
+        return supported >= base * this.minSupport;
+    }
+
+    place(state, piece, spot) {
+        const box = { ...spot.box, id: piece.id, name: piece.name, size: piece.size, underSpace: piece.underSpace, rotation: spot.rotation };
+        const boxes = [...state.boxes, box];
+        const points = state.points.filter(p => !this.isInside(p, box));
+        this.addExtremePoints(points, box, boxes);
+
+        return {
+            boxes,
+            points,
+            remaining: this.without(state.remaining, piece),
+            unplaced: state.unplaced,
+            volume: state.volume + piece.volume,
+            depth: Math.max(state.depth, box.z1)
+        };
+    }
+
+    // New extreme points at a box's far corners, plus the same points dropped onto whatever is below.
+    // With a space given, the back corner is also slid to the left wall (for hand-placed loads that don't line up)
+    addExtremePoints(points, box, boxes, space = null) {
+        const corners = [
+            { x: box.x1, y: box.y0, z: box.z0 },
+            { x: box.x0, y: box.y1, z: box.z0 },
+            { x: box.x0, y: box.y0, z: box.z1 }
+        ];
+        if (space) corners.push({ x: space.minX, y: box.y0, z: box.z1 });
+        corners.forEach(corner => {
+            this.addPoint(points, corner, boxes);
+            this.addPoint(points, { ...corner, y: this.dropHeight(corner, boxes) }, boxes);
+        });
+    }
+
+    skip(state, piece) {
+        return {
+            ...state,
+            remaining: this.without(state.remaining, piece),
+            unplaced: [...state.unplaced, piece]
+        };
+    }
+
+    without(list, piece) {
+        const index = list.indexOf(piece);
+        return [...list.slice(0, index), ...list.slice(index + 1)];
+    }
+
+    addPoint(points, point, boxes) {
+        if (boxes.some(b => this.isInside(point, b))) return;
+        const duplicate = points.some(p =>
+            Math.abs(p.x - point.x) < this.eps && Math.abs(p.y - point.y) < this.eps && Math.abs(p.z - point.z) < this.eps
+        );
+        if (!duplicate) points.push(point);
+    }
+
+    isInside(p, b) {
+        const e = this.eps;
+        return p.x > b.x0 - e && p.x < b.x1 - e &&
+            p.y > b.y0 - e && p.y < b.y1 - e &&
+            p.z > b.z0 - e && p.z < b.z1 - e;
+    }
+
+    // Highest box top under a point (0 = floor)
+    dropHeight(point, boxes) {
+        let y = 0;
+        boxes.forEach(b => {
+            if (b.y1 > point.y + this.eps) return;
+            if (point.x >= b.x0 - this.eps && point.x < b.x1 - this.eps &&
+                point.z >= b.z0 - this.eps && point.z < b.z1 - this.eps) {
+                y = Math.max(y, b.y1);
+            }
+        });
+        return y;
+    }
+
+    // Axis-aligned box in the form PackingAnalyzer.analyzeBoxes expects
+    toAnalyzerBox(box, space) {
+        const analyzerBox = {
+            center: {
+                x: (box.x0 + box.x1) / 2,
+                y: space.floorY + (box.y0 + box.y1) / 2,
+                z: (box.z0 + box.z1) / 2
+            },
+            half: {
+                x: (box.x1 - box.x0) / 2,
+                y: (box.y1 - box.y0) / 2,
+                z: (box.z1 - box.z0) / 2
+            },
+            axes: [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+        };
+        if (box.underSpace) analyzerBox.openBelow = box.underSpace;
+        return analyzerBox;
+    }
+
+    // Truck-local AABB of an analyzer box (e.g. an item already in the truck), in solver space
+    fromAnalyzerBox(analyzerBox, space = this.getSpace()) {
+        const { center, half, axes } = analyzerBox;
+        const ext = [0, 1, 2].map(k =>
+            Math.abs(axes[0][k]) * half.x + Math.abs(axes[1][k]) * half.y + Math.abs(axes[2][k]) * half.z
+        );
+        const y = center.y - space.floorY;
+        const y0 = y - ext[1];
+        return {
+            x0: center.x - ext[0], x1: center.x + ext[0],
+            y0: y0 < this.supportTolerance ? 0 : y0,
+            y1: y + ext[1],
+            z0: center.z - ext[2], z1: center.z + ext[2]
+        };
+    }
+
+    // Truck-local item placement: center position, yaw and the item's own (unrotated) size
+    toPlacement(box, space) {
+        const analyzerBox = this.toAnalyzerBox(box, space);
+        return {
+            id: box.id,
+            name: box.name,
+            size: box.size,
+            rotation: box.rotation,
+            x: analyzerBox.center.x,
+            y: analyzerBox.center.y,
+            z: analyzerBox.center.z,
+            footprint: { x: box.x1 - box.x0, z: box.z1 - box.z0 }
+        };
+    }
+}
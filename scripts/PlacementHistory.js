@@ -0,0 +1,155 @@
+/**
+ * PlacementHistory - Undo/redo for loading actions at the pickup
+ *
+ * Input goes through pickup/place/cancel/lift here instead of calling ItemManager directly,
+ * so every action is recorded. Actions come in inverse pairs - pickup <-> cancel (ground <-> held)
+ * and place <-> lift (held <-> truck) - so undoing one just performs its partner.
+ */
+class PlacementHistory {
+    constructor(game, limit = 100) {
+        this.game = game;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // === Recorded actions ===
+
+    pickup(groundItem) {
+        const itemManager = this.game.itemManager;
+        itemManager.pickupGroundItem(groundItem);
+        if (itemManager.heldGroundItem !== groundItem) return false;
+        this.record({ type: 'pickup', itemId: groundItem.id });
+        return true;
+    }
+
+    place(x, z, rotation, tilt = null) {
+        const placed = this.game.itemManager.placeItem(x, z, rotation, tilt);
+        if (!placed) return null;
+        this.game.uiManager.markItemPlaced(placed.id);
+        this.record({ type: 'place', itemId: placed.id, placement: this.getPlacement(placed) });
+        return placed;
+    }
+
+    cancel() {
+        const itemManager = this.game.itemManager;
+        const held = itemManager.heldGroundItem;
+        if (!held) return false;
+        itemManager.cancelPickup();
+        this.record({ type: 'cancel', itemId: held.id });
+        return true;
+    }
+
+    lift(placedItem) {
+        const placement = this.getPlacement(placedItem);
+        if (!this.game.itemManager.liftPlacedItem(placedItem)) return false;
+        this.game.uiManager.markItemUnplaced(placedItem.id);
+        this.record({ type: 'lift', itemId: placedItem.id, placement });
+        return true;
+    }
+
+    // === Undo / redo ===
+
+    canEdit() {
+        const game = this.game;
+        return game.isRunning && !game.isPaused && game.isAtPickup && !game.uiManager.modalBlocking;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && this.canEdit();
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && this.canEdit();
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        const command = this.undoStack.pop();
+        if (!this.apply(PlacementHistory.inverseOf(command.type), command)) {
+            this.fail(command);
+            return false;
+        }
+        this.redoStack.push(command);
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+        const command = this.redoStack.pop();
+        if (!this.apply(command.type, command)) {
+            this.fail(command);
+            return false;
+        }
+        this.undoStack.push(command);
+        return true;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Perform an action for a recorded command without recording it again
+    apply(type, command) {
+        const itemManager = this.game.itemManager;
+        const uiManager = this.game.uiManager;
+        const held = itemManager.heldGroundItem;
+
+        if (type === 'pickup') {
+            const groundItem = itemManager.groundItems.find(gi => gi.id === command.itemId);
+            if (!groundItem || held) return false;
+            itemManager.pickupGroundItem(groundItem);
+            return itemManager.heldGroundItem === groundItem;
+        }
+        if (type === 'cancel') {
+            if (!held || held.id !== command.itemId) return false;
+            itemManager.cancelPickup();
+            return true;
+        }
+        if (type === 'place') {
+            if (!held || held.id !== command.itemId) return false;
+            const p = command.placement;
+            const world = itemManager._truckLocalToWorldXZ(p.x, p.z);
+            itemManager.updatePreview(world.x, world.z, p.rotation, p.tilt);
+            const placed = itemManager.placeItem(world.x, world.z, p.rotation, p.tilt);
+            if (!placed) return false;
+            uiManager.markItemPlaced(placed.id);
+            return true;
+        }
+        if (type === 'lift') {
+            const placed = itemManager.placedItems.find(item => item.id === command.itemId);
+            if (!placed || !itemManager.liftPlacedItem(placed, { force: true })) return false;
+            uiManager.markItemUnplaced(placed.id);
+            return true;
+        }
+        return false;
+    }
+
+    // The world moved on (physics, fall-out...) and the history no longer matches it
+    fail(command) {
+        console.warn(`↩️ History: couldn't replay ${command.type} of ${command.itemId}, clearing history`);
+        this.clear();
+        this.game.audioManager.playSound('error');
+    }
+
+    static inverseOf(type) {
+        return { pickup: 'cancel', cancel: 'pickup', place: 'lift', lift: 'place' }[type];
+    }
+
+    // Truck-local spot and orientation of a loaded item
+    getPlacement(placedItem) {
+        return {
+            x: placedItem.localX,
+            z: placedItem.localZ,
+            rotation: placedItem.localRotation,
+            tilt: { pitch: placedItem.localPitch || 0, roll: placedItem.localRoll || 0 }
+        };
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * PlacementSnap - Grid snapping and edge alignment for the held item
+ *
+ * Works in truck-local coordinates on the item's half extents (already oriented). The center
+ * snaps to a grid, then each axis is pulled onto the nearest cargo wall or neighbor edge within
+ * reach (flush against it, or lined up with it). Magnetic edges win over the grid.
+ */
+class PlacementSnap {
+    constructor(truck, analyzer, options = {}) {
+        this.truck = truck;
+        this.analyzer = analyzer;
+        this.gridSize = options.gridSize || 0.1;       // Grid step (m)
+        this.magnetDistance = options.magnetDistance || 0.12; // Edge pull reach (m)
+        this.safety = 0.02;                            // Same wall gap as ItemManager
+    }
+
+    // Snap the center (x, z) of an item with half extents { halfX, halfZ }.
+    // Returns { x, z, guides: [{ axis: 'x' | 'z', value, source: 'wall' | 'item' }] }
+    snap(x, z, half, placedItems) {
+        const edges = this.getEdges(placedItems);
+        const snapX = this.snapAxis(x, half.halfX, edges.x, this.truck.cargoWidth / 2);
+        const snapZ = this.snapAxis(z, half.halfZ, edges.z, this.truck.cargoLength / 2);
+        const guides = [];
+        if (snapX.edge) guides.push({ axis: 'x', value: snapX.edge.value, source: snapX.edge.source });
+        if (snapZ.edge) guides.push({ axis: 'z', value: snapZ.edge.value, source: snapZ.edge.source });
+        return { x: snapX.value, z: snapZ.value, guides };
+    }
+
+    // One axis: magnetic edge if one is in reach, otherwise the grid; kept inside the walls
+    snapAxis(center, half, edges, limit) {
+        const min = -limit + half + this.safety;
+        const max = limit - half - this.safety;
+        let best = null;
+        edges.forEach(edge => {
+            // Either side of the item can meet the edge
+            [edge.value + half, edge.value - half].forEach(candidate => {
+                if (candidate < min - 1e-6 || candidate > max + 1e-6) return;
+                const distance = Math.abs(candidate - center);
+                if (distance <= this.magnetDistance && (!best || distance < best.distance)) {
+                    best = { value: candidate, distance, edge };
+                }
+            });
+        });
+        if (best) return { value: best.value, edge: best.edge };
+
+        const grid = this.gridSize;
+        let value = Math.round(center / grid) * grid;
+        if (value < min) value = min;
+        if (value > max) value = max;
+        return { value, edge: null };
+    }
+
+    // Lines an edge can snap to: the cargo walls (minus the wall gap) and loaded items' sides
+    getEdges(placedItems) {
+        const halfWidth = this.truck.cargoWidth / 2 - this.safety;
+        const halfLength = this.truck.cargoLength / 2 - this.safety;
+        const edges = {
+            x: [{ value: -halfWidth, source: 'wall' }, { value: halfWidth, source: 'wall' }],
+            z: [{ value: -halfLength, source: 'wall' }, { value: halfLength, source: 'wall' }]
+        };
+        (placedItems || []).forEach(item => {
+            if (!item.mesh || item.isFallen) return;
+            const box = this.analyzer.getItemBox(item);
+            if (!box) return;
+            const ext = SupportAnalyzer.extents(box);
+            edges.x.push({ value: box.center.x - ext.x, source: 'item' }, { value: box.center.x + ext.x, source: 'item' });
+            edges.z.push({ value: box.center.z - ext.z, source: 'item' }, { value: box.center.z + ext.z, source: 'item' });
+        });
+        return edges;
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * RandomService - Seedable random numbers for everything that shapes a run
+ *
+ * One run seed drives item lists, pickup/destination placement and house layout.
+ * Each consumer asks for a named sub-stream (optionally keyed, e.g. by level or tile)
+ * so that streams never interfere: generating tile 3_-2 first or last gives the same houses,
+ * and level 6 of seed 8812 is identical no matter how the player got there.
+ */
+class RandomService {
+    constructor(seed) {
+        this.setSeed(seed ?? RandomService.randomSeed());
+    }
+
+    setSeed(seed) {
+        this.seed = RandomService.normalizeSeed(seed);
+    }
+
+    // Get a random() style function for a named sub-stream.
+    // Same seed + name + keys always yields the same sequence.
+    stream(name, ...keys) {
+        const key = `${this.seed}|${name}|${keys.join(',')}`;
+        return RandomService.mulberry32(RandomService.hashString(key));
+    }
+
+    // Short, human-friendly seeds so players can quote them in bug reports
+    static randomSeed() {
+        return 1 + Math.floor(Math.random() * 999999);
+    }
+
+    // Accepts numbers or strings ("8812", "2024-06-01") and returns an unsigned 32-bit int
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.abs(Math.floor(seed)) >>> 0;
+        }
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        return RandomService.hashString(text);
+    }
+
+    // Read ?seed= from the page URL (null if absent)
+    static seedFromUrl() {
+        try {
+            const value = new URLSearchParams(window.location.search).get('seed');
+            return value ? RandomService.normalizeSeed(value) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // FNV-1a string hash followed by a final avalanche
+    static hashString(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        h ^= h >>> 16;
+        h = Math.imul(h, 2246822507);
+        h ^= h >>> 13;
+        h = Math.imul(h, 3266489909);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+
+    // mulberry32 - small, fast 32-bit generator; returns floats in [0, 1)
+    static mulberry32(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * RoadNetwork - Which roads exist between the intersections at tile centers, and their shape
+ *
+ * Two layouts: 'grid' (the default) is the classic world where every tile is a four-way
+ * crossroads, and 'organic' (opt in with ?roads=organic in the URL) keeps straight two-way
+ * arterials every arterialSpacing tiles and fills each cell between them with a random
+ * spanning tree of local streets rolled from the run seed, plus a few extra loop streets, some of
+ * them one-way. Tree leaves end in cul-de-sacs, three-way nodes are T-junctions, and a node with
+ * two perpendicular streets is a curved corner (an arc of bendRadius instead of the crossing).
+ * The start area and the tiles around landfills are always full crossroads.
+ * Pure data like DistrictMap: SceneManager paints ground textures and places houses from it,
+ * RoadRouter and TrafficSystem drive on it. Segment math lives in Coords.
+ */
+class RoadNetwork {
+    constructor(random, districtMap, tileSize = 50, layout = RoadNetwork.layoutFromUrl() || 'grid') {
+        this.random = random;
+        this.districtMap = districtMap;
+        this.tileSize = tileSize;
+        this.layout = layout;
+        this.arterialSpacing = 4;          // Tiles between arterials (each cell has 3 x 3 local intersections)
+        this.loopChance = 0.25;            // Chance a street that would close a loop is built anyway
+        this.oneWayChance = 0.35;          // Chance a loop street is one-way
+        this.startRadius = 1;              // Intersections around the start that stay crossroads
+        this.roadHalf = tileSize * 0.125;  // Matches the ground texture (6.25m)
+        this.bendRadius = tileSize * 0.375; // Center line of a curved corner (18.75m, ends at the tile edge straights)
+        this.bulbRadius = 9;               // Cul-de-sac turning circle (road edge, m)
+        this.cellCache = new Map();        // 'seed_cellX_cellZ' -> Map segmentKey -> edge
+        this.tileCache = new Map();        // 'seed_gridX_gridZ' -> tile
+    }
+
+    // Read ?roads= from the page URL ('grid' or 'organic', null if absent)
+    static layoutFromUrl() {
+        try {
+            const value = new URLSearchParams(window.location.search).get('roads');
+            return value === 'grid' || value === 'organic' ? value : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // === Segments ===
+
+    // The road from intersection (gridX, gridZ) heading dir: null if there's none, otherwise
+    // { oneWay } - null for two-way, or the only direction (index) it may be driven in
+    getEdge(gridX, gridZ, dir) {
+        if (this.layout === 'grid') return { oneWay: null };
+        const d = Coords.DIRECTIONS[dir];
+        const toX = gridX + d.x;
+        const toZ = gridZ + d.z;
+        if (this.isFixedNode(gridX, gridZ) || this.isFixedNode(toX, toZ)) return { oneWay: null };
+
+        // Arterials run along every arterialSpacing-th row and column
+        const spacing = this.arterialSpacing;
+        const onLine = d.x === 0 ? gridX : gridZ;
+        if (((onLine % spacing) + spacing) % spacing === 0) return { oneWay: null };
+
+        const cell = this.getCell(Math.floor(Math.min(gridX, toX) / spacing), Math.floor(Math.min(gridZ, toZ) / spacing));
+        return cell.get(Coords.segmentKey(gridX, gridZ, dir)) || null;
+    }
+
+    // Whether a car may drive from intersection (gridX, gridZ) heading dir
+    canDrive(gridX, gridZ, dir) {
+        const edge = this.getEdge(gridX, gridZ, dir);
+        return !!edge && (edge.oneWay === null || edge.oneWay === dir);
+    }
+
+    // Crossroads whatever the layout: around the start and at landfills
+    isFixedNode(gridX, gridZ) {
+        if (Math.abs(gridX) <= this.startRadius && Math.abs(gridZ) <= this.startRadius) return true;
+        return !!this.districtMap && this.districtMap.isLandfillTile(gridX, gridZ);
+    }
+
+    // Local streets of one cell between arterials: a spanning tree that links every interior
+    // intersection to the arterials (which count as one node), then some of the left-over
+    // segments as loops. cellX/cellZ: the cell's southwest arterial intersection / spacing
+    getCell(cellX, cellZ) {
+        const cacheKey = `${this.random.seed}_${cellX}_${cellZ}`;
+        let cell = this.cellCache.get(cacheKey);
+        if (cell) return cell;
+
+        cell = new Map();
+        const rng = this.random.stream('roads', cellX, cellZ);
+        const size = this.arterialSpacing;
+        const baseX = cellX * size;
+        const baseZ = cellZ * size;
+        const nodeId = (lx, lz) => (lx === 0 || lz === 0 || lx === size || lz === size) ? 'arterial' : `${lx}_${lz}`;
+
+        // Every segment touching an interior intersection (north / east from its south / west end)
+        const candidates = [];
+        for (let lx = 1; lx < size; lx++) {
+            for (let lz = 1; lz < size; lz++) {
+                candidates.push({ lx, lz, dir: 0 }, { lx, lz, dir: 1 });
+                if (lx === 1) candidates.push({ lx: 0, lz, dir: 1 });
+                if (lz === 1) candidates.push({ lx, lz: 0, dir: 0 });
+            }
+        }
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+
+        const parent = new Map();
+        const oneWays = [];
+        const find = (id) => {
+            while (parent.has(id)) id = parent.get(id);
+            return id;
+        };
+        candidates.forEach(({ lx, lz, dir }) => {
+            const d = Coords.DIRECTIONS[dir];
+            const a = find(nodeId(lx, lz));
+            const b = find(nodeId(lx + d.x, lz + d.z));
+            const key = Coords.segmentKey(baseX + lx, baseZ + lz, dir);
+            if (a !== b) {
+                parent.set(a === 'arterial' ? b : a, a === 'arterial' ? a : b);
+                cell.set(key, { oneWay: null });
+            } else if (rng() < this.loopChance) {
+                // A loop street: the tree already connects both ends, so it can be one-way
+                const oneWay = rng() < this.oneWayChance ? (rng() < 0.5 ? dir : dir + 2) : null;
+                const edge = { oneWay };
+                cell.set(key, edge);
+                if (oneWay !== null) oneWays.push({ lx, lz, dir, edge });
+            }
+        });
+
+        // One-way only where both ends keep another way out, so nobody gets trapped at a corner
+        const exits = (lx, lz) => [0, 1, 2, 3].filter(dir => {
+            const edge = cell.get(Coords.segmentKey(baseX + lx, baseZ + lz, dir));
+            return edge && (edge.oneWay === null || edge.oneWay === dir);
+        }).length;
+        oneWays.forEach(({ lx, lz, dir, edge }) => {
+            const d = Coords.DIRECTIONS[dir];
+            const ends = [[lx, lz], [lx + d.x, lz + d.z]].filter(([x, z]) => nodeId(x, z) !== 'arterial');
+            if (ends.some(([x, z]) => exits(x, z) < 2)) edge.oneWay = null;
+        });
+
+        this.cellCache.set(cacheKey, cell);
+        return cell;
+    }
+
+    // === Tiles ===
+
+    // The roads of one tile: { gridX, gridZ, arms (edge or null per direction), dirs (with a road),
+    // deadEnd (the only direction, or null), bend (null, or { dirs, corner, x, z }: the curve's
+    // center and the quadrant it cuts into), junction (3+ roads meet), signature (texture cache key) }
+    getTile(gridX, gridZ) {
+        const cacheKey = `${this.random.seed}_${gridX}_${gridZ}`;
+        let tile = this.tileCache.get(cacheKey);
+        if (tile) return tile;
+
+        const arms = Coords.DIRECTIONS.map((d, dir) => this.getEdge(gridX, gridZ, dir));
+        const dirs = [];
+        arms.forEach((edge, dir) => {
+            if (edge) dirs.push(dir);
+        });
+        tile = {
+            gridX,
+            gridZ,
+            arms,
+            dirs,
+            deadEnd: dirs.length === 1 ? dirs[0] : null,
+            bend: null,
+            junction: dirs.length >= 3,
+            // Per arm: '-' no road, '=' two-way, '>' one-way out of the tile, '<' one-way in
+            signature: arms.map((edge, dir) => !edge ? '-' : edge.oneWay === null ? '=' : edge.oneWay === dir ? '>' : '<').join('')
+        };
+        if (dirs.length === 2 && (dirs[1] - dirs[0]) % 2 === 1) {
+            const a = Coords.DIRECTIONS[dirs[0]];
+            const b = Coords.DIRECTIONS[dirs[1]];
+            tile.bend = {
+                dirs,
+                corner: Coords.cornerBetween(dirs[0], dirs[1]),
+                x: gridX * this.tileSize + (a.x + b.x) * this.bendRadius,
+                z: gridZ * this.tileSize + (a.z + b.z) * this.bendRadius
+            };
+        }
+        this.tileCache.set(cacheKey, tile);
+        return tile;
+    }
+
+    // Every tile of the classic grid looks like this
+    static get CROSSROADS() {
+        return '====';
+    }
+
+    // A road leaves the tile straight that way (not part of a curve)
+    hasStraightArm(gridX, gridZ, dir) {
+        const tile = this.getTile(gridX, gridZ);
+        return !!tile.arms[dir] && !tile.bend;
+    }
+
+    // === Geometry ===
+
+    // Distance from (x, z) to the nearest road center line (cul-de-sac circles count as road)
+    distanceToCenterLine(x, z) {
+        const size = this.tileSize;
+        const half = size / 2;
+        const baseX = Math.round(x / size);
+        const baseZ = Math.round(z / size);
+        let best = Infinity;
+        for (let gx = baseX - 1; gx <= baseX + 1; gx++) {
+            for (let gz = baseZ - 1; gz <= baseZ + 1; gz++) {
+                const tile = this.getTile(gx, gz);
+                const nodeX = gx * size;
+                const nodeZ = gz * size;
+                if (tile.bend) {
+                    best = Math.min(best, this.distanceToBend(x, z, tile));
+                    continue;
+                }
+                tile.dirs.forEach(dir => {
+                    const d = Coords.DIRECTIONS[dir];
+                    best = Math.min(best, Coords.distanceToSegment(x, z, nodeX, nodeZ, nodeX + d.x * half, nodeZ + d.z * half));
+                });
+                if (tile.deadEnd !== null) {
+                    // The turning circle as a fatter road end
+                    best = Math.min(best, Math.max(0, Math.hypot(x - nodeX, z - nodeZ) - (this.bulbRadius - this.roadHalf)));
+                }
+            }
+        }
+        return best;
+    }
+
+    // Meters from (x, z) to the nearest road edge (negative on the road)
+    getRoadClearance(x, z) {
+        return this.distanceToCenterLine(x, z) - this.roadHalf;
+    }
+
+    // Distance to a curved corner: the quarter arc plus the straight stubs out to the tile edges
+    distanceToBend(x, z, tile) {
+        const size = this.tileSize;
+        const nodeX = tile.gridX * size;
+        const nodeZ = tile.gridZ * size;
+        const radius = this.bendRadius;
+        let best = Infinity;
+        tile.bend.dirs.forEach(dir => {
+            const d = Coords.DIRECTIONS[dir];
+            best = Math.min(best, Coords.distanceToSegment(x, z,
+                nodeX + d.x * radius, nodeZ + d.z * radius, nodeX + d.x * size / 2, nodeZ + d.z * size / 2));
+        });
+        // On the arc when (x, z) lies in the quarter between the center's lines back to each arm
+        const vx = x - tile.bend.x;
+        const vz = z - tile.bend.z;
+        const inside = tile.bend.dirs.every(dir => {
+            const d = Coords.DIRECTIONS[dir];
+            return vx * -d.x + vz * -d.z >= 0;
+        });
+        if (inside) best = Math.min(best, Math.abs(Math.hypot(vx, vz) - radius));
+        return best;
+    }
+
+    // Nearest existing road segment to (x, z): { x, z (on the center line), gridX, gridZ, dir, along }
+    // where (gridX, gridZ) heading dir is the segment, along the meters from that end. Curves
+    // project onto the straight segments they replace. null if there's no road nearby
+    projectToRoad(x, z) {
+        for (let ring = 0; ring <= 2; ring++) {
+            let best = null;
+            Coords.segmentsAround(x, z, this.tileSize, ring).forEach(segment => {
+                if (!this.getEdge(segment.gridX, segment.gridZ, segment.dir)) return;
+                const point = Coords.projectToSegment(x, z, segment.gridX, segment.gridZ, segment.dir, this.tileSize);
+                if (!best || point.distance < best.distance) best = { ...point, ...segment };
+            });
+            if (best) return best;
+        }
+        return null;
+    }
+}
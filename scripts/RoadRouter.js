@@ -0,0 +1,317 @@
+/**
+ * RoadRouter - Shortest drivable path over the road grid, and turn-by-turn guidance along it
+ *
+ * Roads run through tile centers (north-south and east-west), so the graph's nodes are the
+ * intersections at tile centers and its edges the road between neighbors. With a RoadNetwork
+ * (set by Game once the scene exists) only the segments it has are driven, one-way ones only
+ * the right way; without one every segment of the grid is there. Curves count as turns.
+ * A* searches (intersection, heading) states: each turn costs turnPenalty meters, which prefers
+ * the route with fewest turns among equally long ones, and turning back costs uTurnPenalty.
+ * Paths are world-space points: truck, where it joins the road, intersections, where the road
+ * meets the target, target.
+ */
+class RoadRouter {
+    constructor(tileSize = 50, network = null) {
+        this.tileSize = tileSize;
+        this.network = network;
+        this.turnPenalty = 20;   // Meters a turn is "worth"
+        this.uTurnPenalty = 60;  // Turning around (to start the route, or in a cul-de-sac)
+        this.wrongWayPenalty = 200; // Starting off the wrong way down a one-way street
+        this.searchMargin = 3;   // Tiles searched beyond the start / goal bounding box
+        this.directions = Coords.DIRECTIONS;
+    }
+
+    // Index into directions closest to a unit vector
+    getHeading(forward) {
+        let best = 0;
+        this.directions.forEach((d, dir) => {
+            if (d.x * forward.x + d.z * forward.z > this.directions[best].x * forward.x + this.directions[best].z * forward.z) {
+                best = dir;
+            }
+        });
+        return best;
+    }
+
+    // Whether the road from intersection (gridX, gridZ) heading dir leads to the next one
+    hasRoad(gridX, gridZ, dir) {
+        return !this.network || this.network.canDrive(gridX, gridZ, dir);
+    }
+
+    // A cul-de-sac: the only way out is back
+    isDeadEnd(gridX, gridZ) {
+        return !!this.network && this.network.getTile(gridX, gridZ).deadEnd !== null;
+    }
+
+    // Closest road point to (x, z) and the two intersections at the ends of its road segment
+    // (each end's dir points from it toward the point); null if no road is near
+    projectToRoad(x, z) {
+        const size = this.tileSize;
+        if (this.network) {
+            const road = this.network.projectToRoad(x, z);
+            if (!road) return null;
+            const d = this.directions[road.dir];
+            return {
+                x: road.x,
+                z: road.z,
+                ends: [
+                    { gridX: road.gridX, gridZ: road.gridZ, dir: road.dir, distance: road.along },
+                    { gridX: road.gridX + d.x, gridZ: road.gridZ + d.z, dir: (road.dir + 2) % 4, distance: size - road.along }
+                ]
+            };
+        }
+        const roadX = Math.round(x / size) * size;
+        const roadZ = Math.round(z / size) * size;
+        if (Math.abs(x - roadX) <= Math.abs(z - roadZ)) {
+            // North-south road
+            const gridX = roadX / size;
+            const low = Math.floor(z / size);
+            return {
+                x: roadX,
+                z,
+                ends: [
+                    { gridX, gridZ: low, dir: 0, distance: z - low * size },
+                    { gridX, gridZ: low + 1, dir: 2, distance: (low + 1) * size - z }
+                ]
+            };
+        }
+        // East-west road
+        const gridZ = roadZ / size;
+        const low = Math.floor(x / size);
+        return {
+            x,
+            z: roadZ,
+            ends: [
+                { gridX: low, gridZ, dir: 1, distance: x - low * size },
+                { gridX: low + 1, gridZ, dir: 3, distance: (low + 1) * size - x }
+            ]
+        };
+    }
+
+    // Path from (fromX, fromZ) to (toX, toZ). forward (optional, unit vector) is the truck's
+    // heading, so starting off backwards costs a U-turn.
+    // Returns { points: [{x, z}], distance } (distance along the roads, in meters)
+    findPath(fromX, fromZ, toX, toZ, forward = null) {
+        const size = this.tileSize;
+        const start = this.projectToRoad(fromX, fromZ);
+        const goal = this.projectToRoad(toX, toZ);
+        if (!start || !goal) return null;
+        const offRoad = Math.hypot(fromX - start.x, fromZ - start.z) + Math.hypot(toX - goal.x, toZ - goal.z);
+
+        // Same road segment: straight along it
+        const sameSegment = start.ends.every((end, i) =>
+            end.gridX === goal.ends[i].gridX && end.gridZ === goal.ends[i].gridZ && end.dir === goal.ends[i].dir);
+        if (sameSegment) {
+            const points = [{ x: fromX, z: fromZ }, { x: start.x, z: start.z }, { x: goal.x, z: goal.z }, { x: toX, z: toZ }];
+            return { points, distance: Math.hypot(goal.x - start.x, goal.z - start.z) + offRoad };
+        }
+
+        const minX = Math.min(start.ends[0].gridX, goal.ends[0].gridX) - this.searchMargin;
+        const maxX = Math.max(start.ends[1].gridX, goal.ends[1].gridX) + this.searchMargin;
+        const minZ = Math.min(start.ends[0].gridZ, goal.ends[0].gridZ) - this.searchMargin;
+        const maxZ = Math.max(start.ends[1].gridZ, goal.ends[1].gridZ) + this.searchMargin;
+        // Road distance left, plus a turn if the goal isn't straight along either axis
+        const heuristic = (gridX, gridZ) => {
+            const dx = Math.abs(gridX * size - goal.x);
+            const dz = Math.abs(gridZ * size - goal.z);
+            return dx + dz + (dx > 1 && dz > 1 ? this.turnPenalty : 0);
+        };
+        const goalEnds = new Map(goal.ends.map(end => [`${end.gridX}_${end.gridZ}`, end]));
+
+        // Open set of states: { key, gridX, gridZ, dir (heading on arrival), cost, priority }
+        const open = [];
+        const best = new Map();
+        const cameFrom = new Map();
+        start.ends.forEach(end => {
+            // Heading from the truck toward this end of its road (already at an intersection: as it faces)
+            let dir = (end.dir + 2) % 4;
+            let cost = end.distance;
+            const atNode = end.distance < 1;
+            if (forward && atNode) {
+                dir = this.getHeading(forward);
+            } else if (forward) {
+                const d = this.directions[dir];
+                if (d.x * forward.x + d.z * forward.z < -0.5) cost += this.uTurnPenalty;
+            }
+            // Against a one-way street's arrows
+            if (end.distance >= 1 && !this.hasRoad(end.gridX + this.directions[end.dir].x, end.gridZ + this.directions[end.dir].z, (end.dir + 2) % 4)) {
+                cost += this.wrongWayPenalty;
+            }
+            const key = `${end.gridX}_${end.gridZ}_${dir}`;
+            best.set(key, cost);
+            RoadRouter.heapPush(open, { key, gridX: end.gridX, gridZ: end.gridZ, dir, cost, atNode, priority: cost + heuristic(end.gridX, end.gridZ) });
+        });
+
+        let found = null;
+        while (open.length > 0) {
+            const state = RoadRouter.heapPop(open);
+            if (state.cost > best.get(state.key)) continue;
+            if (state.goal) {
+                found = state;
+                break;
+            }
+
+            // Leave the grid for the target's road segment
+            const goalEnd = goalEnds.get(`${state.gridX}_${state.gridZ}`);
+            if (goalEnd && this.hasRoad(goalEnd.gridX, goalEnd.gridZ, goalEnd.dir)) {
+                // The end's dir points from the intersection toward the target, so it's the final
+                // heading as it is (the last turn is charged and announced from it)
+                const dir = goalEnd.dir;
+                const cost = state.cost + goalEnd.distance + (dir !== state.dir ? this.turnPenalty : 0);
+                if (cost < (best.get('goal') ?? Infinity)) {
+                    best.set('goal', cost);
+                    cameFrom.set('goal', state.key);
+                    RoadRouter.heapPush(open, { key: 'goal', goal: true, cost, priority: cost });
+                }
+            }
+
+            // No U-turns at intersections - only where the truck starts or in a cul-de-sac
+            const canTurnAround = state.atNode || this.isDeadEnd(state.gridX, state.gridZ);
+            this.directions.forEach((d, dir) => {
+                const uTurn = dir === (state.dir + 2) % 4;
+                if (uTurn && !canTurnAround) return;
+                if (!this.hasRoad(state.gridX, state.gridZ, dir)) return;
+                const gridX = state.gridX + d.x;
+                const gridZ = state.gridZ + d.z;
+                if (gridX < minX || gridX > maxX || gridZ < minZ || gridZ > maxZ) return;
+                const cost = state.cost + size + (uTurn ? this.uTurnPenalty : dir !== state.dir ? this.turnPenalty : 0);
+                const key = `${gridX}_${gridZ}_${dir}`;
+                if (cost >= (best.get(key) ?? Infinity)) return;
+                best.set(key, cost);
+                cameFrom.set(key, state.key);
+                RoadRouter.heapPush(open, { key, gridX, gridZ, dir, cost, priority: cost + heuristic(gridX, gridZ) });
+            });
+        }
+        if (!found) return null;
+
+        // Walk back through the intersections, dropping the ones the path goes straight through
+        const nodes = [];
+        let key = cameFrom.get('goal');
+        while (key) {
+            const [gridX, gridZ] = key.split('_').map(Number);
+            nodes.unshift({ x: gridX * size, z: gridZ * size });
+            key = cameFrom.get(key);
+        }
+        const points = [{ x: fromX, z: fromZ }, { x: start.x, z: start.z }, ...nodes, { x: goal.x, z: goal.z }, { x: toX, z: toZ }];
+        const simplified = RoadRouter.simplify(points, 2);
+        return { points: simplified, distance: RoadRouter.pathLength(simplified) };
+    }
+
+    // Next instruction along a path for a truck heading forward (unit vector):
+    // { action: 'left' | 'right' | 'around' | 'arrive', distance, side, lookahead: {x, z} }.
+    // The turn into the target (off the road) is reported as 'arrive' with the side it's on
+    getGuidance(path, forward, lookaheadDistance = 15) {
+        const points = path.points;
+        const lookahead = RoadRouter.pointAlong(points, lookaheadDistance);
+        // Which way to head off from where the truck joins the road
+        let distance = Math.hypot(points[1].x - points[0].x, points[1].z - points[0].z);
+        const first = RoadRouter.unit(points[1], points[2] || points[1]);
+        if (first && points.length > 3) {
+            const dot = first.x * forward.x + first.z * forward.z;
+            if (dot < -0.7) return { action: 'around', distance: 0, side: null, lookahead };
+            const side = dot < 0.5 ? RoadRouter.turnSide(forward, first) : null;
+            if (side) return { action: side, distance, side, lookahead };
+        }
+
+        for (let i = 2; i < points.length; i++) {
+            distance += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+            const inDir = RoadRouter.unit(points[i - 1], points[i]);
+            const outDir = RoadRouter.unit(points[i], points[i + 1] || points[i]);
+            if (!inDir || !outDir) continue;
+            const side = RoadRouter.turnSide(inDir, outDir);
+            if (i === points.length - 2) return { action: 'arrive', distance, side, lookahead };
+            if (side) return { action: side, distance, side, lookahead };
+        }
+        return { action: 'arrive', distance, side: null, lookahead };
+    }
+
+    // 'left', 'right' or null (straight on) for a change of direction. World +X is on the
+    // driver's left when facing -Z, so left of (x, z) is (-z, x)
+    static turnSide(inDir, outDir) {
+        const leftness = outDir.x * -inDir.z + outDir.z * inDir.x;
+        if (Math.abs(leftness) < 0.5) return null;
+        return leftness > 0 ? 'left' : 'right';
+    }
+
+    static unit(a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const length = Math.hypot(dx, dz);
+        return length > 1e-6 ? { x: dx / length, z: dz / length } : null;
+    }
+
+    static pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+        }
+        return length;
+    }
+
+    // Point a given distance along a path (its end if the path is shorter)
+    static pointAlong(points, distance) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const length = Math.hypot(b.x - a.x, b.z - a.z);
+            if (distance <= length && length > 0) {
+                const t = distance / length;
+                return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+            }
+            distance -= length;
+        }
+        return points[points.length - 1];
+    }
+
+    // Drop duplicate points and ones the path runs straight through (the first `fixed` points stay)
+    static simplify(points, fixed = 0) {
+        const out = points.slice(0, fixed);
+        points.slice(fixed).forEach(p => {
+            const last = out[out.length - 1];
+            if (last && Math.hypot(p.x - last.x, p.z - last.z) < 1e-6) return;
+            if (out.length >= Math.max(2, fixed + 1)) {
+                const a = RoadRouter.unit(out[out.length - 2], last);
+                const b = RoadRouter.unit(last, p);
+                if (a && b && a.x * b.x + a.z * b.z > 0.9999) out.pop();
+            }
+            out.push(p);
+        });
+        return out;
+    }
+
+    // Open set order: lowest priority, ties to the state furthest along (keeps A* from fanning out)
+    static before(a, b) {
+        return a.priority < b.priority || (a.priority === b.priority && a.cost > b.cost);
+    }
+
+    // Binary min-heap (open set)
+    static heapPush(heap, item) {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!RoadRouter.before(heap[i], heap[parent])) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    static heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && RoadRouter.before(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && RoadRouter.before(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
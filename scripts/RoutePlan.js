@@ -0,0 +1,102 @@
+/**
+ * RoutePlan - The stops a level visits on the way to the landfill
+ *
+ * Stops are pickups (each with its own items), drop-offs (unload the items of the pickups
+ * listed in takes - a partial unload, the rest stays aboard) and the final landfill drop.
+ * An 'ordered' route is driven stop by stop; a 'free' route allows any pickup, a drop-off once
+ * its pickups are done, and the landfill last. Levels without a route are one pickup + landfill.
+ * Game fills in each stop's world position and scene site, and marks stops done.
+ */
+class RoutePlan {
+    constructor(stops, order = 'ordered') {
+        this.order = order === 'free' ? 'free' : 'ordered';
+        this.stops = stops.map((stop, index) => ({
+            index,
+            type: stop.type,
+            name: stop.name || RoutePlan.defaultName(stop.type),
+            itemIds: stop.itemIds || [], // Pickup: items waiting there; drop-off: items to unload
+            takes: stop.takes || [],     // Drop-off: indices of the pickups it unloads
+            x: 0,
+            z: 0,
+            site: null,
+            done: false
+        }));
+    }
+
+    // Route for LevelManager level data (single pickup when the level doesn't define one)
+    static fromLevel(levelData) {
+        const route = levelData.route;
+        const stops = route
+            ? route.stops.slice()
+            : [{ type: 'pickup', itemIds: levelData.items.map(item => item.id) }];
+        stops.push({ type: 'final', name: 'Landfill' });
+        return new RoutePlan(stops, route ? route.order : 'ordered');
+    }
+
+    static defaultName(type) {
+        return { pickup: 'Pickup', dropoff: 'Drop-off', final: 'Landfill' }[type] || 'Stop';
+    }
+
+    isMultiStop() {
+        return this.stops.length > 2;
+    }
+
+    getFinal() {
+        return this.stops[this.stops.length - 1];
+    }
+
+    // First stop not yet visited (the only available one on ordered routes)
+    getCurrent() {
+        return this.stops.find(stop => !stop.done) || null;
+    }
+
+    isAvailable(stop) {
+        if (!stop || stop.done) return false;
+        if (this.order === 'ordered') return stop === this.getCurrent();
+        if (stop.type === 'dropoff') return stop.takes.every(index => this.stops[index].done);
+        if (stop.type === 'final') return this.stops.every(other => other === stop || other.done);
+        return true;
+    }
+
+    getAvailable() {
+        return this.stops.filter(stop => this.isAvailable(stop));
+    }
+
+    // Where to drive next: the nearest available stop (other than exclude)
+    getNextStop(x, z, exclude = null) {
+        let best = null;
+        let bestDist = Infinity;
+        this.getAvailable().forEach(stop => {
+            if (stop === exclude) return;
+            const dist = Math.hypot(stop.x - x, stop.z - z);
+            if (dist < bestDist) {
+                best = stop;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    // Available stop of a type within radius of (x, z)
+    getStopNear(x, z, radius, type) {
+        return this.getAvailable().find(stop =>
+            stop.type === type && Math.hypot(stop.x - x, stop.z - z) <= radius
+        ) || null;
+    }
+
+    // Driving distance through the stops in list order from (x, z), along the road grid (meters)
+    getDistance(x = 0, z = 0) {
+        let distance = 0;
+        this.stops.forEach(stop => {
+            distance += Math.abs(stop.x - x) + Math.abs(stop.z - z);
+            x = stop.x;
+            z = stop.z;
+        });
+        return distance;
+    }
+
+    // Pickup an item waits at
+    getStopForItem(itemId) {
+        return this.stops.find(stop => stop.type === 'pickup' && stop.itemIds.includes(itemId)) || null;
+    }
+}
@@ -2,9 +2,10 @@
  * SceneManager - Handles 3D scene, lighting, and camera
  */
 class SceneManager {
-    constructor(engine, canvas) {
+    constructor(engine, canvas, random) {
         this.engine = engine;
         this.canvas = canvas;
+        this.random = random || new RandomService(); // Shared run seed (house layout, pickup house)
         this.scene = null;
         this.camera = null;
         this.shadowGenerator = null;
@@ -30,7 +31,9 @@ class SceneManager {
         this.debugDestinationTiles = false;
         this._houseStreamingLogTime = 0;
         this.destinationTileKey = null;
-        this.pickupTileKey = null;
+        this.stopSites = []; // Route stop houses (pickups and drop-offs)
+        this.gasStationChance = 0.08; // Share of tiles with a gas station on one corner
+        this.gasStationCache = new Map(); // 'seed_gridX_gridZ' -> station or null
         this._neededTiles = new Set();
         this._houseNeededTiles = new Set();
         this.initCameraControls();
@@ -189,13 +192,18 @@ class SceneManager {
     
     async createScene() {
         this.scene = new BABYLON.Scene(this.engine);
+        // Room for the truck's headlight and brake light (Truck) on top of the four world lights.
+        // They're always there (dark by day), so frozen materials never need recompiling
+        this.scene.onNewMaterialAddedObservable.add(material => {
+            if ('maxSimultaneousLights' in material) material.maxSimultaneousLights = 6;
+        });
         // Brighter sky-blue base to avoid stormy look
         this.scene.clearColor = new BABYLON.Color4(0.6, 0.78, 0.95, 1);
         // Distance fog so far ground fades into sky
         this.scene.fogMode = BABYLON.Scene.FOGMODE_LINEAR;
         this.scene.fogColor = new BABYLON.Color3(0.6, 0.78, 0.95);
-        this.scene.fogStart = 600;
-        this.scene.fogEnd = 2500;
+        this.clearFogRange = { start: 600, end: 2500 };
+        this.setFogRange();
         
         // Scene optimizations for consistent frame rendering
         this.scene.skipPointerMovePicking = true; // Don't pick on pointer move
@@ -459,14 +467,27 @@ class SceneManager {
     
     // Create or update destination marker in 3D world
     // x, z = destination position (will be snapped to a grass quadrant)
-    setDestination(x, z) {
+    // archetype = optional district archetype to put it in (the nearest such block to x, z)
+    setDestination(x, z, archetype = null) {
         // Dispose old markers if they exist
         this.removeDestination();
         
+        if (archetype) {
+            const target = this.districtMap.findNearest(x, z, archetype);
+            if (target) {
+                x = target.x;
+                z = target.z;
+            } else {
+                console.warn(`⚠️ No ${archetype} block near (${x.toFixed(0)}, ${z.toFixed(0)}) - destination left where asked`);
+            }
+        }
+        
         // Snap to exact tile center
         const tileX = Math.round(x / this.groundTileSize) * this.groundTileSize;
         const tileZ = Math.round(z / this.groundTileSize) * this.groundTileSize;
         this.destinationTileKey = `${Math.round(tileX / this.groundTileSize)}_${Math.round(tileZ / this.groundTileSize)}`;
+        // Destination ground textures are drawn over this tile's district ground
+        this.destinationArchetype = this.districtMap.getArchetype(Math.round(tileX / this.groundTileSize), Math.round(tileZ / this.groundTileSize));
         
         // Position the beacon in a GRASS QUADRANT (not at intersection)
         // Grass quadrant center is 15.625m from tile center
@@ -509,7 +530,7 @@ class SceneManager {
         this.destinationGrassUnderlay.position = new BABYLON.Vector3(exactBeaconX, 0.01, exactBeaconZ);
         this.destinationGrassUnderlay.isPickable = false;
         const grassMat = new BABYLON.StandardMaterial('destGrassMat', this.scene);
-        grassMat.diffuseColor = new BABYLON.Color3(0.1, 0.18, 0.1); // Match grass color #1a2e1a
+        grassMat.diffuseColor = BABYLON.Color3.FromHexString(DistrictMap.ARCHETYPES[this.destinationArchetype].ground); // Match the quadrant color
         grassMat.specularColor = new BABYLON.Color3(0.02, 0.02, 0.02);
         this.destinationGrassUnderlay.material = grassMat;
         
@@ -836,16 +857,24 @@ class SceneManager {
         }
     }
     
-    // Create pickup location at a house with items beside driveway
+    // Create the pickup location (replaces any route stops already placed)
     setPickup(x, z) {
         this.removePickup();
+        return this.addStopSite(x, z, 'pickup');
+    }
+    
+    // Create a route stop at a house: items wait beside the driveway at a pickup,
+    // and a drop-off is where part of the load gets unloaded. Returns the site
+    addStopSite(x, z, kind = 'pickup') {
+        const isPickup = kind === 'pickup';
+        const prefix = `${kind}${this.stopSites.length}`;
         
         // Calculate tile - use Math.floor to match house generation tile keys
         const gridX = Math.floor(x / this.groundTileSize);
         const gridZ = Math.floor(z / this.groundTileSize);
         const tileX = gridX * this.groundTileSize;
         const tileZ = gridZ * this.groundTileSize;
-        this.pickupTileKey = `${gridX}_${gridZ}`;
+        const tileKey = `${gridX}_${gridZ}`;
         const roadHalf = this.groundTileSize * 0.125; // 6.25m from center
         
         // House parameters
@@ -912,66 +941,73 @@ class SceneManager {
             if (drivewayDir === 'toHorizontalFromBottom') itemSpawnZ = houseMaxZ + 1.5;
         }
         
-        this.pickupPos = { x: houseX, z: houseZ };
-        this.pickupItemSpawn = { x: itemSpawnX, z: itemSpawnZ };
+        const site = {
+            kind,
+            tileKey,
+            pos: { x: houseX, z: houseZ },
+            itemSpawn: { x: itemSpawnX, z: itemSpawnZ },
+            meshes: []
+        };
         
-        // Only exclude the pickup tile itself from auto-generation
-        this.pickupExcludedTiles = new Set();
-        this.pickupExcludedTiles.add(this.pickupTileKey);
+        // Only exclude the stop tiles themselves from auto-generation
+        if (!this.pickupExcludedTiles) this.pickupExcludedTiles = new Set();
+        this.pickupExcludedTiles.add(tileKey);
         
-        // Remove houses from the pickup tile
-        this.removeHousesInTileKey(this.pickupTileKey);
+        // Remove houses from the stop tile
+        this.removeHousesInTileKey(tileKey);
         
-        // Create the pickup house
-        const matIndex = Math.floor(Math.random() * this.houseMaterials.length);
+        // Create the house
+        const houseRandom = this.random.stream('pickupHouse', tileKey);
+        const matIndex = Math.floor(houseRandom() * this.houseMaterials.length);
         const mats = this.houseMaterials[matIndex];
         
-        this.pickupHouse = BABYLON.MeshBuilder.CreateBox('pickupHouse', {
+        const house = BABYLON.MeshBuilder.CreateBox(`${prefix}House`, {
             width: houseWidth,
             height: houseHeight,
             depth: houseDepth
         }, this.scene);
-        this.pickupHouse.position = new BABYLON.Vector3(houseX, houseHeight / 2, houseZ);
-        this.pickupHouse.material = mats.wall;
-        this.pickupHouse.isPickable = false;
+        house.position = new BABYLON.Vector3(houseX, houseHeight / 2, houseZ);
+        house.material = mats.wall;
+        house.isPickable = false;
         
         // Store dimensions for collision
-        this.pickupHouse.houseWidth = houseWidth;
-        this.pickupHouse.houseDepth = houseDepth;
-        this.pickupHouse.houseRotation = 0;
-        this.pickupHouse.collisionRadiusXZ = Math.hypot(houseWidth * 0.5, houseDepth * 0.5);
-        
-        // Add windows to pickup house
+        house.houseWidth = houseWidth;
+        house.houseDepth = houseDepth;
+        house.houseRotation = 0;
+        house.collisionRadiusXZ = Math.hypot(houseWidth * 0.5, houseDepth * 0.5);
+        site.house = house;
+        site.meshes.push(house);
+        
+        // Add windows to the house (children go with it)
         const windowHeight = 1.0;
         const windowWidth = 0.8;
         const windowY = houseHeight * 0.55;
         
-        this.pickupHouseWindows = [];
         for (let wi = 0; wi < 3; wi++) {
             const wx = -houseWidth * 0.3 + wi * houseWidth * 0.3;
-            const win = BABYLON.MeshBuilder.CreatePlane(`pickupWin_f${wi}`, {
+            const win = BABYLON.MeshBuilder.CreatePlane(`${prefix}Win_f${wi}`, {
                 width: windowWidth, height: windowHeight
             }, this.scene);
             win.position = new BABYLON.Vector3(wx, windowY - houseHeight / 2, houseDepth / 2 + 0.01);
             win.material = this.windowMaterial;
-            win.parent = this.pickupHouse;
-            this.pickupHouseWindows.push(win);
+            win.parent = house;
         }
         
         // Create driveway
         const isXDir = drivewayDir.includes('Vertical');
         const dwLength = isXDir ? Math.abs(drivewayX - (tileX + (localX > 0 ? roadHalf : -roadHalf))) : Math.abs(drivewayZ - (tileZ + (localZ > 0 ? roadHalf : -roadHalf)));
         
-        this.pickupDriveway = BABYLON.MeshBuilder.CreateGround('pickupDriveway', {
+        const driveway = BABYLON.MeshBuilder.CreateGround(`${prefix}Driveway`, {
             width: isXDir ? dwLength : 5,
             height: isXDir ? 5 : dwLength
         }, this.scene);
         
         const dwCenterX = isXDir ? (drivewayX + (tileX + (localX > 0 ? roadHalf : -roadHalf))) / 2 : drivewayX;
         const dwCenterZ = isXDir ? drivewayZ : (drivewayZ + (tileZ + (localZ > 0 ? roadHalf : -roadHalf))) / 2;
-        this.pickupDriveway.position = new BABYLON.Vector3(dwCenterX, 0.03, dwCenterZ);
-        this.pickupDriveway.material = this.drivewayMaterial;
-        this.pickupDriveway.isPickable = false;
+        driveway.position = new BABYLON.Vector3(dwCenterX, 0.03, dwCenterZ);
+        driveway.material = this.drivewayMaterial;
+        driveway.isPickable = false;
+        site.meshes.push(driveway);
         
         // Add door on driveway side
         const doorWidth = 1.2;
@@ -979,104 +1015,143 @@ class SceneManager {
         const doorDepth = 0.1;
         const doorY = -houseHeight / 2 + doorHeight / 2 + 0.02;
         
-        this.pickupDoor = BABYLON.MeshBuilder.CreateBox('pickupDoor', {
+        const door = BABYLON.MeshBuilder.CreateBox(`${prefix}Door`, {
             width: isXDir ? doorDepth : doorWidth,
             height: doorHeight,
             depth: isXDir ? doorWidth : doorDepth
         }, this.scene);
-        this.pickupDoor.material = this.doorMaterial;
-        this.pickupDoor.parent = this.pickupHouse;
+        door.material = this.doorMaterial;
+        door.parent = house;
         
         // Position door on the driveway side
         if (drivewayDir === 'toVerticalFromRight') {
-            this.pickupDoor.position = new BABYLON.Vector3(-houseWidth / 2 - 0.02, doorY, 0);
+            door.position = new BABYLON.Vector3(-houseWidth / 2 - 0.02, doorY, 0);
         } else if (drivewayDir === 'toVerticalFromLeft') {
-            this.pickupDoor.position = new BABYLON.Vector3(houseWidth / 2 + 0.02, doorY, 0);
+            door.position = new BABYLON.Vector3(houseWidth / 2 + 0.02, doorY, 0);
         } else if (drivewayDir === 'toHorizontalFromTop') {
-            this.pickupDoor.position = new BABYLON.Vector3(0, doorY, -houseDepth / 2 - 0.02);
+            door.position = new BABYLON.Vector3(0, doorY, -houseDepth / 2 - 0.02);
         } else {
-            this.pickupDoor.position = new BABYLON.Vector3(0, doorY, houseDepth / 2 + 0.02);
+            door.position = new BABYLON.Vector3(0, doorY, houseDepth / 2 + 0.02);
         }
         
-        // Create glowing beacon at the driveway/item spawn area - ORANGE color
+        // Glowing beacon at the driveway/item spawn area - ORANGE for pickups, PURPLE for drop-offs
+        const beaconColor = isPickup ? new BABYLON.Color3(1.0, 0.6, 0.1) : new BABYLON.Color3(0.66, 0.33, 0.97);
         const beamHeight = 50;
-        this.pickupBeam = BABYLON.MeshBuilder.CreateCylinder('pickupBeam', {
+        site.beam = BABYLON.MeshBuilder.CreateCylinder(`${prefix}Beam`, {
             height: beamHeight,
             diameterTop: 0.5,
             diameterBottom: 3,
             tessellation: 16
         }, this.scene);
-        this.pickupBeam.position = new BABYLON.Vector3(itemSpawnX, beamHeight / 2, itemSpawnZ);
-        this.pickupBeam.isPickable = false;
+        site.beam.position = new BABYLON.Vector3(itemSpawnX, beamHeight / 2, itemSpawnZ);
+        site.beam.isPickable = false;
         
-        const beamMat = new BABYLON.StandardMaterial('pickupBeamMat', this.scene);
-        beamMat.emissiveColor = new BABYLON.Color3(1.0, 0.6, 0.1);
+        const beamMat = new BABYLON.StandardMaterial(`${prefix}BeamMat`, this.scene);
+        beamMat.emissiveColor = beaconColor;
         beamMat.alpha = 0.4;
         beamMat.disableLighting = true;
-        this.pickupBeam.material = beamMat;
+        site.beam.material = beamMat;
+        site.meshes.push(site.beam);
         
-        // Create floating marker - ORANGE
-        this.pickupMarker = BABYLON.MeshBuilder.CreateTorus('pickupMarker', {
+        // Create floating marker
+        site.marker = BABYLON.MeshBuilder.CreateTorus(`${prefix}Marker`, {
             diameter: 6,
             thickness: 0.8,
             tessellation: 24
         }, this.scene);
-        this.pickupMarker.position = new BABYLON.Vector3(itemSpawnX, 6, itemSpawnZ);
-        this.pickupMarker.isPickable = false;
+        site.marker.position = new BABYLON.Vector3(itemSpawnX, 6, itemSpawnZ);
+        site.marker.isPickable = false;
         
-        const markerMat = new BABYLON.StandardMaterial('pickupMarkerMat', this.scene);
-        markerMat.emissiveColor = new BABYLON.Color3(1.0, 0.6, 0.1);
+        const markerMat = new BABYLON.StandardMaterial(`${prefix}MarkerMat`, this.scene);
+        markerMat.emissiveColor = beaconColor;
         markerMat.disableLighting = true;
-        this.pickupMarker.material = markerMat;
-        
-        // Animate the pickup marker
-        this.scene.registerBeforeRender(() => {
-            if (this.pickupMarker && !this.pickupMarker.isDisposed()) {
-                this.pickupMarker.rotation.y += 0.02;
-                this.pickupMarker.position.y = 6 + Math.sin(Date.now() / 500) * 1.5;
-            }
-            if (this.pickupBeam && !this.pickupBeam.isDisposed()) {
-                this.pickupBeam.material.alpha = 0.3 + Math.sin(Date.now() / 300) * 0.15;
-            }
-        });
+        site.marker.material = markerMat;
+        site.meshes.push(site.marker);
+        
+        this.stopSites.push(site);
+        
+        // Animate the stop markers (one observer for all sites)
+        if (!this._stopMarkerObserver) {
+            this._stopMarkerObserver = this.scene.onBeforeRenderObservable.add(() => {
+                const bob = 6 + Math.sin(Date.now() / 500) * 1.5;
+                const alpha = 0.3 + Math.sin(Date.now() / 300) * 0.15;
+                this.stopSites.forEach(s => {
+                    if (s.done) return;
+                    s.marker.rotation.y += 0.02;
+                    s.marker.position.y = bob;
+                    s.beam.material.alpha = alpha;
+                });
+            });
+        }
+        return site;
+    }
+    
+    // Visited stops keep their house but lose the beacon
+    setStopSiteDone(site, done = true) {
+        if (!site) return;
+        site.done = done;
+        site.beam.setEnabled(!done);
+        site.marker.setEnabled(!done);
+    }
+    
+    // Navigation arrow floating over the truck, pointing at `toward` along the route and
+    // colored like the stop it leads to (same colors as the beacons)
+    updateGuidanceArrow(position, toward, kind) {
+        if (!this.guidanceArrow) {
+            const shaft = BABYLON.MeshBuilder.CreateBox('guidanceShaft', { width: 0.5, height: 0.15, depth: 1.6 }, this.scene);
+            shaft.position.z = -0.6;
+            const head = BABYLON.MeshBuilder.CreateCylinder('guidanceHead', {
+                diameterTop: 0, diameterBottom: 1.8, height: 1.2, tessellation: 4
+            }, this.scene);
+            head.rotation.x = Math.PI / 2; // Tip toward +Z
+            head.scaling.z = 0.15;         // Flatten into a wedge
+            head.position.z = 0.7;
+            this.guidanceArrow = BABYLON.Mesh.MergeMeshes([shaft, head], true);
+            this.guidanceArrow.isPickable = false;
+            this.guidanceArrowMat = new BABYLON.StandardMaterial('guidanceArrowMat', this.scene);
+            this.guidanceArrowMat.disableLighting = true;
+            this.guidanceArrowMat.alpha = 0.9;
+            this.guidanceArrow.material = this.guidanceArrowMat;
+        }
+        if (this.guidanceArrowKind !== kind) {
+            this.guidanceArrowKind = kind;
+            const colors = {
+                pickup: new BABYLON.Color3(1.0, 0.6, 0.1),
+                dropoff: new BABYLON.Color3(0.66, 0.33, 0.97),
+                final: new BABYLON.Color3(0.13, 0.77, 0.37)
+            };
+            this.guidanceArrowMat.emissiveColor = colors[kind] || colors.final;
+        }
+        const dx = toward.x - position.x;
+        const dz = toward.z - position.z;
+        this.guidanceArrow.setEnabled(Math.hypot(dx, dz) > 0.5);
+        this.guidanceArrow.position.set(position.x, 6.5 + Math.sin(Date.now() / 400) * 0.2, position.z);
+        this.guidanceArrow.rotation.y = Math.atan2(dx, dz);
+    }
+    
+    hideGuidanceArrow() {
+        if (this.guidanceArrow) this.guidanceArrow.setEnabled(false);
     }
     
+    // Houses at route stops (for truck collision)
+    getStopHouses() {
+        return this.stopSites.map(site => site.house);
+    }
+    
+    // Remove every route stop (pickups and drop-offs)
     removePickup() {
-        const prevPickupTileKey = this.pickupTileKey;
-        if (this.pickupMarker) {
-            this.pickupMarker.dispose();
-            this.pickupMarker = null;
-        }
-        if (this.pickupBeam) {
-            this.pickupBeam.dispose();
-            this.pickupBeam = null;
-        }
-        if (this.pickupHouse) {
-            this.pickupHouse.dispose();
-            this.pickupHouse = null;
-        }
-        if (this.pickupHouseWindows) {
-            this.pickupHouseWindows.forEach(w => w.dispose());
-            this.pickupHouseWindows = null;
-        }
-        if (this.pickupDriveway) {
-            this.pickupDriveway.dispose();
-            this.pickupDriveway = null;
-        }
-        if (this.pickupDoor) {
-            this.pickupDoor.dispose();
-            this.pickupDoor = null;
-        }
-        this.pickupPos = null;
-        this.pickupItemSpawn = null;
-        this.pickupTileKey = null;
+        const prevTileKeys = this.stopSites.map(site => site.tileKey);
+        this.stopSites.forEach(site => {
+            site.meshes.forEach(mesh => mesh.dispose());
+        });
+        this.stopSites = [];
         this.pickupExcludedTiles = null;
 
-        // Regenerate houses on the old pickup tile now that it's no longer excluded
-        if (prevPickupTileKey) {
-            const [gridX, gridZ] = prevPickupTileKey.split('_').map(Number);
+        // Regenerate houses on the old stop tiles now that they're no longer excluded
+        prevTileKeys.forEach(tileKey => {
+            const [gridX, gridZ] = tileKey.split('_').map(Number);
             this.createHousesForTile(gridX, gridZ);
-        }
+        });
     }
     
     removeHousesInTileKey(tileKey) {
@@ -1099,6 +1174,7 @@ class SceneManager {
             });
             delete this.visualsByTile[tileKey];
         }
+        if (this.streetFurniture) this.streetFurniture.removeForTile(tileKey);
         if (this.drivewaysByTile && this.drivewaysByTile[tileKey]) {
             this.drivewaysByTile[tileKey].forEach(d => {
                 if (d && !d.isDisposed()) d.dispose();
@@ -1107,6 +1183,32 @@ class SceneManager {
         }
     }
 
+    // Rebuild all streamed houses after the run seed changes
+    regenerateHouses() {
+        const tileKeys = new Set([
+            ...Object.keys(this.housesByTile || {}),
+            ...Object.keys(this.visualsByTile || {}),
+            ...Object.keys(this.drivewaysByTile || {})
+        ]);
+        tileKeys.forEach(tileKey => this.removeHousesInTileKey(tileKey));
+        this.pendingHouseTiles = [];
+        this.pendingHouseTileSet.clear();
+        
+        // Districts move with the seed: repaint each tile's ground (drop-off tiles keep theirs)
+        const overrides = this.destinationTileOverrides || {};
+        this.groundTiles.forEach(tile => {
+            if (overrides[`${tile.gridX}_${tile.gridZ}`]) return;
+            tile.material = this.getGroundMaterial(tile.gridX, tile.gridZ);
+        });
+        
+        // Force updateInfiniteGround to re-enqueue every tile in range
+        const last = this.lastTileUpdatePos;
+        const center = last && Number.isFinite(last.x) ? last : { x: 0, z: 0 };
+        this.lastTileUpdatePos = { x: NaN, z: NaN };
+        this.updateInfiniteGround(center.x * this.groundTileSize, center.z * this.groundTileSize);
+        console.log(`🏠 Regenerated houses for seed ${this.random.seed}`);
+    }
+
     hasLiveHouses(tileKey) {
         if (!this.housesByTile) return false;
         const houses = this.housesByTile[tileKey];
@@ -1122,6 +1224,7 @@ class SceneManager {
     // Only removes individual collision boxes that are within radius - doesn't clear entire tiles
     removeHousesNearDestination(destX, destZ, radius) {
         if (!this.housesByTile) return;
+        if (this.streetFurniture) this.streetFurniture.removeNear(destX, destZ, radius);
         
         // Check all house collision boxes and remove those within radius
         for (const tileKey in this.housesByTile) {
@@ -1168,6 +1271,15 @@ class SceneManager {
         // Additional fill from the shadow side
         const fill2 = new BABYLON.PointLight('fill2', new BABYLON.Vector3(-5, 3, 3), this.scene);
         fill2.intensity = 0.4;
+        
+        // DayNightCycle dims and tints these through the day
+        this.lights = { ambient, sun, fills: [fill, fill2] };
+    }
+    
+    // Fog distance (m): the clear-day range unless the weather closes it in (WeatherSystem)
+    setFogRange(start = this.clearFogRange.start, end = this.clearFogRange.end) {
+        this.scene.fogStart = start;
+        this.scene.fogEnd = end;
     }
     
     createEnvironment() {
@@ -1217,6 +1329,7 @@ class SceneManager {
         // Lower the skybox slightly so the horizon sits lower
         skybox.position.y = -8;
         skybox.isPickable = false;
+        this.skybox = skybox; // Faded out at night (DayNightCycle)
     }
     
     createGround() {
@@ -1227,14 +1340,15 @@ class SceneManager {
         this.lastTileUpdatePos = { x: 0, z: 0 };
         this.housesByTile = {}; // Track houses by tile key for cleanup
         this.drivewaysByTile = {}; // Track driveways by tile key for cleanup
-        
-        // Create shared ground material with road and grass texture
-        this.groundMaterial = new BABYLON.PBRMaterial('groundMat', this.scene);
-        this.groundMaterial.albedoTexture = this.createGroundTexture();
-        this.groundMaterial.metallic = 0.0;
-        this.groundMaterial.roughness = 0.95;
-        this.groundMaterial.backFaceCulling = true;
-        this.groundMaterial.freeze();
+        this.districtMap = new DistrictMap(this.random, this.groundTileSize);
+        this.districtBuilder = new DistrictBuilder(this);
+        this.roadNetwork = new RoadNetwork(this.random, this.districtMap, this.groundTileSize);
+        console.log(`🛣️ Road layout: ${this.roadNetwork.layout}`);
+        
+        // Create shared ground material with road and grass texture (suburban; other district
+        // archetypes get their own variant when first needed, see getGroundMaterial)
+        this.groundMaterial = this.createGroundMaterial('suburban');
+        this.groundMaterials = { suburban: this.groundMaterial };
 
         // Far ground to remove visible edge (reuse the same ground texture pattern)
         const farGround = BABYLON.MeshBuilder.CreateGround('farGround', { width: 50000, height: 50000 }, this.scene);
@@ -1259,6 +1373,7 @@ class SceneManager {
         
         // Create house materials (various colors)
         this.houseMaterials = this.createHouseMaterials();
+        this.streetFurniture = new StreetFurniture(this);
         
         // Create grid of ground tiles
         const halfGrid = Math.floor(this.groundTilesPerSide / 2);
@@ -1318,15 +1433,41 @@ class SceneManager {
         this.physicsGroundAggregate = groundAggregate;
     }
     
-    createGroundTexture() {
-        const texSize = 2048; // Higher resolution for sharper ground
-        const tex = new BABYLON.DynamicTexture('groundTex', texSize, this.scene);
+    // tile: the RoadNetwork tile, for any road layout other than the standard crossroads
+    createGroundMaterial(archetype, tile = null) {
+        let name = archetype === 'suburban' ? 'groundMat' : `groundMat_${archetype}`;
+        if (tile) name += `_${tile.signature}`;
+        const mat = new BABYLON.PBRMaterial(name, this.scene);
+        mat.albedoTexture = tile ? this.createRoadTileTexture(archetype, tile) : this.createGroundTexture(archetype);
+        mat.metallic = 0.0;
+        mat.roughness = 0.95;
+        mat.backFaceCulling = true;
+        mat.freeze();
+        return mat;
+    }
+    
+    // Ground material for a tile's district archetype and road layout (shared by every tile alike)
+    getGroundMaterial(gridX, gridZ) {
+        const archetype = this.districtMap.getArchetype(gridX, gridZ);
+        const tile = this.roadNetwork.getTile(gridX, gridZ);
+        const crossroads = tile.signature === RoadNetwork.CROSSROADS;
+        const key = crossroads ? archetype : `${archetype}_${tile.signature}`;
+        if (!this.groundMaterials[key]) {
+            this.groundMaterials[key] = this.createGroundMaterial(archetype, crossroads ? null : tile);
+        }
+        return this.groundMaterials[key];
+    }
+    
+    createGroundTexture(archetype = 'suburban') {
+        // Higher resolution for sharper ground; district variants are half size to save memory
+        const texSize = archetype === 'suburban' ? 2048 : 1024;
+        const tex = new BABYLON.DynamicTexture(archetype === 'suburban' ? 'groundTex' : `groundTex_${archetype}`, texSize, this.scene);
         const ctx = tex.getContext();
         
         // Road dimensions
         const roadWidth = texSize * 0.25;  // Smaller roads
         const roadColor = '#2a2a2c';
-        const grassColor = '#1a2e1a';
+        const grassColor = DistrictMap.ARCHETYPES[archetype].ground;
         
         // Fill with road color first
         ctx.fillStyle = roadColor;
@@ -1397,22 +1538,11 @@ class SceneManager {
             ctx.fillStyle = grassColor;
             drawGrassQuadrant(q.x, q.y, grassSize, grassSize, cornerRadius, q.corner);
             ctx.fill();
-            
-            // Add grass variation patches within this quadrant
-            for (let i = 0; i < 12; i++) {
-                const px = q.x + Math.random() * grassSize;
-                const py = q.y + Math.random() * grassSize;
-                const size = 20 + Math.random() * 60;
-                const green = Math.floor(35 + Math.random() * 25);
-                ctx.fillStyle = `rgb(${Math.floor(green * 0.6)}, ${green}, ${Math.floor(green * 0.5)})`;
-                ctx.beginPath();
-                ctx.ellipse(px, py, size, size * 0.7, Math.random() * Math.PI, 0, Math.PI * 2);
-                ctx.fill();
-            }
+            this.paintGroundDetail(ctx, archetype, q, grassSize, texSize);
         });
         
         // Road edge lines - subtle muted color to avoid flickering (accessibility)
-        const lineWidth = 8; // Slightly thinner
+        const lineWidth = texSize / 256; // Slightly thinner
         ctx.strokeStyle = '#505055'; // Subtle gray, low contrast with road
         ctx.lineWidth = lineWidth;
         ctx.setLineDash([]); // Solid lines
@@ -1486,6 +1616,148 @@ class SceneManager {
         return tex;
     }
 
+    // Grass variation in one quadrant of a ground texture (district archetypes paint their own)
+    paintGroundDetail(ctx, archetype, q, grassSize, texSize) {
+        if (archetype !== 'suburban') {
+            this.districtBuilder.paintGroundQuadrant(ctx, archetype, q, grassSize, texSize);
+            return;
+        }
+        const scale = texSize / 2048;
+        for (let i = 0; i < 12; i++) {
+            const px = q.x + Math.random() * grassSize;
+            const py = q.y + Math.random() * grassSize;
+            const size = (20 + Math.random() * 60) * scale;
+            const green = Math.floor(35 + Math.random() * 25);
+            ctx.fillStyle = `rgb(${Math.floor(green * 0.6)}, ${green}, ${Math.floor(green * 0.5)})`;
+            ctx.beginPath();
+            ctx.ellipse(px, py, size, size * 0.7, Math.random() * Math.PI, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Ground texture for a tile whose roads aren't the standard crossroads (see RoadNetwork):
+    // grass everywhere, then the tile's streets - straight arms, a curved corner or a cul-de-sac -
+    // with edge lines, center dashes on two-way streets and arrows on one-way ones.
+    // Half the district textures' size: there can be dozens of these
+    createRoadTileTexture(archetype, tile) {
+        const texSize = 512;
+        const tex = new BABYLON.DynamicTexture(`groundTex_${archetype}_${tile.signature}`, texSize, this.scene);
+        const ctx = tex.getContext();
+        const network = this.roadNetwork;
+        const half = this.groundTileSize / 2;
+        const scale = texSize / this.groundTileSize;
+        const roadWidth = network.roadHalf * 2 * scale;
+        const lineWidth = texSize / 256;
+        // Tile-local meters (x east, z north) to canvas pixels (see Coords.worldToCanvas)
+        const toCanvas = (x, z) => ({ x: (x + half) * scale, y: (half - z) * scale });
+
+        ctx.fillStyle = DistrictMap.ARCHETYPES[archetype].ground;
+        ctx.fillRect(0, 0, texSize, texSize);
+        const grassSize = (texSize - roadWidth) / 2;
+        [{ x: 0, y: 0 }, { x: texSize - grassSize, y: 0 }, { x: 0, y: texSize - grassSize }, { x: texSize - grassSize, y: texSize - grassSize }]
+            .forEach(q => this.paintGroundDetail(ctx, archetype, q, grassSize, texSize));
+
+        // Center line of the tile's streets, from the tile edge in
+        const traceStreets = () => {
+            ctx.beginPath();
+            if (tile.bend) {
+                const [a, b] = tile.bend.dirs.map(dir => Coords.DIRECTIONS[dir]);
+                const radius = network.bendRadius;
+                const start = toCanvas(a.x * half, a.z * half);
+                const arcStart = toCanvas(a.x * radius, a.z * radius);
+                const corner = toCanvas(0, 0);
+                const arcEnd = toCanvas(b.x * radius, b.z * radius);
+                const end = toCanvas(b.x * half, b.z * half);
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(arcStart.x, arcStart.y);
+                ctx.arcTo(corner.x, corner.y, arcEnd.x, arcEnd.y, radius * scale);
+                ctx.lineTo(end.x, end.y);
+                return;
+            }
+            const center = toCanvas(0, 0);
+            tile.dirs.forEach(dir => {
+                const d = Coords.DIRECTIONS[dir];
+                const edge = toCanvas(d.x * half, d.z * half);
+                ctx.moveTo(edge.x, edge.y);
+                ctx.lineTo(center.x, center.y);
+            });
+        };
+        const fillBulb = (extra) => {
+            if (tile.deadEnd === null) return;
+            const center = toCanvas(0, 0);
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, network.bulbRadius * scale + extra, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        // Edge lines: the streets a line wider in the edge color, then the asphalt over them
+        ctx.lineCap = 'butt';
+        ctx.lineJoin = 'round';
+        ctx.setLineDash([]);
+        ctx.strokeStyle = ctx.fillStyle = '#505055';
+        ctx.lineWidth = roadWidth + lineWidth;
+        traceStreets();
+        ctx.stroke();
+        fillBulb(lineWidth / 2);
+        ctx.strokeStyle = ctx.fillStyle = '#2a2a2c';
+        ctx.lineWidth = roadWidth - lineWidth;
+        traceStreets();
+        ctx.stroke();
+        fillBulb(-lineWidth / 2);
+
+        // Center dashes on two-way streets, phased like createGroundTexture's so they meet up at tile edges
+        const dash = (half - network.roadHalf) / 8 * scale;
+        const twoWay = tile.dirs.every(dir => tile.arms[dir].oneWay === null);
+        ctx.strokeStyle = '#606065';
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash([dash, dash]);
+        ctx.lineDashOffset = dash * 1.5;
+        if (tile.bend) {
+            if (twoWay) {
+                traceStreets();
+                ctx.stroke();
+            }
+        } else {
+            // Stop short of junction boxes and turning circles
+            const stop = tile.junction ? network.roadHalf : tile.deadEnd !== null ? network.bulbRadius : 0;
+            tile.dirs.forEach(dir => {
+                if (tile.arms[dir].oneWay !== null) return;
+                const d = Coords.DIRECTIONS[dir];
+                const edge = toCanvas(d.x * half, d.z * half);
+                const inner = toCanvas(d.x * stop, d.z * stop);
+                ctx.beginPath();
+                ctx.moveTo(edge.x, edge.y);
+                ctx.lineTo(inner.x, inner.y);
+                ctx.stroke();
+            });
+        }
+        ctx.setLineDash([]);
+
+        // One-way arrows, pointing the way traffic may go
+        ctx.fillStyle = '#707075';
+        tile.dirs.forEach(dir => {
+            const oneWay = tile.arms[dir].oneWay;
+            if (oneWay === null) return;
+            const d = Coords.DIRECTIONS[dir];
+            const along = tile.bend ? (network.bendRadius + half) / 2 : half * 0.6;
+            const sign = oneWay === dir ? 1 : -1;
+            const tip = toCanvas(d.x * (along + sign * 1.5), d.z * (along + sign * 1.5));
+            const baseX = d.x * (along - sign * 1.5);
+            const baseZ = d.z * (along - sign * 1.5);
+            const left = toCanvas(baseX - d.z * 1.2, baseZ + d.x * 1.2);
+            const right = toCanvas(baseX + d.z * 1.2, baseZ - d.x * 1.2);
+            ctx.beginPath();
+            ctx.moveTo(tip.x, tip.y);
+            ctx.lineTo(left.x, left.y);
+            ctx.lineTo(right.x, right.y);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        tex.update();
+        return tex;
+    }
+
     getDestinationCornerKey(signX, signZ) {
         // Use centralized Coords utility for consistent corner mapping
         // signX: +1 = beacon is EAST of tile center, -1 = beacon is WEST
@@ -1537,8 +1809,9 @@ class SceneManager {
     }
 
     createDestinationGroundTexture(cornerKey) {
-        const baseTex = this.groundMaterial?.albedoTexture;
-        if (!baseTex || !baseTex.getContext) return this.createGroundTexture();
+        const archetype = this.destinationArchetype || 'suburban';
+        const baseTex = this.groundMaterials?.[archetype]?.albedoTexture;
+        if (!baseTex || !baseTex.getContext) return this.createGroundTexture(archetype);
 
         const texSize = baseTex.getSize().width;
         const tex = new BABYLON.DynamicTexture('destGroundTex', texSize, this.scene);
@@ -1554,7 +1827,7 @@ class SceneManager {
         const intersectMin = (texSize - roadWidth) / 2;
         const intersectMax = (texSize + roadWidth) / 2;
         const cornerRadius = texSize * 0.05;
-        const lineWidth = 8;
+        const lineWidth = texSize / 256;
 
         const textureCornerKey = this.getTextureCornerKey(cornerKey);
 
@@ -1567,7 +1840,7 @@ class SceneManager {
             grassX = texSize - grassSize;
             grassY = texSize - grassSize;
         }
-        ctx.fillStyle = '#1a2e1a';
+        ctx.fillStyle = DistrictMap.ARCHETYPES[archetype].ground;
         ctx.fillRect(grassX, grassY, grassSize, grassSize);
 
         // Clear curved road line area at the external corner (road side only)
@@ -1678,7 +1951,7 @@ class SceneManager {
                 // Reset tiles that previously used destination materials
                 for (const key in this.destinationTileMaterials) {
                     if (tile.material === this.destinationTileMaterials[key]) {
-                        tile.material = this.groundMaterial;
+                        tile.material = this.getGroundMaterial(tile.gridX, tile.gridZ);
                         break;
                     }
                 }
@@ -1742,8 +2015,8 @@ class SceneManager {
             height: this.groundTileSize
         }, this.scene);
         
-        // Use shared material
-        tile.material = this.groundMaterial;
+        // Shared material for the tile's district archetype
+        tile.material = this.getGroundMaterial(gridX, gridZ);
         
         tile.position.x = gridX * this.groundTileSize;
         tile.position.z = gridZ * this.groundTileSize;
@@ -1829,8 +2102,25 @@ class SceneManager {
         this.drivewayMaterial.specularPower = 2;
         this.drivewayMaterial.emissiveColor = new BABYLON.Color3(0.02, 0.02, 0.03);
 
-        // Freeze static materials for performance
-        this.windowMaterial.freeze();
+        // Gas station: red canopy with a lit underside, white pumps, concrete forecourt
+        const gasMat = (name, hex, emissive = null) => {
+            const mat = new BABYLON.StandardMaterial(name, this.scene);
+            mat.diffuseColor = BABYLON.Color3.FromHexString(hex);
+            mat.specularColor = new BABYLON.Color3(0.03, 0.03, 0.03);
+            if (emissive) mat.emissiveColor = BABYLON.Color3.FromHexString(emissive);
+            mat.freeze();
+            return mat;
+        };
+        this.gasStationMaterials = {
+            canopy: gasMat('gasCanopyMat', '#c62828', '#3a0a0a'),
+            light: gasMat('gasLightMat', '#fff4d6', '#fff4d6'),
+            pillar: gasMat('gasPillarMat', '#e0e0e0'),
+            pump: gasMat('gasPumpMat', '#f5f5f5', '#202020'),
+            shop: gasMat('gasShopMat', '#d7ccc8'),
+            forecourt: gasMat('gasForecourtMat', '#55585e')
+        };
+
+        // Freeze static materials for performance (not windows: DayNightCycle lights them at night)
         this.windowFrameMaterial.freeze();
         this.doorMaterial.freeze();
         this.drivewayMaterial.freeze();
@@ -1857,12 +2147,143 @@ class SceneManager {
         return materials;
     }
     
+    // Gas station on a tile, or null. Rolled from the run seed alone, so Game can find stations on
+    // tiles that haven't streamed in yet; route stop tiles and the landfill corner don't get one
+    getGasStation(gridX, gridZ) {
+        const cacheKey = `${this.random.seed}_${gridX}_${gridZ}`;
+        let station = this.gasStationCache.get(cacheKey);
+        if (station === undefined) {
+            station = null;
+            const rng = this.random.stream('gasStation', gridX, gridZ);
+            const archetype = this.districtMap.getArchetype(gridX, gridZ);
+            if (DistrictMap.ARCHETYPES[archetype].gasStations && rng() < this.gasStationChance) {
+                const corners = [
+                    { cornerKey: 'bl', signX: -1, signZ: -1 },
+                    { cornerKey: 'br', signX: 1, signZ: -1 },
+                    { cornerKey: 'tl', signX: -1, signZ: 1 },
+                    { cornerKey: 'tr', signX: 1, signZ: 1 }
+                ];
+                const corner = corners[Math.floor(rng() * corners.length)];
+                const tileX = gridX * this.groundTileSize;
+                const tileZ = gridZ * this.groundTileSize;
+                // Both roads along the corner have to be there (and straight) to drive in
+                const reachable = this.roadNetwork.hasStraightArm(gridX, gridZ, corner.signX > 0 ? 1 : 3)
+                    && this.roadNetwork.hasStraightArm(gridX, gridZ, corner.signZ > 0 ? 0 : 2);
+                if (reachable) {
+                    station = {
+                        tileKey: `${gridX}_${gridZ}`,
+                        ...corner,
+                        // Pump island, where the truck parks to refuel
+                        x: tileX + corner.signX * 13,
+                        z: tileZ + corner.signZ * 13
+                    };
+                }
+            }
+            this.gasStationCache.set(cacheKey, station);
+        }
+        if (!station) return null;
+        if (this.pickupExcludedTiles && this.pickupExcludedTiles.has(station.tileKey)) return null;
+        if (this.destinationTileOverrides && this.destinationTileOverrides[station.tileKey] === station.cornerKey) return null;
+        return station;
+    }
+    
+    // Station whose pumps are within radius of (x, z) - only the tile under the point can have one
+    getGasStationNear(x, z, radius) {
+        const station = this.getGasStation(Math.round(x / this.groundTileSize), Math.round(z / this.groundTileSize));
+        if (!station || Math.hypot(station.x - x, station.z - z) > radius) return null;
+        return station;
+    }
+    
+    // All stations within radius of (x, z), nearest first
+    getGasStationsNear(x, z, radius) {
+        const size = this.groundTileSize;
+        const range = Math.ceil(radius / size);
+        const baseX = Math.round(x / size);
+        const baseZ = Math.round(z / size);
+        const stations = [];
+        for (let gx = baseX - range; gx <= baseX + range; gx++) {
+            for (let gz = baseZ - range; gz <= baseZ + range; gz++) {
+                const station = this.getGasStation(gx, gz);
+                if (!station) continue;
+                const distance = Math.hypot(station.x - x, station.z - z);
+                if (distance <= radius) stations.push({ station, distance });
+            }
+        }
+        stations.sort((a, b) => a.distance - b.distance);
+        return stations.map(entry => entry.station);
+    }
+    
+    // Forecourt, canopy over a pump island and a small shop in the station's corner of the tile.
+    // Returns the collision boxes (pump island, shop) and the visual meshes
+    createGasStation(station, gridX, gridZ) {
+        const mats = this.gasStationMaterials;
+        const sx = station.signX;
+        const sz = station.signZ;
+        const tileX = gridX * this.groundTileSize;
+        const tileZ = gridZ * this.groundTileSize;
+        const name = `gas_${gridX}_${gridZ}`;
+        const collisions = [];
+        const visuals = [];
+        
+        const addBox = (suffix, size, x, y, z, material) => {
+            const box = BABYLON.MeshBuilder.CreateBox(`${name}_${suffix}`, size, this.scene);
+            box.position = new BABYLON.Vector3(x, y, z);
+            box.material = material;
+            box.isPickable = false;
+            box.freezeWorldMatrix();
+            visuals.push(box);
+            return box;
+        };
+        const addCollision = (suffix, width, height, depth, x, z) => {
+            const col = BABYLON.MeshBuilder.CreateBox(`${name}_${suffix}Col`, { width, height, depth }, this.scene);
+            col.position = new BABYLON.Vector3(x, height / 2, z);
+            col.isVisible = false;
+            col.isPickable = false;
+            col.houseWidth = width;
+            col.houseDepth = depth;
+            col.houseRotation = 0;
+            col.collisionRadiusXZ = Math.hypot(width * 0.5, depth * 0.5);
+            collisions.push(col);
+        };
+        
+        // Forecourt from the road edges into the corner
+        const forecourt = BABYLON.MeshBuilder.CreateGround(`${name}_forecourt`, { width: 17, height: 17 }, this.scene);
+        forecourt.position = new BABYLON.Vector3(tileX + sx * 14.5, 0.025, tileZ + sz * 14.5);
+        forecourt.material = mats.forecourt;
+        forecourt.isPickable = false;
+        forecourt.freezeWorldMatrix();
+        visuals.push(forecourt);
+        
+        // Pump island (runs along Z) with two pumps, under the canopy
+        const px = station.x;
+        const pz = station.z;
+        addBox('island', { width: 1.4, height: 0.2, depth: 5.2 }, px, 0.1, pz, mats.pillar);
+        [-1.2, 1.2].forEach((offset, i) => {
+            addBox(`pump${i}`, { width: 0.7, height: 1.6, depth: 0.9 }, px, 1.0, pz + offset, mats.pump);
+        });
+        addCollision('island', 1.4, 1.8, 5.2, px, pz);
+        
+        [-2.4, 2.4].forEach((offset, i) => {
+            addBox(`pillar${i}`, { width: 0.35, height: 5, depth: 0.35 }, px, 2.5, pz + offset, mats.pillar);
+        });
+        addBox('canopy', { width: 9, height: 0.6, depth: 9 }, px, 5.3, pz, mats.canopy);
+        addBox('canopyLight', { width: 8, height: 0.05, depth: 8 }, px, 4.98, pz, mats.light);
+        
+        // Shop in the back corner
+        const shopX = tileX + sx * 20;
+        const shopZ = tileZ + sz * 20.5;
+        addBox('shop', { width: 7, height: 3.5, depth: 6 }, shopX, 1.75, shopZ, mats.shop);
+        addBox('shopRoof', { width: 7.4, height: 0.3, depth: 6.4 }, shopX, 3.65, shopZ, mats.canopy);
+        addCollision('shop', 7, 3.5, 6, shopX, shopZ);
+        
+        return { collisions, visuals };
+    }
+    
     createHousesForTile(gridX, gridZ) {
         const tileKey = `${gridX}_${gridZ}`;
 
         // No auto-generated houses on pickup area tiles
         if (this.pickupExcludedTiles && this.pickupExcludedTiles.has(tileKey)) return;
-        if (this.pickupTileKey && tileKey === this.pickupTileKey) return;
         
         // For destination tiles, skip only the quadrant that faces the drop-off corner
         const destinationCornerKey = this.destinationTileOverrides
@@ -1892,14 +2313,11 @@ class SceneManager {
         }
         this.drivewaysByTile[tileKey] = [];
         
-        // Seeded random based on grid position for consistent placement
-        const seed = (gridX * 73856093) ^ (gridZ * 19349663);
-        let randomCounter = 0;
-        const seededRandom = () => {
-            randomCounter++;
-            const x = Math.sin(seed + randomCounter * 123.456) * 43758.5453;
-            return x - Math.floor(x);
-        };
+        // Seeded random based on run seed + grid position for consistent placement
+        const seededRandom = this.random.stream('houses', gridX, gridZ);
+        const gasStation = this.getGasStation(gridX, gridZ);
+        const archetype = this.districtMap.getArchetype(gridX, gridZ);
+        const districtVisuals = [];
         
         const tileX = gridX * this.groundTileSize;
         const tileZ = gridZ * this.groundTileSize;
@@ -1918,6 +2336,8 @@ class SceneManager {
         
         // Track placed house bounds for overlap checking
         const placedHouses = [];
+        // Where driveways meet the road, kept clear of street furniture
+        const drivewayMouths = [];
         
         // Visual merge groups (reduce draw calls)
         const wallMeshesByMat = new Map();
@@ -1938,6 +2358,20 @@ class SceneManager {
         quadrants.forEach((quad, qi) => {
             // Skip the destination quadrant on destination tiles
             if (destinationCornerKey && quad.cornerKey === destinationCornerKey) return;
+            // The gas station takes this quadrant
+            if (gasStation && quad.cornerKey === gasStation.cornerKey) return;
+            // Other district archetypes have their own block generators
+            if (archetype !== 'suburban') {
+                const built = this.districtBuilder.buildQuadrant(archetype, gridX, gridZ, quad, qi);
+                // A curve can cut into the block: leave it open ground then
+                if (built.collisions.some(col => this.roadNetwork.getRoadClearance(col.position.x, col.position.z) < col.collisionRadiusXZ)) {
+                    built.collisions.concat(built.visuals).forEach(mesh => mesh.dispose());
+                    return;
+                }
+                this.housesByTile[tileKey].push(...built.collisions);
+                districtVisuals.push(...built.visuals);
+                return;
+            }
             // 70% chance of a house in each quadrant
             if (seededRandom() > 0.7) return;
             
@@ -2007,7 +2441,7 @@ class SceneManager {
                     const adjHouses = this.housesByTile[adjKey];
                     if (!adjHouses) continue;
                     for (const adjHouse of adjHouses) {
-                        if (!adjHouse || adjHouse.isDisposed()) continue;
+                        if (!adjHouse || adjHouse.isDisposed() || adjHouse.streetProp) continue;
                         if (housesOverlap(posX, posZ, width, depth, 
                             adjHouse.position.x, adjHouse.position.z, 
                             adjHouse.houseWidth, adjHouse.houseDepth)) {
@@ -2022,6 +2456,9 @@ class SceneManager {
             // Skip this house if it would overlap
             if (overlaps) return;
             
+            // Or if a curve or turning circle reaches it
+            if (this.roadNetwork.getRoadClearance(posX, posZ) < Math.hypot(width, depth) / 2) return;
+            
             // Random rotation (0, 90, 180, or 270 degrees)
             const rotation = Math.floor(seededRandom() * 4) * Math.PI / 2;
             
@@ -2131,11 +2568,14 @@ class SceneManager {
             // Houses in -X quadrant can go +X (toward vertical road)
             // Houses in +Z quadrant can go -Z (toward horizontal road)
             // Houses in -Z quadrant can go +Z (toward horizontal road)
+            // ...and only to a road that's there, running straight past the house
+            const verticalRoad = this.roadNetwork.hasStraightArm(gridX, gridZ, localHouseZ >= 0 ? 0 : 2);
+            const horizontalRoad = this.roadNetwork.hasStraightArm(gridX, gridZ, localHouseX >= 0 ? 1 : 3);
             const validDirections = [];
-            if (localHouseX > roadHalf) validDirections.push('toVerticalFromRight');   // go -X
-            if (localHouseX < -roadHalf) validDirections.push('toVerticalFromLeft');   // go +X
-            if (localHouseZ > roadHalf) validDirections.push('toHorizontalFromTop');   // go -Z
-            if (localHouseZ < -roadHalf) validDirections.push('toHorizontalFromBottom'); // go +Z
+            if (localHouseX > roadHalf && verticalRoad) validDirections.push('toVerticalFromRight');   // go -X
+            if (localHouseX < -roadHalf && verticalRoad) validDirections.push('toVerticalFromLeft');   // go +X
+            if (localHouseZ > roadHalf && horizontalRoad) validDirections.push('toHorizontalFromTop');   // go -Z
+            if (localHouseZ < -roadHalf && horizontalRoad) validDirections.push('toHorizontalFromBottom'); // go +Z
             
             // Pick random valid direction
             if (validDirections.length > 0) {
@@ -2195,6 +2635,9 @@ class SceneManager {
                     driveway.isPickable = false;
                     drivewayMeshes.push(driveway);
                     this.drivewaysByTile[tileKey].push(driveway);
+                    drivewayMouths.push(isXDirection
+                        ? { axis: 'x', side: Math.sign(localHouseX), along: drivewayZ - tileWorldZ, halfWidth: drivewayWidth / 2 }
+                        : { axis: 'z', side: Math.sign(localHouseZ), along: drivewayX - tileWorldX, halfWidth: drivewayWidth / 2 });
 
                     // Add a door on the same side as the driveway
                         // Use the actual driveway position to find the closest face
@@ -2335,7 +2778,18 @@ class SceneManager {
                 mergedMeshes.push(mergedDriveways);
             }
         }
+        if (gasStation) {
+            const built = this.createGasStation(gasStation, gridX, gridZ);
+            this.housesByTile[tileKey].push(...built.collisions);
+            mergedMeshes.push(...built.visuals);
+        }
+        mergedMeshes.push(...districtVisuals);
         this.visualsByTile[tileKey] = mergedMeshes;
+        
+        // Street furniture, clear of driveways and the gas station / landfill corner
+        const skipCorners = [destinationCornerKey, gasStation && gasStation.cornerKey].filter(Boolean);
+        const propColliders = this.streetFurniture.createForTile(gridX, gridZ, skipCorners, drivewayMouths, archetype);
+        this.housesByTile[tileKey].push(...propColliders);
     }
     
     removeHousesForTile(gridX, gridZ) {
@@ -2352,6 +2806,7 @@ class SceneManager {
             });
             delete this.housesByTile[tileKey];
         }
+        this.streetFurniture.removeForTile(tileKey);
         // Also remove driveways for this tile
         if (this.drivewaysByTile && this.drivewaysByTile[tileKey]) {
             this.drivewaysByTile[tileKey].forEach(d => {
@@ -2419,6 +2874,7 @@ class SceneManager {
                     tile.position.z = newGridZ * this.groundTileSize;
                     tile.gridX = newGridX;
                     tile.gridZ = newGridZ;
+                    tile.material = this.getGroundMaterial(newGridX, newGridZ);
                     
                     // Create houses for this new tile position if not already exists
                     // Skip pickup area tiles and all destination tiles (no auto-generated houses)
@@ -2437,7 +2893,7 @@ class SceneManager {
                     } else {
                         for (const key in this.destinationTileMaterials) {
                             if (tile.material === this.destinationTileMaterials[key]) {
-                                tile.material = this.groundMaterial;
+                                tile.material = this.getGroundMaterial(newGridX, newGridZ);
                                 break;
                             }
                         }
@@ -0,0 +1,383 @@
+/**
+ * StreetFurniture - Parked cars, mailboxes, trash cans, hydrants, trees and fences along the roads
+ *
+ * SceneManager.createHousesForTile calls createForTile after placing a tile's houses, and the
+ * props go when the tile's houses do. Each prop type is a template mesh and props are instances of
+ * it. Placement is rolled from the run seed per tile, along the eight road frontages of the tile
+ * (each corner quadrant faces two roads, where RoadNetwork has them), keeping driveway mouths clear.
+ * Heavy props (parked cars, hydrants, trees, fences) are static obstacles: their colliders go into
+ * SceneManager.housesByTile, so Truck.checkMeshCollision and getCollisionPushback treat them like
+ * houses. Light props (mailboxes, trash cans) don't block the truck; it knocks them over instead,
+ * and they get a Havok body for a few seconds before coming to rest where they land.
+ */
+class StreetFurniture {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.scene;
+        this.random = sceneManager.random;
+        this.tileSize = sceneManager.groundTileSize || 50;
+        this.roadHalf = this.tileSize * 0.125; // Road edge (6.25m from the center line)
+        this.frontage = { start: 8.5, end: 23.5 }; // Distance from the intersection props stand at (m)
+        this.offsets = {
+            parkedCar: this.roadHalf - 1.1, // At the curb, clear of the traffic lane
+            curb: this.roadHalf + 0.8,      // Mailboxes, trash cans, hydrants
+            tree: this.roadHalf + 2.4,
+            fence: this.roadHalf + 3.8
+        };
+        // Chance per frontage by district archetype (curbBins: trash cans on busier streets)
+        this.profiles = {
+            suburban: { hydrant: 0.06, tree: 0.35, fence: 0.25, parked: 0.3, curbBins: 0 },
+            townhouses: { hydrant: 0.1, tree: 0.45, fence: 0.1, parked: 0.6, curbBins: 0.3 },
+            apartments: { hydrant: 0.15, tree: 0.5, fence: 0, parked: 0.6, curbBins: 0.5 },
+            stripMall: { hydrant: 0.15, tree: 0.2, fence: 0, parked: 0.2, curbBins: 0.4 },
+            park: { hydrant: 0.04, tree: 0.6, fence: 0, parked: 0.15, curbBins: 0.2 },
+            industrial: { hydrant: 0.2, tree: 0.05, fence: 0, parked: 0.25, curbBins: 0 },
+            landfill: { hydrant: 0, tree: 0, fence: 0.8, parked: 0, curbBins: 0 }
+        };
+        this.knockedLifetime = 6;  // Seconds a knocked-over prop keeps its physics body
+        this.maxKnocked = 12;      // Bodies alive at once (the oldest come to rest early)
+        this.templates = null;
+        this.propsByTile = {};     // tileKey -> [{ type, mesh, light, knocked }]
+        this.knocked = [];         // Light props with a live physics body: { prop, age }
+    }
+
+    // === Templates ===
+
+    // Template meshes, built once. Origin at ground level, facing +Z (along the road)
+    getTemplates() {
+        if (this.templates) return this.templates;
+        const mat = (name, hex) => {
+            const material = new BABYLON.StandardMaterial(`street_${name}Mat`, this.scene);
+            material.diffuseColor = BABYLON.Color3.FromHexString(hex);
+            material.specularColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+            material.freeze();
+            return material;
+        };
+        const mats = {
+            post: mat('post', '#6d5a44'),
+            mailbox: mat('mailbox', '#37474f'),
+            trashCan: mat('trashCan', '#2e5d32'),
+            lid: mat('lid', '#1b3a1d'),
+            hydrant: mat('hydrant', '#c62828'),
+            trunk: mat('trunk', '#5d4037'),
+            leaves: mat('leaves', '#4f7a3a'),
+            fence: mat('fence', '#eeeae0'),
+            glass: mat('glass', '#263238')
+        };
+        const box = (name, size, x, y, z, material) => {
+            const mesh = BABYLON.MeshBuilder.CreateBox(name, size, this.scene);
+            mesh.position.set(x, y, z);
+            mesh.material = material;
+            return mesh;
+        };
+        const cylinder = (name, diameter, height, y, material, tessellation = 12) => {
+            const mesh = BABYLON.MeshBuilder.CreateCylinder(name, { diameter, height, tessellation }, this.scene);
+            mesh.position.y = y;
+            mesh.material = material;
+            return mesh;
+        };
+        const template = (name, parts) => {
+            const mesh = BABYLON.Mesh.MergeMeshes(parts, true, true, undefined, false, true);
+            mesh.name = `street_${name}`;
+            mesh.isVisible = false; // Only the instances render
+            mesh.isPickable = false;
+            this.sceneManager.addShadowCaster(mesh);
+            return mesh;
+        };
+
+        this.templates = {
+            mailbox: template('mailbox', [
+                box('mbPost', { width: 0.1, height: 1.0, depth: 0.1 }, 0, 0.5, 0, mats.post),
+                box('mbBox', { width: 0.25, height: 0.25, depth: 0.5 }, 0, 1.1, 0, mats.mailbox)
+            ]),
+            trashCan: template('trashCan', [
+                cylinder('tcBody', 0.6, 1.0, 0.5, mats.trashCan),
+                cylinder('tcLid', 0.66, 0.08, 1.04, mats.lid)
+            ]),
+            hydrant: template('hydrant', [
+                cylinder('hyBody', 0.3, 0.7, 0.35, mats.hydrant, 8),
+                cylinder('hyCap', 0.22, 0.15, 0.77, mats.hydrant, 8),
+                box('hyNozzles', { width: 0.5, height: 0.1, depth: 0.1 }, 0, 0.5, 0, mats.hydrant)
+            ]),
+            tree: template('tree', [
+                cylinder('trTrunk', 0.35, 2.6, 1.3, mats.trunk, 8),
+                (() => {
+                    const crown = BABYLON.MeshBuilder.CreateIcoSphere('trCrown', { radius: 1.7, subdivisions: 1 }, this.scene);
+                    crown.position.y = 3.6;
+                    crown.material = mats.leaves;
+                    return crown;
+                })()
+            ]),
+            fence: template('fence', [
+                box('fnRailLow', { width: 0.05, height: 0.1, depth: 4 }, 0, 0.45, 0, mats.fence),
+                box('fnRailHigh', { width: 0.05, height: 0.1, depth: 4 }, 0, 0.9, 0, mats.fence),
+                box('fnPost0', { width: 0.12, height: 1.1, depth: 0.12 }, 0, 0.55, -1.94, mats.fence),
+                box('fnPost1', { width: 0.12, height: 1.1, depth: 0.12 }, 0, 0.55, 1.94, mats.fence)
+            ]),
+            parkedCar: ['#8d1c1c', '#1f4e8c', '#c9c9c9', '#2b2b2b', '#6b7d3a'].map((hex, i) => template(`parkedCar${i}`, [
+                box('pcBody', { width: 1.9, height: 0.8, depth: 4.4 }, 0, 0.65, 0, mat(`parkedCar${i}`, hex)),
+                box('pcCabin', { width: 1.7, height: 0.6, depth: 2.3 }, 0, 1.35, -0.2, mats.glass)
+            ]))
+        };
+        return this.templates;
+    }
+
+    // === Generation ===
+
+    // Props for a tile. skipCorners: quadrants that get nothing (gas station, landfill);
+    // driveways: [{ axis: 'x' | 'z' (road the driveway meets: x = along the north-south road),
+    // side: -1 | 1 (which side of it), along, halfWidth }] in tile-local meters
+    createForTile(gridX, gridZ, skipCorners = [], driveways = [], archetype = 'suburban') {
+        const tileKey = `${gridX}_${gridZ}`;
+        this.removeForTile(tileKey);
+        const templates = this.getTemplates();
+        const profile = this.profiles[archetype] || this.profiles.suburban;
+        const rng = this.random.stream('streetFurniture', gridX, gridZ);
+        const tileX = gridX * this.tileSize;
+        const tileZ = gridZ * this.tileSize;
+        const props = [];
+        const colliders = [];
+        const { start, end } = this.frontage;
+
+        // Eight frontages: each corner quadrant faces the north-south road (axis 'x') and the east-west one,
+        // where that road is there and straight (see RoadNetwork)
+        const network = this.sceneManager.roadNetwork;
+        const corners = [
+            { cornerKey: 'bl', signX: -1, signZ: -1 },
+            { cornerKey: 'br', signX: 1, signZ: -1 },
+            { cornerKey: 'tl', signX: -1, signZ: 1 },
+            { cornerKey: 'tr', signX: 1, signZ: 1 }
+        ];
+        const frontages = [];
+        corners.forEach(corner => {
+            if (skipCorners.includes(corner.cornerKey)) return;
+            if (network.hasStraightArm(gridX, gridZ, corner.signZ > 0 ? 0 : 2)) {
+                frontages.push({ axis: 'x', side: corner.signX, dir: corner.signZ });
+            }
+            if (network.hasStraightArm(gridX, gridZ, corner.signX > 0 ? 1 : 3)) {
+                frontages.push({ axis: 'z', side: corner.signZ, dir: corner.signX });
+            }
+        });
+
+        frontages.forEach(frontage => {
+            const mouths = driveways.filter(d => d.axis === frontage.axis && d.side === frontage.side
+                && Math.sign(d.along) === frontage.dir);
+            const taken = []; // { along, half, band } already placed on this frontage
+            const isFree = (along, half, band, gap = 0.6) => {
+                if (Math.abs(along) - half < start || Math.abs(along) + half > end) return false;
+                if (mouths.some(d => Math.abs(d.along - along) < d.halfWidth + half + gap)) return false;
+                return !taken.some(t => t.band === band && Math.abs(t.along - along) < t.half + half + gap);
+            };
+            // World position and heading (template +Z runs along the road) for a spot on this frontage
+            const place = (type, template, along, offset, half, band, light = false) => {
+                const local = frontage.axis === 'x'
+                    ? { x: frontage.side * offset, z: along, rotation: 0 }
+                    : { x: along, z: frontage.side * offset, rotation: Math.PI / 2 };
+                const mesh = template.createInstance(`${template.name}_${tileKey}_${props.length}`);
+                mesh.position.set(tileX + local.x, 0, tileZ + local.z);
+                mesh.rotation.y = local.rotation + (rng() < 0.5 ? 0 : Math.PI);
+                mesh.isPickable = false;
+                mesh.freezeWorldMatrix();
+                const prop = { type, mesh, template, light, knocked: false, tileKey };
+                if (light) {
+                    mesh.collisionRadiusXZ = 0.5;
+                } else {
+                    prop.collider = type === 'tree' ? this.createTrunkCollider(mesh) : this.asCollider(mesh);
+                    colliders.push(prop.collider);
+                }
+                props.push(prop);
+                taken.push({ along, half, band });
+                return prop;
+            };
+
+            // Mailbox (and often a trash can) beside each driveway
+            mouths.forEach(mouth => {
+                if (rng() < 0.8) {
+                    const along = mouth.along + (mouth.halfWidth + 1.0) * (rng() < 0.5 ? -1 : 1);
+                    if (isFree(along, 0.3, 'curb')) place('mailbox', templates.mailbox, along, this.offsets.curb, 0.3, 'curb', true);
+                }
+                if (rng() < 0.5) {
+                    const along = mouth.along + (mouth.halfWidth + 1.6) * (rng() < 0.5 ? -1 : 1);
+                    if (isFree(along, 0.35, 'curb')) place('trashCan', templates.trashCan, along, this.offsets.curb, 0.35, 'curb', true);
+                }
+            });
+
+            // Hydrant near the intersection
+            if (rng() < profile.hydrant) {
+                const along = frontage.dir * (start + 1 + rng() * 3);
+                if (isFree(along, 0.3, 'curb')) place('hydrant', templates.hydrant, along, this.offsets.curb, 0.3, 'curb');
+            }
+
+            // Public trash can out on the sidewalk
+            if (profile.curbBins > 0 && rng() < profile.curbBins) {
+                const along = frontage.dir * (start + 3 + rng() * (end - start - 6));
+                if (isFree(along, 0.35, 'curb')) place('trashCan', templates.trashCan, along, this.offsets.curb, 0.35, 'curb', true);
+            }
+
+            // Street trees every ~7m
+            for (let along = start + 2; along < end - 1; along += 6 + rng() * 2) {
+                if (rng() < profile.tree && isFree(frontage.dir * along, 1.0, 'tree', 1.5)) {
+                    place('tree', templates.tree, frontage.dir * along, this.offsets.tree, 1.0, 'tree');
+                }
+            }
+
+            // Front-yard fence in 4m sections, open at the driveways
+            if (rng() < profile.fence) {
+                for (let along = start + 2; along + 2 <= end; along += 4) {
+                    if (isFree(frontage.dir * along, 2, 'fence', 0.3)) {
+                        place('fence', templates.fence, frontage.dir * along, this.offsets.fence, 2, 'fence');
+                    }
+                }
+            }
+
+            // Cars parked at the curb, never across a driveway
+            const cars = rng() < profile.parked ? (rng() < 0.4 ? 2 : 1) : 0;
+            for (let i = 0; i < cars; i++) {
+                const along = frontage.dir * (start + 2.2 + rng() * (end - start - 4.4));
+                if (isFree(along, 2.2, 'road', 1.5)) {
+                    const template = templates.parkedCar[Math.floor(rng() * templates.parkedCar.length)];
+                    place('parkedCar', template, along, this.offsets.parkedCar, 2.2, 'road');
+                }
+            }
+        });
+
+        this.propsByTile[tileKey] = props;
+        return colliders;
+    }
+
+    // An instance as its own collider: the house collision fields the truck's checks read
+    asCollider(mesh) {
+        const size = mesh.getBoundingInfo().boundingBox.extendSize;
+        mesh.houseWidth = size.x * 2;
+        mesh.houseDepth = size.z * 2;
+        mesh.houseRotation = mesh.rotation.y;
+        mesh.collisionRadiusXZ = Math.hypot(size.x, size.z);
+        mesh.streetProp = true;
+        return mesh;
+    }
+
+    // Trees block at the trunk, not the crown
+    createTrunkCollider(tree) {
+        const col = BABYLON.MeshBuilder.CreateBox(`${tree.name}_col`, { width: 0.5, height: 3, depth: 0.5 }, this.scene);
+        col.position.set(tree.position.x, 1.5, tree.position.z);
+        col.isVisible = false;
+        col.isPickable = false;
+        col.houseWidth = 0.5;
+        col.houseDepth = 0.5;
+        col.houseRotation = 0;
+        col.collisionRadiusXZ = 0.36;
+        col.streetProp = true;
+        return col;
+    }
+
+    // === Removal ===
+
+    removeForTile(tileKey) {
+        const props = this.propsByTile[tileKey];
+        if (!props) return;
+        props.forEach(prop => this.disposeProp(prop));
+        this.knocked = this.knocked.filter(entry => entry.prop.tileKey !== tileKey);
+        delete this.propsByTile[tileKey];
+    }
+
+    // Props within radius of (x, z), e.g. where the landfill goes
+    removeNear(x, z, radius) {
+        for (const tileKey in this.propsByTile) {
+            this.propsByTile[tileKey] = this.propsByTile[tileKey].filter(prop => {
+                const pos = prop.mesh.position;
+                if (Math.hypot(pos.x - x, pos.z - z) >= radius) return true;
+                this.disposeProp(prop);
+                this.knocked = this.knocked.filter(entry => entry.prop !== prop);
+                return false;
+            });
+        }
+    }
+
+    removeAll() {
+        Object.keys(this.propsByTile).forEach(tileKey => this.removeForTile(tileKey));
+        this.knocked = [];
+    }
+
+    disposeProp(prop) {
+        if (prop.aggregate) prop.aggregate.dispose();
+        prop.aggregate = null;
+        if (prop.collider && prop.collider !== prop.mesh && !prop.collider.isDisposed()) prop.collider.dispose();
+        if (!prop.mesh.isDisposed()) prop.mesh.dispose();
+    }
+
+    // === Light props ===
+
+    // Standing light props within radius of (x, z), for Truck.checkMeshCollision
+    getLightPropsNear(x, z, radius) {
+        const props = [];
+        const baseX = Math.round(x / this.tileSize);
+        const baseZ = Math.round(z / this.tileSize);
+        for (let gx = baseX - 1; gx <= baseX + 1; gx++) {
+            for (let gz = baseZ - 1; gz <= baseZ + 1; gz++) {
+                const tileProps = this.propsByTile[`${gx}_${gz}`];
+                if (!tileProps) continue;
+                for (let i = 0; i < tileProps.length; i++) {
+                    const prop = tileProps[i];
+                    if (!prop.light || prop.knocked) continue;
+                    const dx = prop.mesh.position.x - x;
+                    const dz = prop.mesh.position.z - z;
+                    const reach = radius + prop.mesh.collisionRadiusXZ;
+                    if (dx * dx + dz * dz <= reach * reach) props.push(prop);
+                }
+            }
+        }
+        return props;
+    }
+
+    // The truck hit a light prop at (velX, velZ) m/s: swap the instance for a mesh with a physics
+    // body and send it flying
+    knockOver(prop, velX, velZ) {
+        if (prop.knocked) return;
+        prop.knocked = true;
+        const instance = prop.mesh;
+        const mesh = prop.template.clone(`${instance.name}_knocked`);
+        mesh.isVisible = true;
+        mesh.position.copyFrom(instance.position);
+        mesh.rotation.copyFrom(instance.rotation);
+        instance.dispose();
+        prop.mesh = mesh;
+
+        if (!this.scene.getPhysicsEngine()) {
+            // No physics: just tip it over
+            mesh.rotation.z = Math.PI / 2;
+            mesh.position.y = 0.3;
+            return;
+        }
+        const shape = prop.type === 'trashCan' ? BABYLON.PhysicsShapeType.CYLINDER : BABYLON.PhysicsShapeType.BOX;
+        prop.aggregate = new BABYLON.PhysicsAggregate(mesh, shape, { mass: prop.type === 'trashCan' ? 12 : 8, restitution: 0.2, friction: 0.6 }, this.scene);
+        const speed = Math.hypot(velX, velZ);
+        prop.aggregate.body.setLinearVelocity(new BABYLON.Vector3(velX * 1.2, 1.5 + speed * 0.2, velZ * 1.2));
+        prop.aggregate.body.setAngularVelocity(new BABYLON.Vector3(
+            (Math.random() - 0.5) * 6, (Math.random() - 0.5) * 4, (Math.random() - 0.5) * 6
+        ));
+        this.knocked.push({ prop, age: 0 });
+
+        // Oldest bodies come to rest first when too many are flying about
+        while (this.knocked.length > this.maxKnocked) {
+            this.settle(this.knocked.shift().prop);
+        }
+    }
+
+    update(dt) {
+        if (this.knocked.length === 0) return;
+        this.knocked = this.knocked.filter(entry => {
+            entry.age += dt;
+            if (entry.age < this.knockedLifetime) return true;
+            this.settle(entry.prop);
+            return false;
+        });
+    }
+
+    // Drop the physics body and leave the prop lying where it landed
+    settle(prop) {
+        if (!prop.aggregate) return;
+        prop.aggregate.dispose();
+        prop.aggregate = null;
+        prop.mesh.freezeWorldMatrix();
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * SupportAnalyzer - What an item would rest on in the cargo bed, and how well
+ *
+ * Works on truck-local oriented boxes (PackingAnalyzer.getItemBox format). Footprints are
+ * projected onto the floor plane as convex polygons, so items in any orientation (turned,
+ * tipped on their side, stood on end) get exact contact areas. Tables leave the space
+ * under their top open (box.openBelow), so smaller items can slide underneath and a table
+ * can be set down over items already in place.
+ */
+class SupportAnalyzer {
+    constructor(truck, analyzer) {
+        this.truck = truck;
+        this.analyzer = analyzer;
+        this.tolerance = 0.02; // Height slack for "resting on" (physics items settle a little)
+    }
+
+    // Support for an item of `size` centered at truck-local (x, z), in orientation `rotation`
+    // (a yaw angle, or { yaw, pitch, roll }). others: placed items (anything PackingAnalyzer.getItemBox accepts).
+    // Returns { surfaceY, centerY, ratio, supportedArea, footprintArea, supporters, under }
+    analyzePlacement(size, x, z, rotation, openBelow, others) {
+        const boxes = [];
+        others.forEach(item => {
+            if (!item.mesh) return;
+            const box = this.analyzer.getItemBox(item);
+            if (box) boxes.push({ id: item.id, box });
+        });
+        return this.analyze(size, x, z, rotation, openBelow, boxes);
+    }
+
+    // Same as analyzePlacement, on { id, box } pairs
+    analyze(size, x, z, rotation, openBelow, others) {
+        const floorY = this.truck.getFloorTopY();
+        const tol = this.tolerance;
+        const probe = SupportAnalyzer.makeBox(size, x, 0, z, rotation, openBelow);
+        const halfHeight = SupportAnalyzer.extentY(probe);
+        probe.center.y = floorY + halfHeight;
+        const footprint = this.footprint(probe);
+        const footprintArea = SupportAnalyzer.polygonArea(footprint);
+
+        const overlaps = [];
+        others.forEach(other => {
+            const otherFootprint = this.footprint(other.box);
+            const area = SupportAnalyzer.polygonArea(SupportAnalyzer.clipPolygon(footprint, otherFootprint));
+            if (area < 1e-4) return;
+            const extY = SupportAnalyzer.extentY(other.box);
+            overlaps.push({
+                id: other.id,
+                box: other.box,
+                area,
+                top: other.box.center.y + extY,
+                bottom: other.box.center.y - extY,
+                // Candidate could go under this table / this item could sit under the candidate table
+                coversProbe: this.containsFootprint(other.box, footprint),
+                underProbe: this.containsFootprint(probe, otherFootprint),
+                blocking: false
+            });
+        });
+
+        // Ordinary overlaps block outright; under-table relations only if the heights work out
+        let surfaceY = floorY;
+        overlaps.forEach(o => {
+            if (!o.coversProbe && !o.underProbe) {
+                o.blocking = true;
+                surfaceY = Math.max(surfaceY, o.top);
+            }
+        });
+        let changed = true;
+        while (changed) {
+            changed = false;
+            overlaps.forEach(o => {
+                if (o.blocking) return;
+                const fitsUnderOther = o.coversProbe
+                    && surfaceY >= o.bottom - tol
+                    && surfaceY + 2 * halfHeight <= o.bottom + o.box.openBelow.height + tol;
+                const fitsUnderProbe = o.underProbe
+                    && o.top <= surfaceY + openBelow.height + tol;
+                if (!fitsUnderOther && !fitsUnderProbe) {
+                    o.blocking = true;
+                    surfaceY = Math.max(surfaceY, o.top);
+                    changed = true;
+                }
+            });
+        }
+
+        const under = overlaps.find(o => !o.blocking && o.coversProbe);
+        const result = {
+            surfaceY,
+            centerY: surfaceY + halfHeight,
+            ratio: 1,
+            supportedArea: footprintArea,
+            footprintArea,
+            supporters: [],
+            under: under ? under.id : null
+        };
+        if (surfaceY - floorY <= tol) return result;
+
+        // Raised: only tops at the resting height carry the item
+        const supporters = overlaps.filter(o => o.blocking && Math.abs(o.top - surfaceY) <= tol);
+        const supportedArea = supporters.reduce((sum, o) => sum + o.area, 0);
+        result.supporters = supporters.map(o => o.id);
+        result.supportedArea = Math.min(footprintArea, supportedArea);
+        result.ratio = footprintArea > 0 ? result.supportedArea / footprintArea : 0;
+        return result;
+    }
+
+    // Convex floor-plane footprint of an oriented box, as [{ x, z }] counter-clockwise
+    footprint(box) {
+        const { center, half, axes } = box;
+        const points = [];
+        [-1, 1].forEach(sx => [-1, 1].forEach(sy => [-1, 1].forEach(sz => {
+            points.push({
+                x: center.x + sx * half.x * axes[0][0] + sy * half.y * axes[1][0] + sz * half.z * axes[2][0],
+                z: center.z + sx * half.x * axes[0][2] + sy * half.y * axes[1][2] + sz * half.z * axes[2][2]
+            });
+        })));
+        return SupportAnalyzer.convexHull(points);
+    }
+
+    // Whether a footprint lies inside a table's open under-space (upright tables only)
+    containsFootprint(table, footprint) {
+        const open = table.openBelow;
+        if (!open || Math.abs(table.axes[1][1]) < 0.99) return false;
+        const [ax, , az] = table.axes;
+        const limitX = table.half.x - open.inset + this.tolerance;
+        const limitZ = table.half.z - open.inset + this.tolerance;
+        return footprint.every(p => {
+            const dx = p.x - table.center.x;
+            const dz = p.z - table.center.z;
+            return Math.abs(dx * ax[0] + dz * ax[2]) <= limitX && Math.abs(dx * az[0] + dz * az[2]) <= limitZ;
+        });
+    }
+
+    // Box in orientation `rotation` (yaw angle, or { yaw, pitch, roll })
+    static makeBox(size, x, y, z, rotation, openBelow = null) {
+        const r = typeof rotation === 'number' ? { yaw: rotation } : (rotation || {});
+        const box = {
+            center: { x, y, z },
+            half: { x: size.x / 2, y: size.y / 2, z: size.z / 2 },
+            axes: SupportAnalyzer.axesFor(r.yaw || 0, r.pitch || 0, r.roll || 0)
+        };
+        if (openBelow) box.openBelow = openBelow;
+        return box;
+    }
+
+    // Local X/Y/Z directions for Babylon's RotationYawPitchRoll (roll about Z, then pitch about X,
+    // then yaw about Y) - the rows of its rotation matrix
+    static axesFor(yaw, pitch = 0, roll = 0) {
+        const cy = Math.cos(yaw), sy = Math.sin(yaw);
+        const cp = Math.cos(pitch), sp = Math.sin(pitch);
+        const cr = Math.cos(roll), sr = Math.sin(roll);
+        const turn = ([x, y, z]) => {
+            [x, y] = [x * cr - y * sr, x * sr + y * cr];
+            [y, z] = [y * cp - z * sp, y * sp + z * cp];
+            [x, z] = [x * cy + z * sy, -x * sy + z * cy];
+            return [x, y, z];
+        };
+        return [turn([1, 0, 0]), turn([0, 1, 0]), turn([0, 0, 1])];
+    }
+
+    // Half extents of an oriented box along the truck axes
+    static extents(box) {
+        const { half, axes } = box;
+        const along = i => Math.abs(axes[0][i]) * half.x + Math.abs(axes[1][i]) * half.y + Math.abs(axes[2][i]) * half.z;
+        return { x: along(0), y: along(1), z: along(2) };
+    }
+
+    static extentY(box) {
+        return SupportAnalyzer.extents(box).y;
+    }
+
+    // Monotone chain hull, counter-clockwise
+    static convexHull(points) {
+        const sorted = [...points].sort((a, b) => (a.x - b.x) || (a.z - b.z));
+        const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+        const lower = [];
+        sorted.forEach(p => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 1e-12) lower.pop();
+            lower.push(p);
+        });
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 1e-12) upper.pop();
+            upper.push(p);
+        }
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    static polygonArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.z - b.x * a.z;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    // Sutherland-Hodgman: part of `subject` inside the convex, counter-clockwise `clip`
+    static clipPolygon(subject, clip) {
+        let output = subject;
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const a = clip[i];
+            const b = clip[(i + 1) % clip.length];
+            const side = p => (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x);
+            const input = output;
+            output = [];
+            for (let j = 0; j < input.length; j++) {
+                const current = input[j];
+                const previous = input[(j + input.length - 1) % input.length];
+                const currentIn = side(current) >= 0;
+                const previousIn = side(previous) >= 0;
+                if (currentIn !== previousIn) {
+                    const t = side(previous) / (side(previous) - side(current));
+                    output.push({
+                        x: previous.x + (current.x - previous.x) * t,
+                        z: previous.z + (current.z - previous.z) * t
+                    });
+                }
+                if (currentIn) output.push(current);
+            }
+        }
+        return output;
+    }
+}
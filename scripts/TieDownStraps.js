@@ -0,0 +1,303 @@
+/**
+ * TieDownStraps - Ratchet straps that hold the load in place in physics mode
+ *
+ * Anchor rings run along the bottom of the side and front walls (truck-local). A strap goes from
+ * one ring to a ring on another wall, over everything its line crosses. Each item under it is held
+ * by a Havok 6DoF constraint to the anchoring wall's body, with a few cm of slack, as soon as the
+ * item's body is dynamic. Parented mode doesn't need straps: nothing slides there.
+ */
+class TieDownStraps {
+    constructor(game) {
+        this.game = game;
+        this.truck = game.truck;
+        this.scene = game.scene;
+        this.ringSpacing = 0.6;    // Distance between anchor rings along a wall (m)
+        this.ringHeight = 0.05;    // Rings sit just above the floor
+        this.clearance = 0.015;    // Strap drawn this far above the item tops
+        this.slack = 0.03;         // How far a strapped item can shift (m)
+        this.angularSlack = 0.05;  // ...and turn (rad)
+        this.straps = [];
+        this.active = false;       // Strap tool on (rings shown, clicks go to straps)
+        this.startAnchor = null;
+        this.anchors = null;
+        this.ringMeshes = [];
+        this.strapMaterial = null;
+    }
+
+    // === Tool ===
+
+    canUse() {
+        const game = this.game;
+        return game.physicsEnabled && game.isRunning && !game.isPaused && game.isAtPickup
+            && !game.itemManager.selectedItemId;
+    }
+
+    getRemaining() {
+        return Math.max(0, this.game.strapsPerLevel - this.straps.length);
+    }
+
+    toggle() {
+        if (!this.active && !this.canUse()) {
+            this.game.audioManager.playSound('error');
+            return false;
+        }
+        this.setActive(!this.active);
+        return this.active;
+    }
+
+    setActive(active) {
+        if (active && this.ringMeshes.length === 0) this.createRings();
+        this.active = active;
+        this.setStart(null);
+        this.ringMeshes.forEach(ring => ring.setEnabled(active));
+        console.log(`🪢 Strap tool: ${active ? 'ON' : 'OFF'}`);
+    }
+
+    // Click while the tool is on: pick a start ring, then an end ring, or click a strap to take it off.
+    // Returns true if the click was used
+    handlePick(mesh) {
+        if (!this.active) return false;
+        const strap = mesh && this.straps.find(s => s.mesh === mesh);
+        if (strap) {
+            this.removeStrap(strap);
+            this.game.audioManager.playSound('pickup');
+            return true;
+        }
+        const anchor = mesh && mesh._strapAnchor;
+        if (!anchor) return true; // Stay in the tool; a stray click shouldn't pick up items
+        if (!this.startAnchor || this.startAnchor === anchor) {
+            this.setStart(this.startAnchor === anchor ? null : anchor);
+            return true;
+        }
+        const start = this.startAnchor;
+        this.setStart(null);
+        if (!this.addStrap(start, anchor)) this.game.audioManager.playSound('error');
+        return true;
+    }
+
+    setStart(anchor) {
+        this.startAnchor = anchor;
+        this.ringMeshes.forEach(ring => {
+            ring.material = this.getRingMaterial(ring._strapAnchor === anchor);
+        });
+    }
+
+    // === Straps ===
+
+    // Strap from ring a to ring b over the items in between; null if it can't go there
+    addStrap(a, b) {
+        if (this.getRemaining() === 0 || a.wall === b.wall) return null;
+        const crossed = this.getCrossedItems(a, b);
+        if (crossed.length === 0) return null;
+
+        const strap = {
+            a,
+            b,
+            items: crossed.map(c => ({ item: c.item, constraint: null })),
+            mesh: this.createStrapMesh(a, b, crossed)
+        };
+        this.straps.push(strap);
+        this.update();
+        console.log(`🪢 Strap ${a.id} → ${b.id} over ${crossed.map(c => c.item.id).join(', ')} (${this.getRemaining()} left)`);
+        return strap;
+    }
+
+    removeStrap(strap) {
+        strap.items.forEach(entry => {
+            if (entry.constraint) entry.constraint.dispose();
+            entry.constraint = null;
+        });
+        if (strap.mesh) strap.mesh.dispose();
+        this.straps = this.straps.filter(s => s !== strap);
+    }
+
+    // An item is leaving the truck (lifted out): straps over it come off
+    releaseItem(item) {
+        this.straps.filter(strap => strap.items.some(entry => entry.item === item))
+            .forEach(strap => this.removeStrap(strap));
+    }
+
+    clear() {
+        [...this.straps].forEach(strap => this.removeStrap(strap));
+        if (this.active) this.setActive(false);
+    }
+
+    isStrapped(item) {
+        return this.straps.some(strap => strap.items.some(entry => entry.item === item && entry.constraint));
+    }
+
+    // Constrain strapped items once their bodies exist and are dynamic (called every frame)
+    update() {
+        if (!this.game.physicsEnabled) return;
+        this.straps.forEach(strap => strap.items.forEach(entry => {
+            if (!entry.constraint) entry.constraint = this.createConstraint(strap.a, entry.item);
+        }));
+    }
+
+    // Items whose footprint the strap line crosses, with where along it (t0..t1) and their top
+    getCrossedItems(a, b) {
+        const analyzer = this.game.packingAnalyzer;
+        const support = this.game.itemManager.supportAnalyzer;
+        const crossed = [];
+        this.game.itemManager.placedItems.forEach(item => {
+            if (!item.mesh || item.isFallen) return;
+            const box = analyzer.getItemBox(item);
+            if (!box) return;
+            const span = TieDownStraps.clipSegment(a, b, support.footprint(box));
+            if (!span || span.t1 - span.t0 < 0.01) return;
+            crossed.push({ item, t0: span.t0, t1: span.t1, top: box.center.y + SupportAnalyzer.extentY(box) });
+        });
+        return crossed;
+    }
+
+    // Held against the anchoring wall with a little slack; null if the item isn't ready yet
+    createConstraint(anchor, item) {
+        const body = item.mesh && item.mesh.physicsAggregate && item.mesh.physicsAggregate.body;
+        if (!body || item.isFallen || item.createPhysicsAt || item.becomeDynamicAt || item._justBecameDynamic) return null;
+        const wall = this.getWallPart(anchor.wall);
+        if (!wall || !wall.aggregate.body || typeof BABYLON.Physics6DoFConstraint === 'undefined') return null;
+
+        // Wall bodies turn with the truck, so the wall frame is the truck frame shifted to the wall
+        const box = this.game.packingAnalyzer.getItemBox(item);
+        const mesh = wall.mesh;
+        const pivotA = new BABYLON.Vector3(
+            box.center.x - mesh._localPosX,
+            box.center.y - mesh._localPosY,
+            box.center.z - mesh._localPosZ
+        );
+        // Truck X and Y seen from the item (box axes are the item's axes in truck space)
+        const [ix, iy, iz] = box.axes;
+        const truckX = new BABYLON.Vector3(ix[0], iy[0], iz[0]);
+        const truckY = new BABYLON.Vector3(ix[1], iy[1], iz[1]);
+
+        const axis = BABYLON.PhysicsConstraintAxis;
+        const s = this.slack;
+        const r = this.angularSlack;
+        const constraint = new BABYLON.Physics6DoFConstraint({
+            pivotA,
+            pivotB: BABYLON.Vector3.Zero(),
+            axisA: new BABYLON.Vector3(1, 0, 0),
+            axisB: truckX,
+            perpAxisA: new BABYLON.Vector3(0, 1, 0),
+            perpAxisB: truckY,
+            collision: true
+        }, [
+            { axis: axis.LINEAR_X, minLimit: -s, maxLimit: s },
+            { axis: axis.LINEAR_Y, minLimit: -s, maxLimit: s },
+            { axis: axis.LINEAR_Z, minLimit: -s, maxLimit: s },
+            { axis: axis.ANGULAR_X, minLimit: -r, maxLimit: r },
+            { axis: axis.ANGULAR_Y, minLimit: -r, maxLimit: r },
+            { axis: axis.ANGULAR_Z, minLimit: -r, maxLimit: r }
+        ], this.scene);
+        wall.aggregate.body.addConstraint(body, constraint);
+        console.log(`🪢 ${item.id} strapped to the ${anchor.wall} wall`);
+        return constraint;
+    }
+
+    getWallPart(wall) {
+        const truck = this.truck;
+        const mesh = { left: truck.truckLeftWallMesh, right: truck.truckRightWallMesh, front: truck.truckFrontWallMesh }[wall];
+        return (truck.truckPhysicsAggregates || []).find(part => part.mesh === mesh) || null;
+    }
+
+    // === Anchors and visuals (truck-local) ===
+
+    // Rings along the left (-X) and right (+X) walls and across the front wall
+    getAnchors() {
+        if (this.anchors) return this.anchors;
+        const truck = this.truck;
+        const halfW = truck.cargoWidth / 2;
+        const halfL = truck.cargoLength / 2;
+        const y = truck.getFloorTopY() + this.ringHeight;
+        const anchors = [];
+        const sideCount = Math.floor(truck.cargoLength / this.ringSpacing);
+        for (let i = 0; i < sideCount; i++) {
+            const z = -halfL + (i + 0.5) * truck.cargoLength / sideCount;
+            anchors.push({ id: `left${i}`, wall: 'left', x: -halfW, y, z });
+            anchors.push({ id: `right${i}`, wall: 'right', x: halfW, y, z });
+        }
+        const frontCount = Math.floor(truck.cargoWidth / this.ringSpacing);
+        for (let i = 0; i < frontCount; i++) {
+            const x = -halfW + (i + 0.5) * truck.cargoWidth / frontCount;
+            anchors.push({ id: `front${i}`, wall: 'front', x, y, z: -halfL });
+        }
+        this.anchors = anchors;
+        return anchors;
+    }
+
+    createRings() {
+        this.getAnchors().forEach(anchor => {
+            const ring = BABYLON.MeshBuilder.CreateTorus(`strapRing_${anchor.id}`, { diameter: 0.12, thickness: 0.03 }, this.scene);
+            ring.parent = this.truck.root;
+            ring.position = new BABYLON.Vector3(anchor.x, anchor.y, anchor.z);
+            // Stand the ring up against its wall
+            ring.rotation = anchor.wall === 'front' ? new BABYLON.Vector3(Math.PI / 2, 0, 0) : new BABYLON.Vector3(0, 0, Math.PI / 2);
+            ring.material = this.getRingMaterial(false);
+            ring.isPickable = true;
+            ring._strapAnchor = anchor;
+            this.ringMeshes.push(ring);
+        });
+    }
+
+    getRingMaterial(selected) {
+        const key = selected ? '_ringSelectedMaterial' : '_ringMaterial';
+        if (!this[key]) {
+            const mat = new BABYLON.StandardMaterial(selected ? 'strapRingSelectedMat' : 'strapRingMat', this.scene);
+            mat.diffuseColor = selected ? new BABYLON.Color3(1, 0.55, 0.1) : new BABYLON.Color3(0.75, 0.75, 0.78);
+            mat.emissiveColor = selected ? new BABYLON.Color3(0.6, 0.3, 0) : new BABYLON.Color3(0.25, 0.25, 0.25);
+            this[key] = mat;
+        }
+        return this[key];
+    }
+
+    // Tube from ring to ring, up and over the tallest item at each point along the way
+    createStrapMesh(a, b, crossed) {
+        const at = (t, y) => new BABYLON.Vector3(a.x + (b.x - a.x) * t, y, a.z + (b.z - a.z) * t);
+        const heightAt = t => crossed.reduce((h, c) => (t > c.t0 && t < c.t1 ? Math.max(h, c.top + this.clearance) : h), a.y);
+        const breaks = [...new Set(crossed.flatMap(c => [c.t0, c.t1]))].sort((p, q) => p - q);
+        const path = [at(0, a.y)];
+        breaks.forEach(t => {
+            const before = heightAt(t - 1e-4);
+            const after = heightAt(t + 1e-4);
+            path.push(at(t, before));
+            if (after !== before) path.push(at(t, after));
+        });
+        path.push(at(1, b.y));
+
+        const mesh = BABYLON.MeshBuilder.CreateTube('strap', { path, radius: 0.02, tessellation: 6 }, this.scene);
+        mesh.parent = this.truck.root;
+        if (!this.strapMaterial) {
+            this.strapMaterial = new BABYLON.StandardMaterial('strapMat', this.scene);
+            this.strapMaterial.diffuseColor = new BABYLON.Color3(0.95, 0.45, 0.05);
+        }
+        mesh.material = this.strapMaterial;
+        mesh.isPickable = true;
+        return mesh;
+    }
+
+    // Part of segment a-b (in x/z) inside a convex counter-clockwise polygon, as { t0, t1 }, or null
+    static clipSegment(a, b, polygon) {
+        let t0 = 0;
+        let t1 = 1;
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            // Inside is to the left of each edge: cross(edge, point - p) >= 0
+            const ex = q.x - p.x;
+            const ez = q.z - p.z;
+            const start = ex * (a.z - p.z) - ez * (a.x - p.x);
+            const rate = ex * dz - ez * dx;
+            if (Math.abs(rate) < 1e-12) {
+                if (start < 0) return null;
+                continue;
+            }
+            const t = -start / rate;
+            if (rate > 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+            if (t0 > t1) return null;
+        }
+        return { t0, t1 };
+    }
+}
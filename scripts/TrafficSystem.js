@@ -0,0 +1,409 @@
+/**
+ * TrafficSystem - AI cars driving the road network around the player
+ *
+ * Cars live on the tiles within trafficRadius of the player's tile and follow the same lifecycle
+ * as SceneManager's streamed tiles: when the player moves to a new tile, tiles that came into range
+ * get cars (rolled from the run seed per tile) and cars that ended up out of range go back to the
+ * pool. Cars keep to the right-hand lane and pick a new way out of each intersection from the
+ * RoadNetwork's streets (never back, never against a one-way street), following the arc through
+ * curved corners and turning around in cul-de-sacs. At junctions they take turns: a car needs the
+ * intersection's reservation to enter, and waits while the truck is in it. They brake for the car
+ * or truck ahead. Truck.checkMeshCollision tests the truck against getCollidersNear, and a hit
+ * reports back through onCarHit.
+ */
+class TrafficSystem {
+    constructor(game) {
+        this.game = game;
+        this.scene = game.scene;
+        this.truck = game.truck;
+        this.random = game.random;
+        this.network = game.sceneManager.roadNetwork;
+        this.tileSize = 50;
+        this.roadHalf = this.tileSize * 0.125; // Matches the ground texture (6.25m)
+        this.laneOffset = 3;       // Lane center from the road center line (m)
+        this.trafficRadius = 4;    // Tiles around the player that have traffic
+        this.carChance = 0.3;      // Chance of a car per tile
+        this.maxCars = 24;
+        this.cruiseSpeed = 9;      // m/s (~20 mph)
+        this.acceleration = 3;     // m/s²
+        this.braking = 8;          // m/s²
+        this.followGap = 7;        // Bumper gap kept to whatever is ahead (m)
+        this.spawnClearance = 40;  // No cars pop in closer than this to the truck (m)
+        this.directions = Coords.DIRECTIONS;
+        this.cars = [];
+        this.pool = [];
+        this.reservations = new Map(); // 'gridX_gridZ' -> car crossing that intersection
+        this.activeTiles = new Set();
+        this.lastTile = null;
+        this.crashes = 0;
+        this.enabled = true;
+        this.materials = null;
+    }
+
+    // Release every car (new level, restart, quit)
+    reset() {
+        this.cars.slice().forEach(car => this.releaseCar(car));
+        this.reservations.clear();
+        this.activeTiles.clear();
+        this.lastTile = null;
+        this.crashes = 0;
+    }
+
+    update(dt) {
+        if (!this.enabled) return;
+        const truckX = this.truck.position.x;
+        const truckZ = this.truck.position.z;
+        const tileX = Math.round(truckX / this.tileSize);
+        const tileZ = Math.round(truckZ / this.tileSize);
+        if (!this.lastTile || this.lastTile.x !== tileX || this.lastTile.z !== tileZ) {
+            this.lastTile = { x: tileX, z: tileZ };
+            this.updateTiles(tileX, tileZ);
+        }
+        this.cars.slice().forEach(car => this.updateCar(car, dt));
+    }
+
+    // === Tiles ===
+
+    updateTiles(tileX, tileZ) {
+        const radius = this.trafficRadius;
+        const needed = new Set();
+        for (let gx = tileX - radius; gx <= tileX + radius; gx++) {
+            for (let gz = tileZ - radius; gz <= tileZ + radius; gz++) {
+                needed.add(`${gx}_${gz}`);
+            }
+        }
+
+        // Cars that drove (or were left) out of range go back to the pool
+        this.cars.slice().forEach(car => {
+            if (Math.abs(car.tileX - tileX) > radius || Math.abs(car.tileZ - tileZ) > radius) {
+                this.releaseCar(car);
+            }
+        });
+
+        needed.forEach(tileKey => {
+            if (this.activeTiles.has(tileKey)) return;
+            const [gx, gz] = tileKey.split('_').map(Number);
+            this.spawnForTile(gx, gz);
+        });
+        this.activeTiles = needed;
+    }
+
+    spawnForTile(gridX, gridZ) {
+        if (this.cars.length >= this.maxCars) return;
+        const rng = this.random.stream('traffic', gridX, gridZ);
+        if (rng() >= this.carChance) return;
+
+        // A spot on one of the tile's straight roads, clear of its intersection, driving either way
+        // (the right way down one-way streets)
+        const dir = Math.floor(rng() * 4);
+        const d = this.directions[dir];
+        const along = (rng() < 0.5 ? -1 : 1) * (this.roadHalf + 3 + rng() * (this.tileSize / 2 - this.roadHalf - 6));
+        const nodeX = d.x === 0 ? gridX : (along * d.x < 0 ? gridX : gridX + d.x);
+        const nodeZ = d.z === 0 ? gridZ : (along * d.z < 0 ? gridZ : gridZ + d.z);
+        if (this.network.getTile(gridX, gridZ).bend) return;
+        if (!this.network.canDrive(nodeX - d.x, nodeZ - d.z, dir)) return;
+        const right = this.getRight(dir);
+        const roadX = gridX * this.tileSize;
+        const roadZ = gridZ * this.tileSize;
+        const x = roadX + (d.x !== 0 ? along : 0) + right.x * this.laneOffset;
+        const z = roadZ + (d.z !== 0 ? along : 0) + right.z * this.laneOffset;
+
+        if (Math.hypot(x - this.truck.position.x, z - this.truck.position.z) < this.spawnClearance) return;
+        if (this.cars.some(car => Math.hypot(car.x - x, car.z - z) < this.followGap + 4)) return;
+
+        const car = this.acquireCar(rng);
+        car.x = x;
+        car.z = z;
+        car.dir = dir;
+        car.speed = this.cruiseSpeed;
+        car.rng = rng;
+        car.heading = Math.atan2(d.x, d.z);
+        car.stoppedFor = 0;
+        car.hitCooldown = 0;
+        car.holding = null;
+        car.curve = null;
+        // Next intersection ahead, and the way out of it
+        car.nodeX = nodeX;
+        car.nodeZ = nodeZ;
+        this.chooseTurn(car);
+        this.placeCarMesh(car);
+        this.cars.push(car);
+    }
+
+    // === Pool ===
+
+    acquireCar(rng) {
+        let car = this.pool.pop();
+        if (!car) car = { mesh: this.createCarMesh(this.cars.length + this.pool.length) };
+        const mats = this.getMaterials();
+        car.mesh.material = mats[Math.floor(rng() * mats.length)];
+        car.mesh.setEnabled(true);
+        return car;
+    }
+
+    releaseCar(car) {
+        if (car.holding) this.releaseIntersection(car);
+        const index = this.cars.indexOf(car);
+        if (index >= 0) this.cars.splice(index, 1);
+        car.mesh.setEnabled(false);
+        this.pool.push(car);
+    }
+
+    createCarMesh(index) {
+        const body = BABYLON.MeshBuilder.CreateBox(`trafficBody${index}`, { width: 1.9, height: 0.8, depth: 4.2 }, this.scene);
+        body.position.y = 0.65;
+        const cabin = BABYLON.MeshBuilder.CreateBox(`trafficCabin${index}`, { width: 1.7, height: 0.6, depth: 2.2 }, this.scene);
+        cabin.position.set(0, 1.35, -0.2);
+        const mesh = BABYLON.Mesh.MergeMeshes([body, cabin], true);
+        mesh.name = `trafficCar${index}`;
+        mesh.isPickable = false;
+        mesh.collisionRadiusXZ = Math.hypot(0.95, 2.1);
+        if (this.game.sceneManager) this.game.sceneManager.addShadowCaster(mesh);
+        return mesh;
+    }
+
+    getMaterials() {
+        if (this.materials) return this.materials;
+        const colors = ['#b71c1c', '#1565c0', '#f9a825', '#eeeeee', '#263238', '#2e7d32', '#6d4c41'];
+        this.materials = colors.map((hex, i) => {
+            const mat = new BABYLON.StandardMaterial(`trafficMat${i}`, this.scene);
+            mat.diffuseColor = BABYLON.Color3.FromHexString(hex);
+            mat.specularColor = new BABYLON.Color3(0.25, 0.25, 0.25);
+            mat.freeze();
+            return mat;
+        });
+        return this.materials;
+    }
+
+    // === Driving ===
+
+    // Driver's right for a heading (world +X is on the left when facing -Z)
+    getRight(dir) {
+        const d = this.directions[dir];
+        return { x: d.z, z: -d.x };
+    }
+
+    // Pick the way out of the next intersection (straight more often than not, never back unless
+    // it's a cul-de-sac) and the point where the car switches lanes onto it, or starts the curve
+    chooseTurn(car) {
+        const exits = [0, 1, 2, 3].filter(dir =>
+            dir !== (car.dir + 2) % 4 && this.network.canDrive(car.nodeX, car.nodeZ, dir));
+        const roll = car.rng();
+        let turn = car.dir;                          // Straight on
+        if (roll < 0.2) turn = (car.dir + 1) % 4;    // Right
+        else if (roll < 0.4) turn = (car.dir + 3) % 4; // Left
+        if (!exits.includes(turn)) {
+            turn = exits.length > 0 ? exits[Math.floor(car.rng() * exits.length)] : (car.dir + 2) % 4;
+        }
+        car.turn = turn;
+        car.arc = null;
+
+        // Where the current lane meets the new one (right turns cut inside, left turns swing wide)
+        const nodeX = car.nodeX * this.tileSize;
+        const nodeZ = car.nodeZ * this.tileSize;
+        const d = this.directions[car.dir];
+        const right = this.getRight(car.dir);
+        const o = this.laneOffset;
+        if (turn === (car.dir + 2) % 4) {
+            // Round the cul-de-sac's turning circle, about the node
+            car.turnX = nodeX + right.x * o;
+            car.turnZ = nodeZ + right.z * o;
+            car.arc = { x: nodeX, z: nodeZ, ux: right.x, uz: right.z, vx: d.x, vz: d.z, radius: o, sweep: Math.PI };
+        } else if (this.network.getTile(car.nodeX, car.nodeZ).bend) {
+            // Along the curved corner: a quarter circle about the bend's center, starting where
+            // the straight meets it (inside lane for a right-hand curve, outside for a left)
+            const d2 = this.directions[turn];
+            const R = this.network.bendRadius;
+            const radius = R - o * (right.x * d2.x + right.z * d2.z);
+            car.turnX = nodeX - d.x * R + right.x * o;
+            car.turnZ = nodeZ - d.z * R + right.z * o;
+            car.arc = {
+                x: nodeX + (d2.x - d.x) * R,
+                z: nodeZ + (d2.z - d.z) * R,
+                ux: -d2.x, uz: -d2.z, vx: d.x, vz: d.z, radius, sweep: Math.PI / 2
+            };
+        } else if (turn === car.dir) {
+            car.turnX = nodeX + right.x * o;
+            car.turnZ = nodeZ + right.z * o;
+        } else {
+            const right2 = this.getRight(turn);
+            car.turnX = nodeX + (right.x + right2.x) * o;
+            car.turnZ = nodeZ + (right.z + right2.z) * o;
+        }
+    }
+
+    updateCar(car, dt) {
+        const d = car.curve ? this.getCurveTangent(car.curve) : this.directions[car.dir];
+        if (car.hitCooldown > 0) car.hitCooldown -= dt;
+
+        // Distance to the turn point and to the edge of the intersection
+        const toTurn = car.curve ? Infinity : (car.turnX - car.x) * d.x + (car.turnZ - car.z) * d.z;
+        const toNode = (car.nodeX * this.tileSize - car.x) * d.x + (car.nodeZ * this.tileSize - car.z) * d.z;
+        const toEntry = toNode - this.roadHalf - 1;
+
+        let target = car.hitCooldown > 0 ? 0 : this.cruiseSpeed;
+        let limit = Infinity; // Furthest the car may move this frame
+
+        // Whatever is ahead in the lane: other cars, the truck
+        const gap = this.getGapAhead(car, d);
+        if (gap < this.followGap * 2) {
+            target = Math.min(target, this.cruiseSpeed * Math.max(0, gap - this.followGap) / this.followGap);
+            limit = Math.max(0, gap - this.followGap);
+        }
+
+        // Yield: take a junction's reservation before entering it
+        const nodeKey = `${car.nodeX}_${car.nodeZ}`;
+        if (!car.curve && car.holding !== nodeKey && toEntry < 6 && this.network.getTile(car.nodeX, car.nodeZ).junction) {
+            if (!this.tryEnterIntersection(car, nodeKey)) {
+                target = 0;
+                limit = Math.min(limit, Math.max(0, toEntry));
+            }
+        }
+
+        // Speed toward the target, never further than the limit
+        const rate = target > car.speed ? this.acceleration : this.braking;
+        car.speed += Math.max(-rate * dt, Math.min(rate * dt, target - car.speed));
+        let move = Math.min(car.speed * dt, limit);
+        if (move >= limit) car.speed = Math.min(car.speed, target);
+        car.stoppedFor = car.speed < 0.1 ? car.stoppedFor + dt : 0;
+
+        if (car.curve) {
+            this.followCurve(car, move);
+        } else if (move >= toTurn && toTurn >= 0) {
+            // Through the turn point: onto the new lane (or into the curve)
+            move -= toTurn;
+            car.x = car.turnX;
+            car.z = car.turnZ;
+            if (car.arc) {
+                car.curve = { ...car.arc, angle: 0 };
+                this.followCurve(car, move);
+            } else {
+                this.leaveNode(car, move);
+            }
+        } else {
+            car.x += d.x * move;
+            car.z += d.z * move;
+        }
+
+        // Clear of the intersection it held
+        if (car.holding) {
+            const [hx, hz] = car.holding.split('_').map(Number);
+            const clear = this.roadHalf + 2.5;
+            if (Math.abs(car.x - hx * this.tileSize) > clear || Math.abs(car.z - hz * this.tileSize) > clear) {
+                this.releaseIntersection(car);
+            }
+        }
+
+        car.tileX = Math.round(car.x / this.tileSize);
+        car.tileZ = Math.round(car.z / this.tileSize);
+        this.placeCarMesh(car, dt);
+    }
+
+    // Onto the road out of the intersection, moved `move` along it: aim for the intersection after it
+    leaveNode(car, move) {
+        car.dir = car.turn;
+        const d2 = this.directions[car.dir];
+        car.nodeX += d2.x;
+        car.nodeZ += d2.z;
+        this.chooseTurn(car);
+        car.x += d2.x * move;
+        car.z += d2.z * move;
+    }
+
+    // Move `move` meters along the curve; past its end the car carries on down the new road
+    followCurve(car, move) {
+        const curve = car.curve;
+        const left = (curve.sweep - curve.angle) * curve.radius;
+        curve.angle = Math.min(curve.sweep, curve.angle + move / curve.radius);
+        const cos = Math.cos(curve.angle);
+        const sin = Math.sin(curve.angle);
+        car.x = curve.x + (curve.ux * cos + curve.vx * sin) * curve.radius;
+        car.z = curve.z + (curve.uz * cos + curve.vz * sin) * curve.radius;
+        if (move >= left) {
+            car.curve = null;
+            this.leaveNode(car, move - left);
+        }
+    }
+
+    // Unit direction of travel at the car's point on a curve
+    getCurveTangent(curve) {
+        const cos = Math.cos(curve.angle);
+        const sin = Math.sin(curve.angle);
+        return { x: curve.vx * cos - curve.ux * sin, z: curve.vz * cos - curve.uz * sin };
+    }
+
+    // Distance to the nearest car or truck ahead in this car's lane (Infinity if none near)
+    getGapAhead(car, d) {
+        let gap = Infinity;
+        const right = { x: d.z, z: -d.x };
+        const check = (x, z, halfLength, halfWidth) => {
+            const ahead = (x - car.x) * d.x + (z - car.z) * d.z;
+            const side = (x - car.x) * right.x + (z - car.z) * right.z;
+            if (ahead <= 0 || Math.abs(side) > halfWidth + 1) return;
+            gap = Math.min(gap, ahead - halfLength - 2.1);
+        };
+        this.cars.forEach(other => {
+            if (other !== car) check(other.x, other.z, 2.1, 0.95);
+        });
+        const truck = this.truck;
+        check(truck.position.x, truck.position.z, truck.collisionRadiusXZ || 5, 1.5);
+        return gap;
+    }
+
+    // First come, first served; nobody enters while the truck is in the intersection
+    tryEnterIntersection(car, nodeKey) {
+        const holder = this.reservations.get(nodeKey);
+        if (holder && holder !== car) return false;
+        const [nx, nz] = nodeKey.split('_').map(Number);
+        const box = this.roadHalf + 3;
+        const truck = this.truck.position;
+        if (Math.abs(truck.x - nx * this.tileSize) < box && Math.abs(truck.z - nz * this.tileSize) < box) return false;
+        if (car.holding) this.releaseIntersection(car);
+        this.reservations.set(nodeKey, car);
+        car.holding = nodeKey;
+        return true;
+    }
+
+    releaseIntersection(car) {
+        if (this.reservations.get(car.holding) === car) this.reservations.delete(car.holding);
+        car.holding = null;
+    }
+
+    placeCarMesh(car, dt = 0) {
+        const d = car.curve ? this.getCurveTangent(car.curve) : this.directions[car.dir];
+        const heading = Math.atan2(d.x, d.z);
+        // Ease the body round junction corners (the path itself switches lanes at the turn point)
+        let delta = heading - car.heading;
+        delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+        car.heading = dt > 0 ? car.heading + delta * Math.min(1, dt * 8) : heading;
+        car.mesh.position.set(car.x, 0, car.z);
+        car.mesh.rotation.y = car.heading;
+        car.mesh.computeWorldMatrix(true);
+    }
+
+    // === Collisions ===
+
+    // Car meshes within radius of (x, z), for Truck.checkMeshCollision
+    getCollidersNear(x, z, radius) {
+        const colliders = [];
+        this.cars.forEach(car => {
+            const reach = radius + car.mesh.collisionRadiusXZ;
+            const dx = car.x - x;
+            const dz = car.z - z;
+            if (dx * dx + dz * dz <= reach * reach) colliders.push(car.mesh);
+        });
+        return colliders;
+    }
+
+    // The truck drove into a car: the car stops for a few seconds, and the crash is counted
+    onCarHit(mesh, speedMph) {
+        const car = this.cars.find(c => c.mesh === mesh);
+        if (!car || car.hitCooldown > 0) return;
+        car.hitCooldown = 3;
+        car.speed = 0;
+        if (speedMph < 3) return; // Nudges don't count
+        this.crashes++;
+        console.log(`🚗 Crashed into a car at ${Math.round(speedMph)} mph (${this.crashes} this level)`);
+        if (this.game.audioManager) this.game.audioManager.playSound('error');
+    }
+}
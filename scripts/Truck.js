@@ -35,6 +35,13 @@ class Truck {
         this.turnRate = 0; // Current turn rate for physics effects
         this.autoBrakeTimer = 0; // Seconds remaining for automatic braking
         
+        // Road grip from the weather (WeatherSystem): brake / turn factors, and how far the rear
+        // slides out in fast turns (0 on dry roads)
+        this.roadGrip = { brakeFactor: 1, turnFactor: 1, slide: 0 };
+        this.slideSpeed = 25;   // MPH above which a slippery road lets the truck slide in turns
+        this.cargoFriction = 1; // Friction multiplier for the load bed and items (wet when it rains)
+        this.baseFriction = new Map(); // mesh uniqueId -> { friction, restitution } before cargoFriction
+        
         // Automatic transmission (dump truck = very slow acceleration)
         this.currentGear = 0; // 0 = Neutral, 1-5 = Forward gears, -1 = Reverse
         this.gearSpeeds = [0, 25, 50, 75, 95, 110]; // Speed thresholds for upshifting
@@ -44,6 +51,28 @@ class Truck {
         // Input state
         this.keys = { w: false, a: false, s: false, d: false, space: false };
         
+        // Load model (item weights are kg; axle positions match the wheels, truck-local Z)
+        this.emptyMass = 1500;           // Truck alone (light, so the load matters)
+        this.emptyFrontShare = 0.6;      // Cab and engine sit over the front axle
+        this.payloadCapacity = 1000;     // Rated payload
+        this.frontAxleZ = -this.cargoLength / 2 - 1.2;
+        this.rearAxleZ = this.cargoLength / 2 - 1.2;
+        this.trackWidth = 2.3;           // Between left and right wheels
+        this.frontShareRange = { min: 0.42, max: 0.62 }; // Share of total weight on the front axle
+        this.maxSideOffset = 0.08;       // Allowed left/right weight share off 50%
+        this.loadModel = this.computeLoadModel([]);
+        this.damageModel = null;         // Set by Game (wear and tear on the load)
+        this.trafficSystem = null;       // Set by Game (AI cars to collide with)
+        this.hitTrafficMesh = null;      // Car mesh the last collision check hit
+        this.touchedProps = [];          // Light street props the last collision check touched (knocked over, not blocking)
+        
+        // Fuel (liters): burned per meter driven, more in low gears, on the throttle and when heavy
+        this.fuelCapacity = 60;
+        this.fuel = this.fuelCapacity;
+        this.fuelPerMeter = 0.015;       // Empty truck cruising in top gear
+        this.throttleFuel = 0.04;        // Extra liters per second with the throttle open
+        this.gearFuelFactor = [1.3, 1.6, 1.35, 1.15, 1.0, 1.05]; // By gear (0 = neutral / reverse)
+        
         // Items on truck
         this.loadedItems = [];
         this.enablePerfStats = false;
@@ -385,6 +414,43 @@ class Truck {
         tailLightR.isPickable = false;
         this.tailLights = [tailLightL, tailLightR];
         
+        // Headlights: lamps on the cab front, and one spot light between them that lights the road
+        // ahead (dark by day; DayNightCycle switches them with setHeadlights)
+        const headMat = new BABYLON.StandardMaterial('headlightMat', scene);
+        headMat.emissiveColor = new BABYLON.Color3(0.35, 0.35, 0.32);
+        headMat.diffuseColor = new BABYLON.Color3(0.8, 0.8, 0.75);
+        headMat.disableLighting = true;
+        this.headlightMat = headMat;
+        const cabFrontZ = -this.cargoLength / 2 - 1.9;
+        this.headlightLamps = [-0.75, 0.75].map((x, i) => {
+            const lamp = BABYLON.MeshBuilder.CreateBox(`headlight${i}`, { width: 0.4, height: 0.22, depth: 0.05 }, scene);
+            lamp.position = new BABYLON.Vector3(x, this.cargoFloorHeight + 0.35, cabFrontZ - 0.03);
+            lamp.material = headMat;
+            lamp.parent = this.root;
+            lamp.isPickable = false;
+            return lamp;
+        });
+        const headlight = new BABYLON.SpotLight('headlight',
+            new BABYLON.Vector3(0, this.cargoFloorHeight + 0.4, cabFrontZ - 0.1),
+            new BABYLON.Vector3(0, -0.2, -1), Math.PI / 2.4, 2, scene);
+        headlight.diffuse = new BABYLON.Color3(1, 0.95, 0.82);
+        headlight.specular = new BABYLON.Color3(0.3, 0.3, 0.25);
+        headlight.range = 60;
+        headlight.intensity = 0;
+        headlight.parent = this.root;
+        this.headlight = headlight;
+        
+        // Brake light glow on the road behind (follows the tail lights, only with the headlights on)
+        const brakeLight = new BABYLON.PointLight('brakeLight',
+            new BABYLON.Vector3(0, this.cargoFloorHeight, this.cargoLength / 2 + 0.8), scene);
+        brakeLight.diffuse = new BABYLON.Color3(1, 0.08, 0.05);
+        brakeLight.specular = new BABYLON.Color3(0, 0, 0);
+        brakeLight.range = 9;
+        brakeLight.intensity = 0;
+        brakeLight.parent = this.root;
+        this.brakeLight = brakeLight;
+        this.headlightsOn = false;
+        
         // Branding
         this.createBranding(scene, cargoMat);
         
@@ -505,6 +571,89 @@ class Truck {
         return used;
     }
     
+    // Center of mass and axle loads for the current load, plus the driving penalties it causes.
+    // Returns { payload, totalMass, comX, comZ, frontAxleLoad, rearAxleLoad, frontShare, leftShare,
+    //           overweight, balance ('ok' | 'warn' | 'bad'), accelFactor, brakeFactor, turnFactor }
+    computeLoadModel(items) {
+        const wheelbase = this.rearAxleZ - this.frontAxleZ;
+        let payload = 0;
+        let momentX = 0;
+        let momentZ = 0;
+        
+        let rootInv = null;
+        (items || []).forEach(item => {
+            if (!item.mesh || item.isFallen) return;
+            const mass = item.weight || 10;
+            let x;
+            let z;
+            if (item.isParented && item.mesh.parent === this.root) {
+                x = item.mesh.position.x;
+                z = item.mesh.position.z;
+            } else {
+                if (!rootInv) {
+                    this.root.computeWorldMatrix(true);
+                    rootInv = this.root.getWorldMatrix().clone();
+                    rootInv.invert();
+                }
+                const local = BABYLON.Vector3.TransformCoordinates(item.mesh.position, rootInv);
+                x = local.x;
+                z = local.z;
+            }
+            payload += mass;
+            momentX += mass * x;
+            momentZ += mass * z;
+        });
+        
+        // Truck's own weight sits at the point that gives its front axle share
+        const truckZ = this.frontAxleZ + (1 - this.emptyFrontShare) * wheelbase;
+        const totalMass = this.emptyMass + payload;
+        const centerZ = (this.emptyMass * truckZ + momentZ) / totalMass;
+        const centerX = momentX / totalMass;
+        const rearAxleLoad = totalMass * (centerZ - this.frontAxleZ) / wheelbase;
+        const frontAxleLoad = totalMass - rearAxleLoad;
+        const frontShare = frontAxleLoad / totalMass;
+        const leftShare = 0.5 + centerX / this.trackWidth; // Facing -Z, +X is on the left
+        
+        // How far outside the comfortable range the load is
+        const range = this.frontShareRange;
+        const axleImbalance = Math.max(0, range.min - frontShare, frontShare - range.max);
+        const sideImbalance = Math.max(0, Math.abs(leftShare - 0.5) - this.maxSideOffset);
+        const loadRatio = payload / this.payloadCapacity;
+        const overload = Math.max(0, loadRatio - 1);
+        
+        // Heavier = slower to speed up and stop; overweight much more so.
+        // A light front axle (or lopsided load) steers poorly and brakes badly
+        const accelFactor = Math.max(0.35, 1 - 0.25 * Math.min(1, loadRatio) - 0.4 * Math.min(1, overload * 2));
+        const brakeFactor = Math.max(0.35, (1 - 0.2 * Math.min(1, loadRatio) - 0.35 * Math.min(1, overload * 2))
+            * (1 - Math.min(0.4, axleImbalance * 2)));
+        const turnFactor = Math.max(0.4, (1 - Math.min(0.5, axleImbalance * 4)) * (1 - Math.min(0.4, sideImbalance * 3)));
+        
+        let balance = 'ok';
+        if (overload > 0 || axleImbalance > 0.06 || sideImbalance > 0.06) balance = 'bad';
+        else if (axleImbalance > 0 || sideImbalance > 0) balance = 'warn';
+        
+        return {
+            payload,
+            totalMass,
+            comX: payload > 0 ? momentX / payload : 0, // Cargo center of mass (truck-local)
+            comZ: payload > 0 ? momentZ / payload : 0,
+            frontAxleLoad,
+            rearAxleLoad,
+            frontShare,
+            leftShare,
+            overweight: overload > 0,
+            balance,
+            accelFactor,
+            brakeFactor,
+            turnFactor
+        };
+    }
+    
+    updateLoadModel() {
+        this.loadModel = this.computeLoadModel(this.loadedItems);
+        return this.loadModel;
+    }
+    
     isInsideCargo(pos) {
         const b = this.cargoBounds;
         return pos.x >= b.minX && pos.x <= b.maxX && pos.y >= b.minY && pos.z >= b.minZ && pos.z <= b.maxZ;
@@ -558,9 +707,7 @@ class Truck {
                 const houses = this.sceneManager.housesByTile[tileKey];
                 if (houses) allHouses.push(...houses);
             }
-            if (this.sceneManager.pickupHouse) {
-                allHouses.push(this.sceneManager.pickupHouse);
-            }
+            allHouses.push(...this.sceneManager.getStopHouses());
             
             const houseMat = new BABYLON.StandardMaterial('houseDebugMat', this.scene);
             houseMat.diffuseColor = new BABYLON.Color3(1, 0, 0);
@@ -789,10 +936,8 @@ class Truck {
             const houses = this.sceneManager.housesByTile[tileKey];
             if (houses) allHouses.push(...houses);
         }
-        // Add pickup house if it exists
-        if (this.sceneManager.pickupHouse) {
-            allHouses.push(this.sceneManager.pickupHouse);
-        }
+        // Add route stop houses (pickups / drop-offs)
+        allHouses.push(...this.sceneManager.getStopHouses());
         
         for (const house of allHouses) {
                 if (!house) continue;
@@ -956,6 +1101,8 @@ class Truck {
             && this._collisionCache.posX === posX
             && this._collisionCache.posZ === posZ
             && this._collisionCache.rotY === rotY) {
+            this.hitTrafficMesh = this._collisionCache.hitTrafficMesh;
+            this.touchedProps = this._collisionCache.touchedProps;
             return this._collisionCache.result;
         }
         
@@ -987,6 +1134,7 @@ class Truck {
         }
         
         let collision = false;
+        let hitTrafficMesh = null;
         const truckRadius = this.collisionRadiusXZ || 5;
         
         // Check nearby houses only (same + adjacent tiles)
@@ -1021,10 +1169,12 @@ class Truck {
             }
         }
         
-        // Check pickup house if present
-        if (!collision && this.sceneManager.pickupHouse) {
-            const house = this.sceneManager.pickupHouse;
-            if (house && !house.isDisposed?.()) {
+        // Check route stop houses (pickups / drop-offs)
+        if (!collision) {
+            const stopHouses = this.sceneManager.getStopHouses();
+            for (let h = 0; h < stopHouses.length && !collision; h++) {
+                const house = stopHouses[h];
+                if (!house || house.isDisposed?.()) continue;
                 const dx = house.position.x - posX;
                 const dz = house.position.z - posZ;
                 const houseRadius = house.collisionRadiusXZ || 10;
@@ -1040,6 +1190,20 @@ class Truck {
             }
         }
         
+        // Check traffic cars (they move, but TrafficSystem keeps their matrices current)
+        if (!collision && this.trafficSystem) {
+            const cars = this.trafficSystem.getCollidersNear(posX, posZ, truckRadius);
+            for (let c = 0; c < cars.length && !collision; c++) {
+                for (let t = 0; t < truckMeshes.length; t++) {
+                    if (truckMeshes[t].intersectsMesh(cars[c], true)) {
+                        collision = true;
+                        hitTrafficMesh = cars[c];
+                        break;
+                    }
+                }
+            }
+        }
+        
         // Check destination walls (also static)
         if (!collision && this.sceneManager.destinationWalls) {
             const walls = this.sceneManager.destinationWalls;
@@ -1056,13 +1220,30 @@ class Truck {
             }
         }
         
+        // Light street props (mailboxes, trash cans) don't block - the truck knocks them over
+        const touchedProps = [];
+        const streetFurniture = this.sceneManager.streetFurniture;
+        if (!collision && streetFurniture) {
+            const props = streetFurniture.getLightPropsNear(posX, posZ, truckRadius);
+            for (let p = 0; p < props.length; p++) {
+                for (let t = 0; t < truckMeshes.length; t++) {
+                    if (truckMeshes[t].intersectsMesh(props[p].mesh, true)) {
+                        touchedProps.push(props[p]);
+                        break;
+                    }
+                }
+            }
+        }
+        
         // Restore truck position
         this.root.position.x = oldX;
         this.root.position.z = oldZ;
         this.root.rotation.y = oldRotY;
         this.root.computeWorldMatrix(true);
         
-        this._collisionCache = { frameId, posX, posZ, rotY, result: collision };
+        this.hitTrafficMesh = hitTrafficMesh;
+        this.touchedProps = touchedProps;
+        this._collisionCache = { frameId, posX, posZ, rotY, result: collision, hitTrafficMesh, touchedProps };
         return collision;
     }
     
@@ -1092,9 +1273,7 @@ class Truck {
                 if (houses) allHouses.push(...houses);
             }
         }
-        if (this.sceneManager.pickupHouse) {
-            allHouses.push(this.sceneManager.pickupHouse);
-        }
+        allHouses.push(...this.sceneManager.getStopHouses());
         
         // Check intersection with each house using Babylon's built-in intersection
         for (const house of allHouses) {
@@ -1214,14 +1393,24 @@ class Truck {
         const prevPosZ = this.position.z;
         
         // Acceleration / Deceleration (Space = brake, W = forward, S = backward)
-        const effectiveKeys = inputEnabled ? this.keys : { w: false, a: false, s: false, d: false, space: false };
+        let effectiveKeys = inputEnabled ? this.keys : { w: false, a: false, s: false, d: false, space: false };
+        
+        // An empty tank cuts the engine: steering and brakes still work, the truck coasts to a stop
+        if (this.fuel <= 0) {
+            effectiveKeys = { ...effectiveKeys, w: false, s: false };
+        }
+        
+        // Weight and balance of the load change how the truck drives
+        const load = this.updateLoadModel();
+        const grip = this.roadGrip;
+        const brakeDeceleration = this.brakeDeceleration * load.brakeFactor * grip.brakeFactor;
         
         // Get gear-based acceleration (slower in higher gears)
-        const gearAccel = this.gearAcceleration[Math.max(0, this.currentGear)] || this.baseAcceleration;
+        const gearAccel = (this.gearAcceleration[Math.max(0, this.currentGear)] || this.baseAcceleration) * load.accelFactor;
         
         if (effectiveKeys.space || autoBraking) {
             // Spacebar = brake only (no reverse), override W/S
-            const brakeDecel = this.brakeDeceleration;
+            const brakeDecel = brakeDeceleration;
             if (this.speed > 0) {
                 this.speed = Math.max(0, this.speed - brakeDecel * dt);
             } else if (this.speed < 0) {
@@ -1230,14 +1419,14 @@ class Truck {
         } else if (effectiveKeys.w) {
             // If moving backward, brake harder first
             if (this.speed > 0) {
-                this.speed = Math.max(0, this.speed - this.brakeDeceleration * dt);
+                this.speed = Math.max(0, this.speed - brakeDeceleration * dt);
             } else {
                 this.speed -= gearAccel * dt; // Negative Z is forward (toward cab)
             }
         } else if (effectiveKeys.s) {
             // If moving forward, brake harder first
             if (this.speed < 0) {
-                this.speed = Math.min(0, this.speed + this.brakeDeceleration * dt);
+                this.speed = Math.min(0, this.speed + brakeDeceleration * dt);
             } else {
                 this.speed += gearAccel * dt;
             }
@@ -1280,6 +1469,7 @@ class Truck {
         // Check for drift conditions: braking + turning + enough speed
         const speedThreshold = this.maxSpeed * 0.3; // Need at least 30% speed to drift
         const canDrift = isBraking && isTurning && Math.abs(this.speed) > speedThreshold;
+        let sliding = false;
         
         if (Math.abs(this.speed) > 0.1) {
             const turnFactor = this.speed < 0 ? -1 : 1; // Flip turn when going backwards
@@ -1288,7 +1478,9 @@ class Truck {
             // Turn rate scales with speed - can't turn faster than you're moving
             // At 5 mph: 25% turn rate, at 20+ mph: full turn rate
             const speedTurnScale = Math.min(1, absSpeed / 20);
-            const effectiveTurnSpeed = this.turnSpeed * speedTurnScale;
+            // Slippery roads understeer: the faster, the less the front bites (full effect at 40+ mph)
+            const understeer = 1 - (1 - grip.turnFactor) * Math.min(1, absSpeed / 40);
+            const effectiveTurnSpeed = this.turnSpeed * speedTurnScale * load.turnFactor * understeer;
             
             // Scale pivot effect by speed - at low speeds, rotate more from center
             // At higher speeds, use full rear axle pivot for realistic steering
@@ -1332,6 +1524,14 @@ class Truck {
                     deltaRotation = -effectiveTurnSpeed * dt * turnFactor * inputScale;
                     this.turnRate = -effectiveTurnSpeed * turnFactor * inputScale;
                 }
+                
+                // Wet or snowy road: the rear steps out in fast turns, even off the brakes
+                if (grip.slide > 0 && absSpeed > this.slideSpeed && Math.abs(this.turnInput) > 0.01) {
+                    sliding = true;
+                    const maxSlide = 0.12 * grip.slide * Math.min(1, Math.abs(this.turnInput));
+                    const slideDir = this.turnInput > 0 ? 1 : -1;
+                    this.driftAngle = Math.max(-maxSlide, Math.min(maxSlide, this.driftAngle + slideDir * dt * 0.5 * grip.slide));
+                }
             }
             
             // Apply rotation
@@ -1363,9 +1563,9 @@ class Truck {
             }
         }
         
-        // Decay drift angle when not drifting
-        if (!this.isDrifting) {
-            this.driftAngle *= 0.9; // Gradually return to normal
+        // Decay drift angle when not drifting (slower on slippery roads)
+        if (!this.isDrifting && !sliding) {
+            this.driftAngle *= 0.9 + 0.06 * grip.slide; // Gradually return to normal
             if (Math.abs(this.driftAngle) < 0.01) this.driftAngle = 0;
         }
         
@@ -1395,6 +1595,8 @@ class Truck {
         this._truckWorldVelX = dt > 0 ? (moveX / dt) : 0;
         this._truckWorldVelZ = dt > 0 ? (moveZ / dt) : 0;
         
+        this.burnFuel(Math.abs(speedMps) * dt, dt, effectiveKeys.w || effectiveKeys.s, load);
+        
         const newPosX = this.position.x + moveX;
         const newPosZ = this.position.z + moveZ;
         
@@ -1407,8 +1609,14 @@ class Truck {
             // No collision - move normally
             this.position.x = newPosX;
             this.position.z = newPosZ;
+            for (let p = 0; p < this.touchedProps.length; p++) {
+                this.sceneManager.streetFurniture.knockOver(this.touchedProps[p], this._truckWorldVelX, this._truckWorldVelZ);
+            }
         } else {
             // Collision - just stop. No sliding, no pushing, no jerking.
+            if (this.hitTrafficMesh && this.trafficSystem) {
+                this.trafficSystem.onCarHit(this.hitTrafficMesh, Math.abs(this.speed));
+            }
             this.speed *= 0.5; // Reduce speed on impact
         }
         
@@ -1523,6 +1731,27 @@ class Truck {
         }
     }
 
+    // Fuel for one frame: distance driven (m), plus throttle time, scaled by gear and total mass
+    burnFuel(distance, dt, throttle, load) {
+        if (this.fuel <= 0) return;
+        const gearFactor = this.gearFuelFactor[Math.max(0, this.currentGear)];
+        const massFactor = load.totalMass / this.emptyMass;
+        const burn = (distance * this.fuelPerMeter + (throttle ? this.throttleFuel * dt : 0)) * gearFactor * massFactor;
+        this.fuel = Math.max(0, this.fuel - burn);
+        if (this.fuel === 0) console.log('⛽ Out of fuel');
+    }
+    
+    // Add fuel (liters), up to a full tank. Returns how much went in
+    refuel(liters) {
+        const added = Math.min(liters, this.fuelCapacity - this.fuel);
+        this.fuel += added;
+        return added;
+    }
+    
+    getFuelFraction() {
+        return this.fuel / this.fuelCapacity;
+    }
+    
     applyAutoBrake(duration = 0.6) {
         this.autoBrakeTimer = Math.max(this.autoBrakeTimer, duration);
     }
@@ -1593,13 +1822,39 @@ class Truck {
         }
     }
     
+    // Road grip from the weather: { brakeFactor, turnFactor, slide } (WeatherSystem)
+    setRoadGrip(grip) {
+        this.roadGrip = { ...grip };
+    }
+    
+    // Wet load bed (WeatherSystem): scales the friction of the bed, walls and every item on it
+    setCargoFriction(factor) {
+        this.cargoFriction = factor;
+        const current = new Map();
+        const apply = (mesh, aggregate) => {
+            const base = mesh && this.baseFriction.get(mesh.uniqueId);
+            if (!base || !aggregate || !aggregate.shape) return;
+            current.set(mesh.uniqueId, base);
+            aggregate.shape.material = { friction: base.friction * factor, restitution: base.restitution };
+        };
+        (this.truckPhysicsAggregates || []).forEach(part => apply(part.mesh, part.aggregate));
+        this.loadedItems.forEach(item => apply(item.mesh, item.mesh && item.mesh.physicsAggregate));
+        this.baseFriction = current; // Drop items that have left the truck
+    }
+    
+    // Headlights on or off (DayNightCycle); updateTailLights fades the lights toward it
+    setHeadlights(on) {
+        this.headlightsOn = on;
+    }
+    
     updateTailLights(autoBraking = false, keysOverride = null) {
         if (!this.tailLightMat) return;
         const keys = keysOverride || this.keys;
         const braking = autoBraking || keys.space || keys.s;
         
         // Cache target colors to avoid object creation every frame
-        const targetEr = braking ? 1 : 0.3;
+        // (tail lights glow brighter with the headlights on)
+        const targetEr = braking ? 1 : (this.headlightsOn ? 0.55 : 0.3);
         const targetEg = braking ? 0.1 : 0.02;
         const targetEb = braking ? 0.1 : 0.02;
         const targetDr = braking ? 0.8 : 0.4;
@@ -1619,6 +1874,18 @@ class Truck {
         df.r += (targetDr - df.r) * t;
         df.g += (targetDg - df.g) * t;
         df.b += (targetDb - df.b) * t;
+        
+        // Light cast on the road: beams ahead, red glow behind
+        if (this.headlight) {
+            const on = this.headlightsOn;
+            this.headlight.intensity += ((on ? 3 : 0) - this.headlight.intensity) * t;
+            this.brakeLight.intensity += ((on ? (braking ? 1.6 : 0.3) : 0) - this.brakeLight.intensity) * t;
+            const lamp = on ? 1 : 0.35;
+            const em = this.headlightMat.emissiveColor;
+            em.r += (lamp - em.r) * t;
+            em.g += (lamp - em.g) * t;
+            em.b += (lamp * 0.9 - em.b) * t;
+        }
     }
     
     addLoadedItem(item) {
@@ -1661,6 +1928,11 @@ class Truck {
         this.loadedItems.push(item);
     }
 
+    removeLoadedItem(item) {
+        const index = this.loadedItems.indexOf(item);
+        if (index !== -1) this.loadedItems.splice(index, 1);
+    }
+
     restoreItemMotionType(item, body, nowMs) {
         if (!item || !body || !body.setMotionType) return;
         if (!item._restoreMotionAt || nowMs < item._restoreMotionAt) return;
@@ -1718,6 +1990,10 @@ class Truck {
         const truckVelX = dt > 0 ? (moveX / dt) : 0;
         const truckVelZ = dt > 0 ? (moveZ / dt) : 0;
         
+        // Braking shock and stacked weight for damage tracking
+        const damage = this.damageModel;
+        if (damage) damage.beginFrame(this.loadedItems, dt, this.prevSpeed, this.speed);
+        
         let riskLines = [];
         const diagNowMs = performance.now();
         const logIntervalMs = 1200;
@@ -1729,6 +2005,8 @@ class Truck {
 
             // PARENTED ITEMS: Skip all physics processing - they move with truck automatically!
             if (item.isParented && item.mesh.parent === this.root) {
+                // Still shaken by hard stops and squashed by what's stacked on them
+                if (damage) damage.recordLoadStress(item, dt);
                 continue; // Item is parented to truck.root, no updates needed
             }
 
@@ -1794,10 +2072,11 @@ class Truck {
                     {
                         mass: params.mass,
                         restitution: params.restitution,
-                        friction: params.friction
+                        friction: params.friction * this.cargoFriction
                     },
                     this.scene
                 );
+                this.baseFriction.set(item.mesh.uniqueId, { friction: params.friction, restitution: params.restitution });
                 item.mesh.physicsAggregate = aggregate;
 
                 if (aggregate.body) {
@@ -1938,6 +2217,23 @@ class Truck {
             const localVec = BABYLON.Vector3.TransformCoordinates(worldVec, invMatrix);
             const localX = localVec.x;
             const localZ = localVec.z;
+            
+            // Impacts: jump in velocity relative to the truck since last frame (after the physics step)
+            if (damage && body && !item.isFallen && body.getLinearVelocity) {
+                const vel = body.getLinearVelocity();
+                if (vel) {
+                    const relX = vel.x - truckVelX;
+                    const relZ = vel.z - truckVelZ;
+                    if (item._lastRelVel && !item._justBecameDynamic) {
+                        const dvx = relX - item._lastRelVel.x;
+                        const dvy = vel.y - item._lastRelVel.y;
+                        const dvz = relZ - item._lastRelVel.z;
+                        damage.recordImpact(item, Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz));
+                    }
+                    item._lastRelVel = { x: relX, y: vel.y, z: relZ };
+                }
+                damage.recordLoadStress(item, dt);
+            }
 
             if (body && item.dampingBoostUntil && itemsNowMs < item.dampingBoostUntil && !isTruckMoving) {
                 const boostedLinear = Math.max(item.baseLinearDamping || 3.0, 12.0);
@@ -2051,6 +2347,12 @@ class Truck {
                 }
             }
             
+            // Remember the velocity the item is left with, so our own damping/capping isn't read as an impact
+            if (damage && body && item._lastRelVel) {
+                const vel = body.getLinearVelocity();
+                if (vel) item._lastRelVel = { x: vel.x - truckVelX, y: vel.y, z: vel.z - truckVelZ };
+            }
+            
             // Check if item has fallen out of truck
             if (!item.isFallen) {
                 const itemHalfX = item.size ? item.size.x / 2 : 0.25;
@@ -2592,9 +2894,10 @@ class Truck {
                 const aggregate = new BABYLON.PhysicsAggregate(
                     mesh, 
                     BABYLON.PhysicsShapeType.BOX,
-                    { mass: 0, friction, restitution },
+                    { mass: 0, friction: friction * this.cargoFriction, restitution },
                     this.scene
                 );
+                this.baseFriction.set(mesh.uniqueId, { friction, restitution });
             
                 // Use KINEMATIC bodies for moving truck walls to avoid
                 // injecting large impulses into dynamic cargo items.
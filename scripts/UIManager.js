@@ -8,6 +8,7 @@ class UIManager {
         this.resultsVisible = false;
         this.resultsWin = false;
         this.modalBlocking = false;
+        this.bestLoadView = false;
         this.pendingMenuAction = null;
         this.startScreenShownAt = 0; // Timestamp when start screen was shown
     }
@@ -16,15 +17,62 @@ class UIManager {
         this.elements = {
             spaceScore: document.getElementById('space-score'),
             spaceVolume: document.getElementById('space-volume'),
+            balanceDisplay: document.getElementById('balance-display'),
+            balanceZone: document.getElementById('balance-zone'),
+            balanceMarker: document.getElementById('balance-marker'),
+            balanceDetail: document.getElementById('balance-detail'),
             currentLevel: document.getElementById('current-level'),
+            levelTime: document.getElementById('level-time'),
+            levelPar: document.getElementById('level-par'),
             queueItems: document.getElementById('queue-items'),
+            queueTitle: document.querySelector('#pickup-item-panel .queue-title'),
             btnMenu: document.getElementById('btn-menu'),
             btnMusic: document.getElementById('btn-music'),
+            btnHint: document.getElementById('btn-hint'),
+            btnSnap: document.getElementById('btn-snap'),
+            btnStrap: document.getElementById('btn-strap'),
+            strapCount: document.getElementById('strap-count'),
+            btnUndo: document.getElementById('btn-undo'),
+            btnRedo: document.getElementById('btn-redo'),
+            hintCount: document.getElementById('hint-count'),
             btnStart: document.getElementById('btn-start'),
+            btnDaily: document.getElementById('btn-daily'),
             resultsModal: document.getElementById('results-modal'),
             resultsTitle: document.querySelector('.results-title'),
             menuModal: document.getElementById('menu-modal'),
             resultEfficiency: document.getElementById('result-efficiency'),
+            resultTime: document.getElementById('result-time'),
+            resultPar: document.getElementById('result-par'),
+            resultScore: document.getElementById('result-score'),
+            resultsNote: document.getElementById('results-note'),
+            resultsBreakdown: document.getElementById('results-breakdown'),
+            resultOccupied: document.getElementById('result-occupied'),
+            resultVoids: document.getElementById('result-voids'),
+            resultFloor: document.getElementById('result-floor'),
+            resultStack: document.getElementById('result-stack'),
+            resultHintsRow: document.getElementById('result-hints-row'),
+            resultHints: document.getElementById('result-hints'),
+            resultDamageRow: document.getElementById('result-damage-row'),
+            resultDamage: document.getElementById('result-damage'),
+            resultCrashesRow: document.getElementById('result-crashes-row'),
+            resultCrashes: document.getElementById('result-crashes'),
+            resultUnloadRow: document.getElementById('result-unload-row'),
+            resultUnload: document.getElementById('result-unload'),
+            unloadPanel: document.getElementById('unload-panel'),
+            unloadStatus: document.getElementById('unload-status'),
+            btnUnloadNext: document.getElementById('btn-unload-next'),
+            navPrompt: document.getElementById('nav-prompt'),
+            navIcon: document.getElementById('nav-icon'),
+            navAction: document.getElementById('nav-action'),
+            navDetail: document.getElementById('nav-detail'),
+            fuelGauge: document.getElementById('fuel-gauge'),
+            fuelFill: document.getElementById('fuel-fill'),
+            fuelPanel: document.getElementById('fuel-panel'),
+            fuelStatus: document.getElementById('fuel-status'),
+            btnRefuel: document.getElementById('btn-refuel'),
+            resultsBest: document.getElementById('results-best'),
+            resultBest: document.getElementById('result-best'),
+            btnViewBest: document.getElementById('btn-view-best'),
             btnNextLevel: document.getElementById('btn-next-level'),
             btnRetry: document.getElementById('btn-retry'),
             menuResume: document.getElementById('menu-resume'),
@@ -32,6 +80,7 @@ class UIManager {
             menuQuit: document.getElementById('menu-quit'),
             menuPhysics: document.getElementById('menu-physics'),
             physicsStatus: document.getElementById('physics-status'),
+            menuSeed: document.getElementById('menu-seed'),
             uiOverlay: document.getElementById('ui-overlay'),
             startScreen: document.getElementById('start-screen'),
             loadingScreen: document.getElementById('loading-screen'),
@@ -75,13 +124,32 @@ class UIManager {
             const level = this.game.highScoreManager.getSelectedLevel();
             this.game.startAtLevel(level);
         });
+        this.elements.btnDaily?.addEventListener('click', () => {
+            // Daily scores are per player, so a profile is required here too
+            if (!this.game.highScoreManager.playerId) {
+                this.game.highScoreManager.updateHint('Please select or create a player first', false);
+                return;
+            }
+            this.game.startDailyChallenge();
+        });
         this.elements.btnMenu?.addEventListener('click', () => this.showMenu());
         this.elements.btnMusic?.addEventListener('click', () => this.toggleMusic());
+        this.elements.btnHint?.addEventListener('click', () => this.game.requestHint());
+        this.elements.btnSnap?.addEventListener('click', () => {
+            this.game.itemManager?.toggleSnap();
+            this.game.inputSystem?.refreshPreview();
+        });
+        this.elements.btnStrap?.addEventListener('click', () => this.game.tieDownStraps?.toggle());
+        this.elements.btnUnloadNext?.addEventListener('click', () => this.game.unloadNext());
+        this.elements.btnRefuel?.addEventListener('click', () => this.game.toggleRefuel());
+        this.elements.btnUndo?.addEventListener('click', () => this.game.placementHistory?.undo());
+        this.elements.btnRedo?.addEventListener('click', () => this.game.placementHistory?.redo());
         // Note: btnNextLevel and btnRetry handlers are set dynamically in showResults()
         this.elements.menuResume?.addEventListener('click', () => { this.hideMenu(); this.game.resume(); });
         this.elements.menuRestart?.addEventListener('click', () => { this.hideMenu(); this.game.restartLevel(); });
         this.elements.menuQuit?.addEventListener('click', () => { this.hideMenu(); this.game.quit(); });
         this.elements.menuPhysics?.addEventListener('click', () => { this.togglePhysicsMode(); });
+        this.elements.btnViewBest?.addEventListener('click', () => this.setBestLoadView(!this.bestLoadView));
         
         // Keyboard shortcut: M to toggle music
         window.addEventListener('keydown', (e) => {
@@ -103,6 +171,83 @@ class UIManager {
         });
     }
     
+    // Hint button: remaining count, usable while holding an item at the pickup
+    updateHintButton() {
+        if (!this.elements.btnHint) return;
+        const game = this.game;
+        const left = Math.max(0, game.hintsPerLevel - (game.score.hintsUsed || 0));
+        const usable = left > 0 && game.isAtPickup && !!game.itemManager?.previewItemDef && !game.itemManager.hintMesh;
+        if (this._hintsLeft !== left) {
+            this._hintsLeft = left;
+            this.elements.hintCount.textContent = left;
+        }
+        if (this.elements.btnHint.disabled === usable) {
+            this.elements.btnHint.disabled = !usable;
+        }
+    }
+    
+    // Balance bar: front-axle share of the weight (front-heavy to the left), the ok band, payload
+    updateBalance() {
+        const truck = this.game.truck;
+        const load = truck?.loadModel;
+        if (!load || !this.elements.balanceDisplay) return;
+        const range = truck.frontShareRange;
+        const side = load.leftShare - 0.5;
+        let detail = `F ${Math.round(load.frontShare * 100)}% · ${Math.round(load.payload)}/${truck.payloadCapacity} kg`;
+        if (load.payload === 0) detail = 'Empty';
+        else if (load.overweight) detail = `Overweight ${Math.round(load.payload)}/${truck.payloadCapacity} kg`;
+        else if (Math.abs(side) > truck.maxSideOffset) detail = side > 0 ? 'Leans left' : 'Leans right';
+        
+        const key = `${detail}|${load.balance}|${load.frontShare.toFixed(3)}`;
+        if (key === this._balanceKey) return;
+        this._balanceKey = key;
+        
+        // Bar spans 80% (front-heavy) to 20% front share
+        const toPct = share => Math.max(0, Math.min(100, (0.8 - share) / 0.6 * 100));
+        this.elements.balanceZone.style.left = `${toPct(range.max)}%`;
+        this.elements.balanceZone.style.width = `${toPct(range.min) - toPct(range.max)}%`;
+        this.elements.balanceMarker.style.left = `${toPct(load.frontShare)}%`;
+        this.elements.balanceDetail.textContent = detail;
+        this.elements.balanceDisplay.classList.toggle('balance-warn', load.balance === 'warn');
+        this.elements.balanceDisplay.classList.toggle('balance-bad', load.balance === 'bad');
+    }
+    
+    // Snap button shows whether snap mode is on
+    updateSnapButton() {
+        const enabled = !!this.game.itemManager?.snapEnabled;
+        if (this.elements.btnSnap && this._snapEnabled !== enabled) {
+            this._snapEnabled = enabled;
+            this.elements.btnSnap.classList.toggle('active', enabled);
+        }
+    }
+    
+    // Strap button: straps left, usable at the pickup in physics mode, highlighted while the tool is on
+    updateStrapButton() {
+        const straps = this.game.tieDownStraps;
+        if (!straps || !this.elements.btnStrap) return;
+        const left = straps.getRemaining();
+        const usable = straps.active || straps.canUse();
+        if (this._strapsLeft !== left) {
+            this._strapsLeft = left;
+            this.elements.strapCount.textContent = left;
+        }
+        if (this.elements.btnStrap.disabled === usable) this.elements.btnStrap.disabled = !usable;
+        if (this._strapActive !== straps.active) {
+            this._strapActive = straps.active;
+            this.elements.btnStrap.classList.toggle('active', straps.active);
+        }
+    }
+    
+    // Undo/redo buttons follow the placement history
+    updateHistoryButtons() {
+        const history = this.game.placementHistory;
+        if (!history || !this.elements.btnUndo || !this.elements.btnRedo) return;
+        const canUndo = history.canUndo();
+        const canRedo = history.canRedo();
+        if (this.elements.btnUndo.disabled === canUndo) this.elements.btnUndo.disabled = !canUndo;
+        if (this.elements.btnRedo.disabled === canRedo) this.elements.btnRedo.disabled = !canRedo;
+    }
+    
     toggleMusic() {
         const isPlaying = this.game.audioManager.toggleSoundtrack();
         // Update button appearance
@@ -152,6 +297,12 @@ class UIManager {
             item.classList.toggle('holding', !!isHolding);
         });
         this.updateLevel(this.game.currentLevel);
+        this.updateTimer();
+        this.updateHintButton();
+        this.updateHistoryButtons();
+        this.updateSnapButton();
+        this.updateStrapButton();
+        this.updateBalance();
         
         // Update minimap
         this.updateMinimap();
@@ -163,6 +314,25 @@ class UIManager {
         }
     }
     
+    // Level clock against par (text only changes once a second)
+    updateTimer() {
+        if (!this.elements.levelTime) return;
+        const text = UIManager.formatTime(this.game.getLevelTime());
+        const parText = `par ${UIManager.formatTime(this.game.parTime)}`;
+        if (text === this.timerText && parText === this.parText) return;
+        this.timerText = text;
+        this.parText = parText;
+        this.elements.levelTime.textContent = text;
+        this.elements.levelTime.classList.toggle('over-par', this.game.getLevelTime() > this.game.parTime);
+        this.elements.levelPar.textContent = parText;
+    }
+    
+    // Seconds as m:ss
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+    
     updateMinimap() {
         if (!this.minimapCtx || !this.game.truck || !this.game.destination) return;
         
@@ -178,10 +348,18 @@ class UIManager {
         const destX = this.game.destination.x;
         const destZ = this.game.destination.z;
         
-        // Calculate distance
-        const dx = destX - truckX;
-        const dz = destZ - truckZ;
-        const distance = Math.sqrt(dx * dx + dz * dz);
+        // Route stops: pickups orange, drop-offs purple, visited ones grey
+        const route = this.game.route;
+        const stops = route ? route.stops.filter(stop => stop.type !== 'final') : [];
+        const nextStop = route ? route.getNextStop(truckX, truckZ) : null;
+        const stopColors = { pickup: '255, 153, 51', dropoff: '168, 85, 247' };
+        
+        // Calculate distance (to the next stop on multi-stop routes; along the roads when navigating)
+        const navigation = this.game.navigation;
+        const target = route && route.isMultiStop() && nextStop ? nextStop : this.game.destination;
+        const dx = target.x - truckX;
+        const dz = target.z - truckZ;
+        const distance = navigation ? navigation.path.distance : Math.sqrt(dx * dx + dz * dz);
         
         // Update distance display
         if (this.elements.minimapDistance) {
@@ -218,18 +396,23 @@ class UIManager {
         const roadExtent = mapHalf * 1.5;
         ctx.strokeStyle = '#3a3a40';
         ctx.lineWidth = 3;
-        for (let i = -14; i <= 14; i++) {
-            const x = -(i * gridSize) + gridOffsetX;
-            const y = (i * gridSize) - gridOffsetZ;
-            ctx.beginPath();
-            ctx.moveTo(x, -roadExtent);
-            ctx.lineTo(x, roadExtent);
-            ctx.stroke();
-            
-            ctx.beginPath();
-            ctx.moveTo(-roadExtent, y);
-            ctx.lineTo(roadExtent, y);
-            ctx.stroke();
+        const network = this.game.sceneManager ? this.game.sceneManager.roadNetwork : null;
+        if (network && network.layout !== 'grid') {
+            this.drawMinimapRoads(ctx, network, truckX, truckZ, roadExtent);
+        } else {
+            for (let i = -14; i <= 14; i++) {
+                const x = -(i * gridSize) + gridOffsetX;
+                const y = (i * gridSize) - gridOffsetZ;
+                ctx.beginPath();
+                ctx.moveTo(x, -roadExtent);
+                ctx.lineTo(x, roadExtent);
+                ctx.stroke();
+                
+                ctx.beginPath();
+                ctx.moveTo(-roadExtent, y);
+                ctx.lineTo(roadExtent, y);
+                ctx.stroke();
+            }
         }
         
         // Calculate destination position on minimap (relative to truck, in rotated space)
@@ -238,62 +421,22 @@ class UIManager {
         let destMapX = -relDestX;
         let destMapY = relDestZ;
         
-        // Draw direction line to destination (inside clipped area), snapped to roads
+        // Direction line to a stop (inside clipped area), snapped to roads
         const snapToRoad = (v) => Math.round(v / 50) * 50;
         const snappedTruckX = snapToRoad(truckX);
         const snappedTruckZ = snapToRoad(truckZ);
-        const snappedDestX = snapToRoad(destX);
-        const snappedDestZ = snapToRoad(destZ);
-
-        const routePoints = [
-            { x: truckX, z: truckZ }, // start at truck
-            { x: snappedTruckX, z: snappedTruckZ }, // snap to nearest road
-            { x: snappedDestX, z: snappedTruckZ }, // follow road grid
-            { x: snappedDestX, z: snappedDestZ } // destination road
-        ];
-
-        ctx.strokeStyle = 'rgba(34, 197, 94, 0.5)';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        routePoints.forEach((p, idx) => {
-            const relX = (p.x - truckX) * this.minimapScale;
-            const relZ = (p.z - truckZ) * this.minimapScale;
-            const mapX = -relX;
-            const mapY = relZ;
-            if (idx === 0) {
-                ctx.moveTo(mapX, mapY);
-            } else {
-                ctx.lineTo(mapX, mapY);
-            }
-        });
-        ctx.stroke();
-        
-        // Calculate pickup position (in rotated space)
-        let pickMapX = 0, pickMapY = 0;
-        let hasPickup = false;
-        if (this.game.pickup) {
-            hasPickup = true;
-            const pickX = this.game.pickup.x;
-            const pickZ = this.game.pickup.z;
-            const relPickX = (pickX - truckX) * this.minimapScale;
-            const relPickZ = (pickZ - truckZ) * this.minimapScale;
-            pickMapX = -relPickX;
-            pickMapY = relPickZ;
-            
-            // Direction line to pickup (inside clipped area), snapped to roads
-            const snappedPickX = snapToRoad(pickX);
-            const snappedPickZ = snapToRoad(pickZ);
-            const pickupRoute = [
-                { x: truckX, z: truckZ },
-                { x: snappedTruckX, z: snappedTruckZ },
-                { x: snappedPickX, z: snappedTruckZ },
-                { x: snappedPickX, z: snappedPickZ }
+        const drawRouteLine = (x, z, color) => {
+            const routePoints = [
+                { x: truckX, z: truckZ }, // start at truck
+                { x: snappedTruckX, z: snappedTruckZ }, // snap to nearest road
+                { x: snapToRoad(x), z: snappedTruckZ }, // follow road grid
+                { x: snapToRoad(x), z: snapToRoad(z) } // stop road
             ];
-
-            ctx.strokeStyle = 'rgba(255, 153, 51, 0.5)';
+            
+            ctx.strokeStyle = `rgba(${color}, 0.5)`;
             ctx.lineWidth = 2;
             ctx.beginPath();
-            pickupRoute.forEach((p, idx) => {
+            routePoints.forEach((p, idx) => {
                 const relX = (p.x - truckX) * this.minimapScale;
                 const relZ = (p.z - truckZ) * this.minimapScale;
                 const mapX = -relX;
@@ -305,6 +448,30 @@ class UIManager {
                 }
             });
             ctx.stroke();
+        };
+        
+        // The routed path to the stop being navigated to (RoadRouter), and a rough line on to the landfill
+        const navStop = navigation ? navigation.stop : null;
+        if (!navStop || navStop.type !== 'final') {
+            drawRouteLine(destX, destZ, '34, 197, 94');
+        }
+        if (navigation) {
+            ctx.strokeStyle = `rgba(${stopColors[navStop.type] || '34, 197, 94'}, 0.9)`;
+            ctx.lineWidth = 3;
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            navigation.path.points.forEach((p, idx) => {
+                const mapX = -(p.x - truckX) * this.minimapScale;
+                const mapY = (p.z - truckZ) * this.minimapScale;
+                if (idx === 0) {
+                    ctx.moveTo(mapX, mapY);
+                } else {
+                    ctx.lineTo(mapX, mapY);
+                }
+            });
+            ctx.stroke();
+        } else if (nextStop && stopColors[nextStop.type]) {
+            drawRouteLine(nextStop.x, nextStop.z, stopColors[nextStop.type]);
         }
         
         ctx.restore();
@@ -353,25 +520,63 @@ class UIManager {
         pinsCtx.lineWidth = 2;
         pinsCtx.stroke();
         
-        // Draw pickup marker (orange)
-        if (hasPickup) {
-            let pickDx = pickMapX * cosRot - pickMapY * sinRot;
-            let pickDy = pickMapX * sinRot + pickMapY * cosRot;
-            const clampedPick = clampToPerimeter(pickDx, pickDy);
-            const pickScreenX = center + clampedPick.x;
-            const pickScreenY = center + clampedPick.y;
+        // Draw stop markers - stops the truck can head to now pulse
+        stops.forEach(stop => {
+            const mapX = -(stop.x - truckX) * this.minimapScale;
+            const mapY = (stop.z - truckZ) * this.minimapScale;
+            const clamped = clampToPerimeter(mapX * cosRot - mapY * sinRot, mapX * sinRot + mapY * cosRot);
+            const stopX = center + clamped.x;
+            const stopY = center + clamped.y;
+            const color = stop.done ? '140, 140, 150' : stopColors[stop.type];
             
+            if (stop.done) {
+                pinsCtx.beginPath();
+                pinsCtx.arc(stopX, stopY, 3, 0, Math.PI * 2);
+                pinsCtx.fillStyle = `rgb(${color})`;
+                pinsCtx.fill();
+                return;
+            }
             pinsCtx.beginPath();
-            pinsCtx.arc(pickScreenX, pickScreenY, 8, 0, Math.PI * 2);
-            pinsCtx.fillStyle = 'rgba(255, 153, 51, 0.3)';
+            pinsCtx.arc(stopX, stopY, 8, 0, Math.PI * 2);
+            pinsCtx.fillStyle = `rgba(${color}, 0.3)`;
             pinsCtx.fill();
             pinsCtx.beginPath();
-            pinsCtx.arc(pickScreenX, pickScreenY, 5, 0, Math.PI * 2);
-            pinsCtx.fillStyle = '#ff9933';
+            pinsCtx.arc(stopX, stopY, 5, 0, Math.PI * 2);
+            pinsCtx.fillStyle = `rgb(${color})`;
             pinsCtx.fill();
+            if (!route.isAvailable(stop)) return;
+            pinsCtx.beginPath();
+            pinsCtx.arc(stopX, stopY, 8 + pulse * 4, 0, Math.PI * 2);
+            pinsCtx.strokeStyle = `rgba(${color}, ${0.5 - pulse * 0.3})`;
+            pinsCtx.lineWidth = 2;
+            pinsCtx.stroke();
+        });
+        
+        // Gas stations in view (small yellow squares); when fuel is low the nearest one is
+        // pinned to the edge and pulses
+        const toScreen = (x, z) => {
+            const mapX = -(x - truckX) * this.minimapScale;
+            const mapY = (z - truckZ) * this.minimapScale;
+            return { x: mapX * cosRot - mapY * sinRot, y: mapX * sinRot + mapY * cosRot };
+        };
+        const viewRadius = mapHalf * Math.SQRT2 / this.minimapScale;
+        this.game.sceneManager.getGasStationsNear(truckX, truckZ, viewRadius).forEach(station => {
+            const pos = toScreen(station.x, station.z);
+            if (Math.abs(pos.x) > mapHalf || Math.abs(pos.y) > mapHalf) return;
+            pinsCtx.fillStyle = '#facc15';
+            pinsCtx.fillRect(center + pos.x - 3, center + pos.y - 3, 6, 6);
+        });
+        const nearestStation = this.game.nearestGasStation;
+        if (nearestStation) {
+            const pos = toScreen(nearestStation.x, nearestStation.z);
+            const clamped = clampToPerimeter(pos.x, pos.y);
+            const stationX = center + clamped.x;
+            const stationY = center + clamped.y;
+            pinsCtx.fillStyle = '#facc15';
+            pinsCtx.fillRect(stationX - 4, stationY - 4, 8, 8);
             pinsCtx.beginPath();
-            pinsCtx.arc(pickScreenX, pickScreenY, 8 + pulse * 4, 0, Math.PI * 2);
-            pinsCtx.strokeStyle = `rgba(255, 153, 51, ${0.5 - pulse * 0.3})`;
+            pinsCtx.arc(stationX, stationY, 8 + pulse * 4, 0, Math.PI * 2);
+            pinsCtx.strokeStyle = `rgba(250, 204, 21, ${0.5 - pulse * 0.3})`;
             pinsCtx.lineWidth = 2;
             pinsCtx.stroke();
         }
@@ -412,12 +617,91 @@ class UIManager {
         pinsCtx.textBaseline = 'middle';
         pinsCtx.fillText('N', compassX, compassY);
     }
+
+    // The RoadNetwork's streets within extent (px) of the truck, curved corners as arcs
+    drawMinimapRoads(ctx, network, truckX, truckZ, extent) {
+        const size = network.tileSize;
+        const half = size / 2;
+        const toMap = (x, z) => ({ x: -(x - truckX) * this.minimapScale, y: (z - truckZ) * this.minimapScale });
+        const reach = Math.ceil(extent / (size * this.minimapScale)) + 1;
+        const baseX = Math.round(truckX / size);
+        const baseZ = Math.round(truckZ / size);
+        ctx.beginPath();
+        for (let gx = baseX - reach; gx <= baseX + reach; gx++) {
+            for (let gz = baseZ - reach; gz <= baseZ + reach; gz++) {
+                const tile = network.getTile(gx, gz);
+                const nodeX = gx * size;
+                const nodeZ = gz * size;
+                const node = toMap(nodeX, nodeZ);
+                if (tile.bend) {
+                    const [a, b] = tile.bend.dirs.map(dir => Coords.DIRECTIONS[dir]);
+                    const radius = network.bendRadius;
+                    const edgeA = toMap(nodeX + a.x * half, nodeZ + a.z * half);
+                    const startA = toMap(nodeX + a.x * radius, nodeZ + a.z * radius);
+                    const endB = toMap(nodeX + b.x * radius, nodeZ + b.z * radius);
+                    const edgeB = toMap(nodeX + b.x * half, nodeZ + b.z * half);
+                    ctx.moveTo(edgeA.x, edgeA.y);
+                    ctx.lineTo(startA.x, startA.y);
+                    ctx.arcTo(node.x, node.y, endB.x, endB.y, radius * this.minimapScale);
+                    ctx.lineTo(edgeB.x, edgeB.y);
+                    continue;
+                }
+                tile.dirs.forEach(dir => {
+                    const d = Coords.DIRECTIONS[dir];
+                    const end = toMap(nodeX + d.x * half, nodeZ + d.z * half);
+                    ctx.moveTo(node.x, node.y);
+                    ctx.lineTo(end.x, end.y);
+                });
+            }
+        }
+        ctx.stroke();
+    }
     
-    populateItemQueue(items) {
+    // Route levels list the items under each stop (route: LevelManager level route, or null)
+    populateItemQueue(items, route = null) {
         if (!this.elements.queueItems) return;
         
         this.elements.queueItems.innerHTML = '';
+        const isRoute = !!route && route.stops.length > 1;
+        if (this.elements.queueTitle) {
+            this.elements.queueTitle.textContent = isRoute ? 'Route' : 'Pickup Items';
+        }
+        if (!isRoute) {
+            this.appendItemGroups(items);
+            return;
+        }
         
+        route.stops.forEach((stop, index) => {
+            const stopItems = items.filter(item => stop.itemIds.includes(item.id));
+            const el = document.createElement('div');
+            el.className = `queue-stop ${stop.type}`;
+            el.dataset.stopIndex = index;
+            const icon = stop.type === 'pickup' ? '📦' : '📤';
+            const detail = stop.type === 'pickup' ? '' : `unload ${stopItems.length} item${stopItems.length === 1 ? '' : 's'}`;
+            el.innerHTML = `
+                <span class="queue-stop-name">${icon} ${stop.name}</span>
+                <span class="queue-stop-detail">${detail}</span>
+            `;
+            if (stop.type !== 'pickup') {
+                el.title = stopItems.map(item => item.name).join(', ');
+            }
+            this.elements.queueItems.appendChild(el);
+            if (stop.type === 'pickup') this.appendItemGroups(stopItems);
+        });
+    }
+    
+    // Stop headers: dim visited stops, highlight the ones the truck can head to now
+    updateRouteManifest() {
+        const route = this.game.route;
+        const headers = this.elements.queueItems?.querySelectorAll('.queue-stop') || [];
+        headers.forEach(el => {
+            const stop = route && route.stops[parseInt(el.dataset.stopIndex)];
+            el.classList.toggle('done', !!stop && stop.done);
+            el.classList.toggle('current', !!stop && route.isAvailable(stop));
+        });
+    }
+    
+    appendItemGroups(items) {
         // Group items by name and count them
         const grouped = {};
         items.forEach(item => {
@@ -499,10 +783,40 @@ class UIManager {
         });
     }
     
+    // Inverse of markItemPlaced - an item was taken back out of the truck
+    markItemUnplaced(itemId) {
+        const items = this.elements.queueItems.querySelectorAll('.queue-item');
+        items.forEach(item => {
+            const itemIds = JSON.parse(item.dataset.itemIds || '[]');
+            if (!itemIds.includes(itemId)) return;
+            
+            const totalCount = parseInt(item.dataset.totalCount) || 1;
+            const placedCount = Math.max(0, (parseInt(item.dataset.placedCount) || 0) - 1);
+            item.dataset.placedCount = placedCount;
+            
+            const countSpan = item.querySelector('.item-count');
+            item.classList.remove('placed');
+            item.classList.toggle('partial', placedCount > 0);
+            if (countSpan) {
+                countSpan.textContent = placedCount > 0 ? `(${placedCount}/${totalCount})` : `(x${totalCount})`;
+            }
+        });
+    }
+    
     showMenu() {
         this.modalBlocking = true;
         this.elements.menuModal?.classList.remove('hidden');
         this.updatePhysicsStatus(); // Refresh physics toggle display
+        this.updateSeedDisplay();
+    }
+    
+    // Seed + level, so players can quote it in bug reports
+    updateSeedDisplay() {
+        if (this.elements.menuSeed && this.game.random) {
+            const daily = this.game.dailyChallenge;
+            const prefix = daily ? `Daily Load ${daily.date} · ` : '';
+            this.elements.menuSeed.textContent = `${prefix}Seed ${this.game.random.seed} · Level ${this.game.currentLevel}`;
+        }
     }
     
     hideMenu() {
@@ -592,10 +906,19 @@ class UIManager {
                 ? efficiency.toString()
                 : efficiency.toFixed(2);
             this.elements.resultEfficiency.textContent = `${efficiencyText}%`;
+            this.updatePackingBreakdown(score.packing);
+            this.updateHintCost(score.hintsUsed || 0);
+            this.updateDamageCost(score.damage);
+            this.updateCrashCost(score.crashes || 0);
+            this.updateUnloadCost(score);
+            this.updateTimeScore(score);
+            this.updateBestLoad(score);
+            this.setResultsNote('');
             
-            // Show/hide next level button based on win
+            // Show/hide next level button based on win (the Daily Load ends after one load)
             if (this.elements.btnNextLevel) {
-                this.elements.btnNextLevel.textContent = isWin ? 'Next Load' : 'Try Again';
+                const winText = this.game.dailyChallenge ? 'Done' : 'Next Load';
+                this.elements.btnNextLevel.textContent = isWin ? winText : 'Try Again';
                 this.elements.btnNextLevel.onclick = () => {
                     this.hideResults();
                     if (isWin) {
@@ -615,7 +938,165 @@ class UIManager {
         }
     }
     
+    // Packing analysis rows under the headline efficiency (see PackingAnalyzer)
+    updatePackingBreakdown(packing) {
+        if (!this.elements.resultsBreakdown) return;
+        this.elements.resultsBreakdown.classList.toggle('hidden', !packing);
+        if (!packing) return;
+        const pct = (fraction) => `${Math.round(fraction * 100)}%`;
+        this.elements.resultOccupied.textContent = pct(packing.occupiedFraction);
+        this.elements.resultVoids.textContent = pct(packing.voidFraction);
+        this.elements.resultFloor.textContent = pct(packing.floorCoverage);
+        this.elements.resultStack.textContent = `${packing.stackHeight.toFixed(1)} / ${packing.cargoHeight.toFixed(1)} m`;
+    }
+    
+    // Hints taken this level and what they cost
+    updateHintCost(hintsUsed) {
+        if (!this.elements.resultHintsRow) return;
+        this.elements.resultHintsRow.classList.toggle('hidden', hintsUsed === 0);
+        this.elements.resultHints.textContent = `${hintsUsed} (−${hintsUsed * this.game.hintPenalty}%)`;
+    }
+    
+    // Damaged items and what they cost (item names with damage % in the tooltip)
+    updateDamageCost(damage) {
+        if (!this.elements.resultDamageRow) return;
+        const items = damage ? damage.items : [];
+        this.elements.resultDamageRow.classList.toggle('hidden', items.length === 0);
+        if (items.length === 0) return;
+        const noun = items.length === 1 ? 'item' : 'items';
+        this.elements.resultDamage.textContent = `${items.length} ${noun} (−${damage.cost}%)`;
+        this.elements.resultDamageRow.title = items
+            .map(item => `${item.name}: ${Math.round(item.damage * 100)}%`)
+            .join('\n');
+    }
+    
+    // Cars hit this level and what they cost
+    updateCrashCost(crashes) {
+        if (!this.elements.resultCrashesRow) return;
+        this.elements.resultCrashesRow.classList.toggle('hidden', crashes === 0);
+        this.elements.resultCrashes.textContent = `${crashes} (−${crashes * this.game.crashPenalty}%)`;
+    }
+    
+    // Level time against par and the combined score
+    updateTimeScore(score) {
+        if (!this.elements.resultTime) return;
+        const seconds = score.timeSeconds || 0;
+        this.elements.resultTime.textContent = UIManager.formatTime(seconds);
+        this.elements.resultTime.classList.toggle('over-par', seconds > score.parSeconds);
+        this.elements.resultPar.textContent = `Time (par ${UIManager.formatTime(score.parSeconds)})`;
+        this.elements.resultScore.textContent = score.total || 0;
+    }
+    
+    // Time spent pulling items out the back, and how many had to be shifted out of the way
+    updateUnloadCost(score) {
+        if (!this.elements.resultUnloadRow) return;
+        const seconds = score.unloadSeconds || 0;
+        this.elements.resultUnloadRow.classList.toggle('hidden', seconds === 0);
+        const blocked = score.unloadBlocked || 0;
+        this.elements.resultUnload.textContent = blocked > 0 ? `${seconds}s (${blocked} in the way)` : `${seconds}s`;
+    }
+    
+    // Unload prompt: what's left at this stop and the time so far
+    showUnloadPanel(phase) {
+        if (!this.elements.unloadPanel) return;
+        const left = phase.ids.length;
+        const blocked = phase.blocked > 0 ? ` · ${phase.blocked} shifted` : '';
+        this.elements.unloadStatus.textContent =
+            `📤 ${phase.stop.name}: click items to pull them out the back - ${left} left · ${phase.seconds}s${blocked}`;
+        this.elements.unloadPanel.classList.remove('hidden');
+    }
+    
+    hideUnloadPanel() {
+        this.elements.unloadPanel?.classList.add('hidden');
+    }
+    
+    // Turn-by-turn prompt from RoadRouter guidance ("Turn left in 40 m"), hidden when not navigating
+    updateNavigation(navigation) {
+        if (!this.elements.navPrompt) return;
+        this.elements.navPrompt.classList.toggle('hidden', !navigation);
+        if (!navigation) return;
+        const { stop, guidance, path } = navigation;
+        const meters = (m) => m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.max(10, Math.round(m / 10) * 10)} m`;
+        const icons = { left: '↰', right: '↱', around: '⤸', arrive: '⚑' };
+        let action;
+        if (guidance.action === 'around') {
+            action = 'Turn around';
+        } else if (guidance.action === 'arrive') {
+            action = guidance.side ? `${stop.name} on the ${guidance.side}` : stop.name;
+            if (guidance.distance > 15) action += ` in ${meters(guidance.distance)}`;
+        } else {
+            action = guidance.distance > 15 ? `Turn ${guidance.action} in ${meters(guidance.distance)}` : `Turn ${guidance.action}`;
+        }
+        this.elements.navIcon.textContent = icons[guidance.action];
+        this.elements.navAction.textContent = action;
+        this.elements.navDetail.textContent = `${meters(path.distance)} to ${stop.name}`;
+    }
+    
+    // Fuel gauge, and the refuel prompt while parked at a gas station
+    updateFuel() {
+        const truck = this.game.truck;
+        const pct = Math.round(truck.getFuelFraction() * 100);
+        if (this.elements.fuelFill && pct !== this.fuelPct) {
+            this.fuelPct = pct;
+            this.elements.fuelFill.style.width = `${pct}%`;
+            this.elements.fuelGauge.classList.toggle('fuel-low', pct < this.game.lowFuelFraction * 100);
+            this.elements.fuelGauge.title = `Fuel ${pct}%`;
+        }
+        
+        if (!this.elements.fuelPanel) return;
+        const station = this.game.gasStation;
+        this.elements.fuelPanel.classList.toggle('hidden', !station);
+        if (!station) return;
+        let status = '⛽ Gas station: stop at the pumps to refuel';
+        if (this.game.refueling) status = `⛽ Refueling... ${pct}%`;
+        else if (pct >= 100) status = '⛽ Tank full';
+        else if (Math.abs(truck.speed) <= 0.5) status = `⛽ Gas station: ${pct}% in the tank`;
+        if (status !== this.fuelStatusText) {
+            this.fuelStatusText = status;
+            this.elements.fuelStatus.textContent = status;
+            this.elements.btnRefuel.textContent = this.game.refueling ? 'Stop' : 'Refuel';
+        }
+    }
+    
+    // "Your load vs. best known" - best known is the solver's load unless the player beat it
+    updateBestLoad(score) {
+        if (!this.elements.resultsBest) return;
+        const best = score.best;
+        this.elements.resultsBest.classList.toggle('hidden', !best);
+        if (!best) return;
+        const solverPct = Math.round(best.efficiency * 100);
+        const yours = score.spaceEfficiency >= solverPct;
+        this.elements.resultBest.textContent = yours
+            ? `${score.spaceEfficiency}% (yours!)`
+            : `${solverPct}%`;
+    }
+    
+    // Swap the results card for a slim bar and show the solver's arrangement as ghosts in the truck
+    setBestLoadView(enabled) {
+        if (this.bestLoadView === enabled) return;
+        const best = this.game.score.best;
+        if (enabled && !best) return;
+        this.bestLoadView = enabled;
+        this.elements.resultsModal?.classList.toggle('ghost-view', enabled);
+        if (this.elements.btnViewBest) {
+            this.elements.btnViewBest.textContent = enabled ? '↩ Back to Results' : '👻 View Best Load';
+        }
+        if (enabled) {
+            this.game.itemManager.showGhostArrangement(best.placements);
+        } else {
+            this.game.itemManager.clearGhostArrangement();
+        }
+    }
+    
+    // Extra line under the results stats (streak, rank...); empty text hides it
+    setResultsNote(text) {
+        if (!this.elements.resultsNote) return;
+        this.elements.resultsNote.textContent = text || '';
+        this.elements.resultsNote.classList.toggle('hidden', !text);
+    }
+    
     hideResults() {
+        this.setBestLoadView(false);
         this.elements.resultsModal?.classList.add('hidden');
         this.resultsVisible = false;
         this.resultsWin = false;
@@ -662,6 +1143,8 @@ class UIManager {
                 countSpan.textContent = `(x${totalCount})`;
             }
         });
+        this.updateRouteManifest();
+        this.hideUnloadPanel();
         // Reset pickup mode
         this.setPickupMode(true);
     }
@@ -0,0 +1,167 @@
+/**
+ * WeatherSystem - Clear, rain, snow or fog for a level: what falls, how far you see, how the road grips
+ *
+ * Game sets the level's weather (LevelManager picks it) and each type in TYPES sets everything
+ * that changes with it: a particle system of rain streaks or snowflakes falling in a box that
+ * follows the truck, SceneManager's fog range, cloud cover for DayNightCycle, the truck's road
+ * grip (longer braking, understeer, sliding in fast turns) and load bed friction (the back is
+ * open, so rain - and snow melting on the bed - makes the load slide), and AudioManager's
+ * ambience loop.
+ */
+class WeatherSystem {
+    constructor(game) {
+        this.game = game;
+        this.scene = game.scene;
+        this.truck = game.truck;
+        this.sceneManager = game.sceneManager;
+        this.dayNight = game.dayNight;
+        this.audioManager = game.audioManager;
+        this.kind = 'clear';
+        this.area = 40;       // Half-width of the box around the truck that precipitation falls in (m)
+        this.lead = 1.5;      // Seconds of driving the box is moved ahead, so the truck drives into it
+        this.particles = {};  // precipitation kind -> ParticleSystem, made on first use
+        this.emitter = new BABYLON.Vector3();
+    }
+
+    // fog: { start, end } (m) or null for the clear-day range; overcast: 0..1 cloud cover;
+    // grip: Truck.roadGrip; cargoFriction: multiplier for the load bed and items (physics mode)
+    static get TYPES() {
+        return {
+            clear: {
+                name: 'Clear', precipitation: null, fog: null, overcast: 0,
+                grip: { brakeFactor: 1, turnFactor: 1, slide: 0 }, cargoFriction: 1, ambience: null
+            },
+            rain: {
+                name: 'Rain', precipitation: 'rain', fog: { start: 150, end: 900 }, overcast: 0.8,
+                grip: { brakeFactor: 0.7, turnFactor: 0.8, slide: 0.5 }, cargoFriction: 0.5, ambience: 'rain'
+            },
+            snow: {
+                name: 'Snow', precipitation: 'snow', fog: { start: 80, end: 600 }, overcast: 0.7,
+                grip: { brakeFactor: 0.45, turnFactor: 0.65, slide: 1 }, cargoFriction: 0.8, ambience: 'wind'
+            },
+            fog: {
+                name: 'Fog', precipitation: null, fog: { start: 15, end: 180 }, overcast: 0.9,
+                grip: { brakeFactor: 0.9, turnFactor: 1, slide: 0 }, cargoFriction: 1, ambience: null
+            }
+        };
+    }
+
+    // Precipitation settings: falling speed (m/s), drop size (m), streak stretch, particles per second
+    static get PRECIPITATION() {
+        return {
+            rain: { height: 25, speed: [18, 24], size: [0.03, 0.05], stretch: 14, rate: 4000, drift: 0.15, color: [0.72, 0.76, 0.85, 0.4] },
+            snow: { height: 14, speed: [1.5, 2.5], size: [0.08, 0.16], stretch: 1, rate: 700, drift: 0.5, color: [1, 1, 1, 0.9] }
+        };
+    }
+
+    setWeather(kind) {
+        const types = WeatherSystem.TYPES;
+        this.kind = types[kind] ? kind : 'clear';
+        const type = types[this.kind];
+
+        Object.keys(this.particles).forEach(name => {
+            if (name !== type.precipitation) this.particles[name].stop();
+        });
+        if (type.precipitation) {
+            this.placeEmitter(type.precipitation);
+            this.getParticles(type.precipitation).start();
+        }
+
+        if (type.fog) {
+            this.sceneManager.setFogRange(type.fog.start, type.fog.end);
+        } else {
+            this.sceneManager.setFogRange();
+        }
+        this.dayNight.setOvercast(type.overcast);
+        this.truck.setRoadGrip(type.grip);
+        this.truck.setCargoFriction(type.cargoFriction);
+        if (this.audioManager) this.audioManager.setWeatherAmbience(type.ambience);
+    }
+
+    update() {
+        const precipitation = WeatherSystem.TYPES[this.kind].precipitation;
+        if (!precipitation) return;
+        this.placeEmitter(precipitation);
+
+        // Drops catch less light after dark
+        const system = this.particles[precipitation];
+        const color = WeatherSystem.PRECIPITATION[precipitation].color;
+        const light = 0.35 + 0.65 * this.dayNight.daylight;
+        system.color1.set(color[0] * light, color[1] * light, color[2] * light, color[3]);
+        system.color2.set(color[0] * light * 0.9, color[1] * light * 0.9, color[2] * light * 0.9, color[3] * 0.8);
+    }
+
+    // Center the falling box above (and a little ahead of) the truck
+    placeEmitter(precipitation) {
+        const truck = this.truck;
+        const velX = truck._truckWorldVelX || 0;
+        const velZ = truck._truckWorldVelZ || 0;
+        this.emitter.set(
+            truck.position.x + velX * this.lead,
+            WeatherSystem.PRECIPITATION[precipitation].height,
+            truck.position.z + velZ * this.lead
+        );
+    }
+
+    getParticles(precipitation) {
+        if (this.particles[precipitation]) return this.particles[precipitation];
+        const settings = WeatherSystem.PRECIPITATION[precipitation];
+        const [minSpeed, maxSpeed] = settings.speed;
+        const lifeTime = settings.height / ((minSpeed + maxSpeed) / 2);
+        const system = new BABYLON.ParticleSystem(`weather_${precipitation}`, Math.ceil(settings.rate * lifeTime * 1.2), this.scene);
+        system.particleTexture = this.createParticleTexture(precipitation);
+        system.emitter = this.emitter;
+        system.minEmitBox = new BABYLON.Vector3(-this.area, 0, -this.area);
+        system.maxEmitBox = new BABYLON.Vector3(this.area, 0, this.area);
+        // Straight down, give or take some wind drift
+        system.direction1 = new BABYLON.Vector3(-settings.drift, -1, -settings.drift);
+        system.direction2 = new BABYLON.Vector3(settings.drift, -1, settings.drift);
+        system.minEmitPower = minSpeed;
+        system.maxEmitPower = maxSpeed;
+        system.updateSpeed = 1 / 60; // Seconds and m/s at 60 fps (scaled by frame time)
+        system.minLifeTime = lifeTime * 0.9;
+        system.maxLifeTime = lifeTime * 1.1;
+        system.emitRate = settings.rate;
+        system.minSize = settings.size[0];
+        system.maxSize = settings.size[1];
+        if (settings.stretch > 1) {
+            // Rain streaks: long along their velocity
+            system.billboardMode = BABYLON.ParticleSystem.BILLBOARDMODE_STRETCHED;
+            system.minScaleY = settings.stretch * 0.8;
+            system.maxScaleY = settings.stretch;
+        }
+        const [r, g, b, a] = settings.color;
+        system.color1 = new BABYLON.Color4(r, g, b, a);
+        system.color2 = new BABYLON.Color4(r * 0.9, g * 0.9, b * 0.9, a * 0.8);
+        system.colorDead = new BABYLON.Color4(r, g, b, 0);
+        system.blendMode = BABYLON.ParticleSystem.BLENDMODE_STANDARD;
+        this.particles[precipitation] = system;
+        return system;
+    }
+
+    // Soft white streak (rain) or dot (snow)
+    createParticleTexture(precipitation) {
+        const size = 64;
+        const tex = new BABYLON.DynamicTexture(`weatherTex_${precipitation}`, { width: size, height: size }, this.scene, true);
+        const ctx = tex.getContext();
+        ctx.clearRect(0, 0, size, size);
+        const half = size / 2;
+        const gradient = precipitation === 'rain'
+            ? ctx.createLinearGradient(0, 0, size, 0)
+            : ctx.createRadialGradient(half, half, 0, half, half, half);
+        if (precipitation === 'rain') {
+            gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0)');
+            gradient.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.7, 'rgba(255, 255, 255, 0)');
+        } else {
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.6, 'rgba(255, 255, 255, 0.6)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+        tex.hasAlpha = true;
+        tex.update();
+        return tex;
+    }
+}